@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+const path = require('path');
+const Dbscene = require('..');
+const DbsceneConsole = require('../lib/console');
+const { loadConfigFile } = require('../lib/config-file');
+const { version } = require('../package.json');
+
+const usage = `Usage: dbscene [options] [config file]
+
+Starts dbscene with the config and cache in a JSON or YAML file, and opens a console.
+The web UI is started too if web.enabled is set in the config.
+The config file defaults to dbscene.json in the working directory.
+
+Options:
+  --headless     Run without the console, until stopped
+  --record       Record every OSC packet sent or received to recorder.path
+  --replay FILE  Replay the packets received in a recording, then exit
+  --speed N      Replay N times faster than recorded, or without waiting if 0; defaults to 1
+  -h, --help     Show this help
+  -v, --version  Show the version`;
+
+/**
+ * Parse the command line arguments
+ * @param {string[]} args
+ * @returns {Object} The options, as { configPath, headless, record, replay, speed, help, version }
+ */
+function parseArgs(args) {
+	const options = {
+		configPath: 'dbscene.json',
+		headless: false,
+		record: false,
+		replay: null,
+		speed: 1,
+		help: false,
+		version: false,
+	};
+	const value = (index) => {
+		if (index + 1 >= args.length || args[index + 1].startsWith('-'))
+			throw new Error(`${args[index]} needs a value`);
+		return args[index + 1];
+	};
+	args.forEach((arg, index) => {
+		if (index > 0 && ['--replay', '--speed'].includes(args[index - 1])) return;
+		if (arg === '--headless') options.headless = true;
+		else if (arg === '--record') options.record = true;
+		else if (arg === '--replay') options.replay = value(index);
+		else if (arg === '--speed') {
+			options.speed = parseFloat(value(index));
+			if (!(options.speed >= 0)) throw new Error('--speed must be 0 or more');
+		} else if (arg === '-h' || arg === '--help') options.help = true;
+		else if (arg === '-v' || arg === '--version') options.version = true;
+		else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+		else options.configPath = arg;
+	});
+	return options;
+}
+
+function main() {
+	let options;
+	let dbscene;
+	try {
+		options = parseArgs(process.argv.slice(2));
+		if (options.help || options.version) {
+			console.log(options.help ? usage : version);
+			return;
+		}
+		const { config, cache } = loadConfigFile(path.resolve(options.configPath));
+		if (options.record) config.recorder = { ...config.recorder, enabled: true };
+		dbscene = new Dbscene(config, cache);
+	} catch (error) {
+		console.error(`dbscene: ${error.message}`);
+		process.exitCode = 1;
+		return;
+	}
+
+	const exit = () => dbscene.stop().then(() => process.exit(0));
+	dbscene
+		.start()
+		.then(() => {
+			if (dbscene.webServer.running)
+				console.log(`dbscene: web UI on port ${dbscene.webServer.server.address().port}`);
+			process.once('SIGINT', exit);
+			process.once('SIGTERM', exit);
+			if (options.replay !== null) {
+				dbscene
+					.replay(options.replay, { speed: options.speed })
+					.catch((error) => {
+						console.error(`dbscene: could not replay: ${error.message}`);
+						process.exitCode = 1;
+					})
+					// Leaves time for the last replayed messages to be answered
+					.then(() => new Promise((resolve) => setTimeout(resolve, 1000)))
+					.then(() => dbscene.stop())
+					.then(() => process.exit());
+				return;
+			}
+			if (options.headless) return;
+
+			const dbsceneConsole = new DbsceneConsole(dbscene);
+			dbsceneConsole.on('close', exit);
+			dbsceneConsole.start();
+		})
+		.catch((error) => {
+			console.error(`dbscene: could not start: ${error.message}`);
+			process.exitCode = 1;
+		});
+}
+
+main();
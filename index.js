@@ -2,6 +2,39 @@ const osascript = require('node-osascript');
 const udp = require('dgram');
 const EventEmitter = require('events');
 const osc = require('osc-min');
+const { fromBuffer } = require('./lib/osc');
+const DS100Simulator = require('./lib/simulators/ds100');
+const QLabSimulator = require('./lib/simulators/qlab');
+const RequestTracker = require('./lib/request-tracker');
+const QueryScheduler = require('./lib/query-scheduler');
+const { getParameter, parseParameterAddress, parseParameterValue } = require('./lib/parameters');
+const { getInputProperty, parseInputAddress, parseInputValue } = require('./lib/inputs');
+const { createDevices, toInput, toObjNum } = require('./lib/devices');
+const { getQLabVersion } = require('./lib/qlab-versions');
+const { createTransport } = require('./lib/transports');
+const SceneLibrary = require('./lib/scene-library');
+const History = require('./lib/history');
+const fade = require('./lib/fade');
+const { interpolate } = require('./lib/curves');
+const { checkMorphOptions, morphSteps } = require('./lib/morph');
+const { positionMessage, parameterMessage, parseCueMessage } = require('./lib/cue-messages');
+const { createNaming, formatName, refreshName } = require('./lib/naming');
+const geometry = require('./lib/geometry');
+const PositionMonitor = require('./lib/monitor');
+const { auditDbscene, writeAuditReport } = require('./lib/audit');
+const WebServer = require('./lib/web-server');
+const { createLogger } = require('./lib/logger');
+const { OscRecorder, readRecording } = require('./lib/recorder');
+const {
+	createTracking,
+	addPosition,
+	addParameter,
+	referenceFromScene,
+	isComplete,
+	differs,
+	positionChanged,
+	parameterChanged,
+} = require('./lib/tracking');
 
 /**
  * An OSC message object
@@ -23,10 +56,27 @@ const osc = require('osc-min');
 /**
  * A Soundscape object
  * @typedef {Object} CacheObj
- * @property {string|number} num - The En-Scene object number
+ * @property {string|number} num - The dbscene object number; the En-Scene object number on its DS100, offset by the device's object range
  * @property {string} name - The object name
- * @property {number} x - The object's x-coordinate
+ * @property {string[]} groups - The object groups the object is in, e.g. ["band"]
+ * @property {number} x - The object's x-coordinate, in the mapping of its last position
  * @property {number} y - The object's y-coordinate
+ * @property {number|null} xm - The object's x-coordinate in meters, if the mapping area of its last position is configured
+ * @property {number|null} ym - The object's y-coordinate in meters
+ * @property {number|null} mapping - The coordinate mapping of its last position, or null if no position was received yet
+ * @property {Object} positions - The last position received in each coordinate mapping, as { x, y, xm, ym }, keyed by mapping
+ * @property {number} [spread] - The object's spread, if captured
+ * @property {number} [delaymode] - The object's delay mode, if captured
+ * @property {number} [reverbsendgain] - The object's En-Space send gain, if captured
+ */
+
+/**
+ * The outcome of a position query for one cache object
+ * @typedef {Object} QueryResult
+ * @property {CacheObj} cacheObj - The cache object
+ * @property {string} status - "resolved" or "timedOut"
+ * @property {string} [parameter] - The parameter queried, for parameter queries
+ * @property {Error} [error] - The reason the query failed, if it did
  */
 
 /**
@@ -36,68 +86,270 @@ const osc = require('osc-min');
  * @property {String} qlab.address - The IP address of the QLab machine
  * @property {number} qlab.ds100Patch - Network patch number of the DS100 in QLab
  * @property {float} qlab.defaultDuration - Default duration of new network cues
+ * @property {number} [qlab.timeout] - Milliseconds to wait for each QLab reply, defaults to 1000
+ * @property {number} [qlab.retries] - How many times a QLab request other than /new is re-sent after a timeout, defaults to 1
+ * @property {number} [qlab.version] - The QLab version, 4 or 5, defaults to 4
+ * @property {string} [qlab.transport] - "udp" or "tcp" (SLIP-framed, on qlab.port), defaults to "udp"
+ * @property {number} [qlab.port] - The port QLab listens on, defaults to 53000
+ * @property {number} [qlab.reply] - UDP only: the port replies from QLab are received on, defaults to 53001
+ * @property {string} [qlab.bindAddress] - UDP only: the local address replies are received on, defaults to every interface
+ * @property {number} [qlab.rebindInterval] - UDP only: milliseconds before listening again after a socket error, defaults to 1000
+ * @property {number} [qlab.reconnectInterval] - Milliseconds between TCP reconnection attempts, defaults to 1000
+ * @property {number} [qlab.connectTimeout] - Milliseconds start() waits for the first TCP connection before it rejects, defaults to 5000
+ * @property {string} [qlab.workspaceID] - The unique ID of the QLab workspace; if omitted, the first open workspace is used
+ * @property {string} [qlab.passcode] - The workspace's OSC passcode, if it has one
  * @property {Object} ds100 - DS100-related options
- * @property {String} ds100.address - The IP address of the DS100
+ * @property {String} ds100.address - The IP address of the DS100, if ds100.devices is not used
+ * @property {DS100Device[]} [ds100.devices] - Several DS100s, each with its own address, QLab patch and object range
  * @property {number} ds100.defaultMapping - The default mapping for the DS100, 1-4
- * @property {number} logging - The logging level, 0-2
+ * @property {Object<number, MappingArea>} [ds100.mappingAreas] - The corner points of each mapping area in meters, keyed by mapping number
+ * @property {number} [ds100.concurrency] - How many position queries may await a reply at once, defaults to 8
+ * @property {number} [ds100.retryInterval] - Milliseconds before a position query is first re-sent, defaults to 250
+ * @property {number} [ds100.backoff] - Factor by which the re-send interval grows, defaults to 2
+ * @property {number} [ds100.timeout] - Milliseconds to wait for a position reply, defaults to 2500
+ * @property {string[]} [ds100.parameters] - Parameters to capture besides position: "spread", "delaymode", "reverbsendgain"
+ * @property {number} [ds100.port] - The port DS100s listen on, unless a device sets its own, defaults to 50010
+ * @property {number} [ds100.reply] - The port DS100 replies and /dbscene messages are received on, defaults to 50011
+ * @property {string} [ds100.bindAddress] - The local address DS100 replies are received on, defaults to every interface
+ * @property {number} [ds100.rebindInterval] - Milliseconds before listening again after a socket error, defaults to 1000
+ * @property {Object} [library] - Scene library options
+ * @property {string} [library.path] - The path of the scene library JSON file, defaults to "dbscene-library.json"
+ * @property {Object} [history] - The history of operations which created or modified cues, for undo
+ * @property {string} [history.path] - The path of the history JSON file, defaults to "dbscene-history.json"
+ * @property {number} [history.limit] - How many operations are kept, defaults to 100
+ * @property {Object} [recall] - Scene recall options
+ * @property {number} [recall.frameRate] - Position updates per second during a recall fade, defaults to 25
+ * @property {string} [recall.curve] - The default fade curve: "linear", "scurve", "easein" or "easeout"
+ * @property {Object} [tracking] - Tracking mode options: dbscenes only record objects which moved
+ * @property {boolean} [tracking.enabled] - Whether tracking mode is on, defaults to false
+ * @property {number} [tracking.tolerance] - How far a coordinate or parameter may change before the object counts as moved, defaults to 0.001
+ * @property {string} [tracking.reference] - "previous" to compare with the dbscenes before it in the cue list, or "snapshot" to compare with a library scene, defaults to "previous"
+ * @property {string} [tracking.scene] - The library scene to compare with, defaults to the newest scene
+ * @property {Object} [remap] - Options of /dbscene/remap
+ * @property {string} [remap.method] - "geometry" to convert positions between the mapping areas, or "query" to query the DS100; defaults to "geometry" when both areas are configured
+ * @property {string} [remap.outside] - What happens to objects outside the new mapping area: "clamp" them to its edge, or "skip" their cues; defaults to "clamp"
+ * @property {Object} [monitor] - Background position monitoring
+ * @property {boolean} [monitor.enabled] - Whether the monitor starts with the DS100 server, defaults to false
+ * @property {number} [monitor.interval] - Milliseconds in which every object is polled once, defaults to 1000
+ * @property {number} [monitor.mapping] - The coordinate mapping polled, defaults to ds100.defaultMapping
+ * @property {number} [monitor.deadband] - How far an object must move before objectMoved is emitted, defaults to 0.001
+ * @property {number} [monitor.misses] - Consecutive unanswered polls before an object is unreachable, defaults to 2
+ * @property {Object} [naming] - Cue naming templates
+ * @property {string} [naming.group] - The template of dbscene group names, defaults to "dbscene: {name}"
+ * @property {string} [naming.position] - The template of position cue names, defaults to "{num} - {name}: {x}, {y}"
+ * @property {string} [naming.parameter] - The template of parameter cue names, defaults to "{num} - {name}: {parameter} {value}"
+ * @property {string} [naming.morph] - The template of /dbscene/morph group names, defaults to "morph: {from} to {to}"
+ * @property {number} [naming.precision] - Decimal places shown for coordinates and parameter values, defaults to all
+ * @property {Object} [discovery] - Defaults of /dbscene/discover
+ * @property {string} [discovery.mode] - "merge" discovered objects into the cache, or "replace" the cache with them, defaults to "merge"
+ * @property {boolean} [discovery.enabledOnly] - Whether inputs which are not En-Scene sound objects are left out, defaults to false
+ * @property {Object} [audit] - Options of /dbscene/audit
+ * @property {string|null} [audit.path] - The JSON file the audit report is written to, with a text copy ending in .txt; null to write no files. Defaults to "dbscene-audit.json"
+ * @property {Object} [web] - The web UI
+ * @property {boolean} [web.enabled] - Whether the dbscene command starts the web UI, defaults to false
+ * @property {number} [web.port] - The HTTP port of the web UI, defaults to 8080
+ * @property {string} [web.address] - The address the web UI listens on, defaults to "127.0.0.1"
+ * @property {string} [web.token] - A token the API and WebSocket require, if set
+ * @property {string[]} [web.hosts] - Host names the web UI may be reached by, besides IP addresses, "localhost" and the machine's name
+ * @property {Object} [recorder] - The OSC traffic recorder
+ * @property {boolean} [recorder.enabled] - Whether recording starts with start(), defaults to false
+ * @property {string} [recorder.path] - The file every packet sent or received is appended to, defaults to "dbscene-osc.jsonl"
+ * @property {number|string} logging - The console logging level: 0 (info), 1 (verbose) or 2 (debug), or a level name
+ */
+
+/**
+ * Options of a dbscene remap
+ * @typedef {Object} RemapOptions
+ * @property {string} [method] - "geometry" or "query", defaults to remap.method
+ * @property {string} [outside] - "clamp" or "skip", defaults to remap.outside
+ */
+
+/**
+ * The outcome of remapping one position cue
+ * @typedef {Object} RemapResult
+ * @property {string} cueID - The unique ID of the cue
+ * @property {number} num - The object number
+ * @property {string} status - "remapped", "clamped", "skipped" (outside the new area) or "unchanged" (already in the mapping)
+ * @property {number} x - The normalized x-coordinate in the new mapping, before any clamping
+ * @property {number} y - The normalized y-coordinate in the new mapping, before any clamping
+ * @property {string} [name] - Remapped and clamped cues: the cue name before the remap
+ * @property {string} [from] - Remapped and clamped cues: the OSC message before the remap
+ * @property {string} [to] - Remapped and clamped cues: the OSC message after the remap
+ */
+
+/**
+ * The outcome of an undo
+ * @typedef {Object} UndoResult
+ * @property {number} id - The operation undone
+ * @property {string} type - The type of the operation
+ * @property {string} description - The summary of the operation
+ * @property {number} deleted - The number of cues deleted, which the operation created
+ * @property {number} restored - The number of cues restored, which the operation modified
+ * @property {number} recreated - The number of cues put back, which an audit repair deleted
+ * @property {Object[]} skipped - Cues left as they are, each { cueID, reason }
+ */
+
+/**
+ * The outcome of a morph between two dbscenes
+ * @typedef {Object} MorphResult
+ * @property {string} groupCueID - The unique ID of the new morph group
+ * @property {string} name - The name of the morph group
+ * @property {number} steps - The number of steps of each object
+ * @property {number} duration - Seconds from the start of the morph to the last step
+ * @property {string} curve - The easing curve
+ * @property {number[]} objects - The objects morphed
+ * @property {Object[]} skipped - Objects left out, each { num, reason }
+ * @property {number} cues - The number of cues created
+ */
+
+/**
+ * The outcome of updating, or adding, one network cue of a dbscene
+ * @typedef {Object} CueUpdate
+ * @property {string} [cueID] - The unique ID of the cue; missing if a tracked object's cue could not be added
+ * @property {string} [name] - The cue name before the update
+ * @property {number} [num] - The object number, if the cue addresses an object
+ * @property {string} status - "updated", "unchanged" (the message stayed the same, or tracking mode left it), "added" (tracking mode), "skipped" (not in the objects updated) or "failed"
+ * @property {string} [from] - The OSC message before the update
+ * @property {string} [to] - The OSC message after the update
+ * @property {string} [error] - Why the update failed
+ */
+
+/**
+ * Filters of a bulk dbscene update
+ * @typedef {Object} UpdateAllOptions
+ * @property {string} [cueList] - The name of the cue list to update, defaults to every cue list
+ * @property {string} [name] - A pattern the group name must match, where * matches any text and ? any character, ignoring case
+ * @property {number} [from] - The lowest cue number to update; groups without a numeric cue number are left out when a range is given
+ * @property {number} [to] - The highest cue number to update
+ * @property {number[]} [objects] - Only update the cues of these objects
+ * @property {string} [group] - Only update the cues of the objects in this object group
+ */
+
+/**
+ * The outcome of a bulk dbscene update
+ * @typedef {Object} UpdateAllSummary
+ * @property {Object[]} dbscenes - Each matching group, as { groupCueID, name, number, cueListName, cues, error }, where cues are CueUpdates
+ * @property {Object} counts - The number of cues with each CueUpdate status, and of groups which failed
+ */
+
+/**
+ * Options of a cache discovery
+ * @typedef {Object} DiscoveryOptions
+ * @property {string} [mode] - "merge" or "replace", defaults to discovery.mode
+ * @property {boolean} [enabledOnly] - Whether inputs which are not En-Scene sound objects are left out, defaults to discovery.enabledOnly
+ */
+
+/**
+ * The outcome of a cache discovery
+ * @typedef {Object} DiscoveryResult
+ * @property {CacheObj[]} added - Objects added to the cache
+ * @property {Object[]} renamed - Objects whose name changed, each { cacheObj, from }
+ * @property {CacheObj[]} removed - Objects removed from the cache, in replace mode
+ * @property {number[]} skipped - Inputs left out, because they have no name, or with enabledOnly are not En-Scene sound objects
+ * @property {number[]} timedOut - Inputs whose DS100 did not answer; their cache objects are kept
+ */
+
+/**
+ * Scene recall options
+ * @typedef {Object} RecallOptions
+ * @property {number} [time] - The fade time, in seconds, defaults to 0
+ * @property {number} [mapping] - The coordinate mapping to recall in, defaults to the scene's mapping
+ * @property {string} [curve] - The fade curve, defaults to recall.curve or "linear"
+ * @property {Function} [onStarted] - Called with the details of recallStarted when this recall starts, unlike the event which is emitted for every recall
+ */
+
+// The line of a dbscene group's notes recording the object group it was created for
+const groupNotesRegex = /^dbscene group: (\S+)$/m;
+
+/**
+ * Check an object group name: a letter, then letters, digits, "_" or "-"
+ * @param {string} group
+ * @returns {string} The group name
+ */
+function checkGroup(group) {
+	if (!/^[A-Za-z][\w-]*$/.test(`${group}`))
+		throw new Error(
+			`Object group names start with a letter, followed by letters, digits, _ or -, received "${group}"`
+		);
+	return `${group}`;
+}
+
+/**
+ * Get the history record of the cues changed by an update
+ * @param {CueUpdate[]} updates
+ * @returns {CueChange[]} The cues which were updated or added
  */
+function cueChanges(updates) {
+	return updates
+		.filter((update) => ['updated', 'added'].includes(update.status))
+		.map(({ cueID, status, name, from, to }) =>
+			status === 'added'
+				? { cueID, action: 'created' }
+				: { cueID, action: 'modified', name, from, to }
+		);
+}
 
 /**
- * Extends the OSC message format as defined by the osc-min package
- * @param {Object} msg A UDP message
- * @returns {OscMsg} An OSC message object
+ * Get the unique ID of the cue an OSC address refers to
+ * @param {string} address e.g. "/workspace/{workspace_id}/cue_id/{id}/name"
+ * @returns {string|undefined} The cue ID, or undefined if the address is not about a cue
  */
-function fromBuffer(msg) {
-	const oscMinMsg = osc.fromBuffer(msg);
-	oscMinMsg.pathArr = oscMinMsg.address.split('/').slice(1);
-	oscMinMsg.argsArr = oscMinMsg.args.map((arg) => arg.value);
-	if (oscMinMsg.argsArr.length > 0) {
-		oscMinMsg.oscString = `${oscMinMsg.address} ${oscMinMsg.argsArr.join(' ')}`;
-	} else {
-		oscMinMsg.oscString = `${oscMinMsg.address}`;
-	}
-	return oscMinMsg;
+function addressCueID(address) {
+	const match = /\/(?:cue_id|delete_id|select_id|move)\/([^/]+)/.exec(address);
+	return match ? match[1] : undefined;
 }
 
 /**
- * Log a received OSC message to the console
+ * Log a received OSC message
+ * @param {Logger} logger
  * @param {OscMsg} oscMessage The osc message
  * @param {Object} rinfo UDP message info
  * @returns {void}
  */
-function logOscIn(oscMessage, rinfo) {
-	console.log(`dbscene: received: "${oscMessage.oscString}" from ${rinfo.address}:${rinfo.port}`);
+function logOscIn(logger, oscMessage, rinfo) {
+	const peer = `${rinfo.address}:${rinfo.port}`;
+	logger.debug(`received: "${oscMessage.oscString}" from ${peer}`, {
+		direction: 'in',
+		peer,
+		address: oscMessage.address,
+		args: oscMessage.argsArr,
+		cueID: addressCueID(oscMessage.address),
+	});
 }
 
 /**
- * Log a sent OSC message to the console
+ * Log a sent OSC message
+ * @param {Logger} logger
  * @param {OscMsg} message The OSC message being logged
  * @param {string} address The address to which the message was sent
  * @param {string|number} port The port to which the message was sent
  * @returns {void}
  */
-function logOscOut(message, address, port) {
+function logOscOut(logger, message, address, port) {
+	const args = message.args.map((arg) =>
+		typeof arg === 'object' && arg !== null && 'value' in arg ? arg.value : arg
+	);
 	const sentString =
-		message.args.length > 0 ? `"${message.address} ${message.args}"` : `"${message.address}"`;
-	let destination = '';
-	if (!address) {
-		destination = '';
-	} else if (!port) {
-		destination = ` to ${address}`;
-	} else {
-		destination = ` to ${address}:${port}`;
-	}
-	console.log(`dbscene: sent: ${sentString}${destination}`);
+		args.length > 0 ? `"${message.address} ${args.join(' ')}"` : `"${message.address}"`;
+	const peer = port ? `${address}:${port}` : address;
+	logger.verbose(`sent: ${sentString}${peer ? ` to ${peer}` : ''}`, {
+		direction: 'out',
+		peer,
+		address: message.address,
+		args,
+		cueID: addressCueID(message.address),
+	});
 }
 
 /**
- * Check whether object number is in range 1-64
+ * Check whether object number is a positive integer. Whether a DS100 handles the object is checked by getDevice.
  * @param {number|string} objNum
  * @returns {number} The object number, parsed as an integer
  */
 function checkNum(objNum) {
 	const num = parseInt(objNum);
-	if (num < 1 || num > 64) throw new Error('Object number is out of range');
+	if (Number.isNaN(num) || num < 1)
+		throw new Error(`Object number is out of range, received ${objNum}`);
 	return num;
 }
 
@@ -113,6 +365,23 @@ function checkMapping(mapping) {
 	return num;
 }
 
+/**
+ * Check that every object answered its position query, so that nothing is built from positions which were never received
+ * @param {QueryResult[]} results The results of queryAllObjPos
+ * @param {number} mapping The coordinate mapping queried
+ * @param {string} outcome What was therefore not done, for the error message
+ * @returns {void}
+ */
+function checkAnswered(results, mapping, outcome) {
+	const timedOut = results.filter((result) => result.status === 'timedOut');
+	if (timedOut.length > 0)
+		throw new Error(
+			`Object(s) ${timedOut
+				.map((result) => result.cacheObj.num)
+				.join(', ')} did not answer in mapping ${mapping}, ${outcome}`
+		);
+}
+
 /**
  * Check whether an OSC message has a valid coordinatemapping address from a DS100
  * @param {string} string
@@ -124,12 +393,25 @@ function checkCoordinateMappingAddress(string) {
 }
 
 /**
- * From a cache object, create a string to use as the qname of a corresponding QLab network cue
- * @param {CacheObj} cacheObj
- * @returns {string} Cue name, e.g. "1 - Homer: 0.56983465834, 0.98293858464"
+ * Turn a name pattern into a regular expression matching the whole name, ignoring case
+ * @param {string} glob A pattern where * matches any text and ? any one character
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+	const source = glob
+		.replace(/[\\^$.|+()[\]{}]/g, '\\$&')
+		.replace(/\*/g, '.*')
+		.replace(/\?/g, '.');
+	return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Flatten a QLab cue tree into playback order, each group followed by its children
+ * @param {Object[]} cues Cues as described by QLab, with child cues in cues
+ * @returns {Object[]} The cues
  */
-function createQName(cacheObj) {
-	return `${cacheObj.num} - ${cacheObj.name || '(unnamed)'}: ${cacheObj.x}, ${cacheObj.y}`;
+function flattenCues(cues) {
+	return cues.reduce((flat, cue) => flat.concat(cue, flattenCues(cue.cues || [])), []);
 }
 
 class Dbscene extends EventEmitter {
@@ -137,35 +419,158 @@ class Dbscene extends EventEmitter {
 	 * Constructor
 	 * @param {DbsceneConfig} config
 	 * @param {Object} cache The Soundscape objects
+	 * @param {Object} [options]
+	 * @param {Logger} [options.logger] Receives every log message, instead of the console; config.logging is then up to the logger
 	 */
-	constructor(config, cache) {
+	constructor(config, cache, options = {}) {
 		super();
 
 		if (typeof config !== 'object') throw new TypeError('Dbscene Config must be an object');
 		if (typeof cache !== 'object') throw new TypeError('Dbscene Cache must be an object');
 
 		this.config = config;
-		this.config.ds100.port = 50010;
-		this.config.ds100.reply = 50011;
-		this.config.qlab.port = 53000;
-		this.config.qlab.reply = 53001;
+		this.config.ds100 = { port: 50010, reply: 50011, rebindInterval: 1000, ...this.config.ds100 };
+		this.config.qlab = { port: 53000, reply: 53001, rebindInterval: 1000, ...this.config.qlab };
 		if (this.config.logging === undefined) this.config.logging = 0;
+		this.logger = createLogger(options.logger, this.config.logging);
+		this.parameters = (this.config.ds100.parameters || []).map(getParameter);
+		this.devices = createDevices(this.config);
+		this.qlabVersion = getQLabVersion(this.config.qlab.version);
+		this.qlabWorkspaceID = this.config.qlab.workspaceID || null;
+		this.recallConfig = { frameRate: 25, curve: 'linear', ...this.config.recall };
+		this.remapConfig = { outside: 'clamp', ...this.config.remap };
+		this.discoveryConfig = { mode: 'merge', enabledOnly: false, ...this.config.discovery };
+		this.auditConfig = { path: 'dbscene-audit.json', ...this.config.audit };
+		this.activeRecall = null;
+		this.tracking = createTracking(this.config.tracking);
+		this.naming = createNaming(this.config.naming);
+		this.library = new SceneLibrary(
+			(this.config.library && this.config.library.path) || 'dbscene-library.json'
+		);
+		const historyConfig = { path: 'dbscene-history.json', limit: 100, ...this.config.history };
+		this.history = new History(historyConfig.path, historyConfig.limit);
 
 		this.cache = [];
 		const cacheObjects = Object.entries(cache);
 		cacheObjects.forEach((kvPair) => {
+			// Each object is a name, or { name, groups }
+			const entry =
+				typeof kvPair[1] === 'object' && kvPair[1] !== null ? kvPair[1] : { name: kvPair[1] };
 			const newObject = {
 				num: parseInt(kvPair[0]),
-				name: kvPair[1],
+				name: entry.name,
+				groups: Array.from(new Set((entry.groups || []).map(checkGroup))),
 				x: 0.0,
 				y: 0.0,
+				xm: null,
+				ym: null,
+				mapping: null,
+				positions: {},
+				...this.emptyParameters(),
 			};
+			this.getDevice(newObject.num); // Every object must be handled by a DS100
 			this.cache.push(newObject);
 		});
-		if (this.config.logging >= 2) console.log('Objects:', this.cache);
+		this.logger.debug(`objects: ${this.cache.map((obj) => `${obj.num} ${obj.name}`).join(', ')}`);
+
+		// Server state: whether each was stopped on purpose, its start in progress and its rebind timer
+		this.dbServerListening = false;
+		this.dbServerClosed = false;
+		this.dbServerStopped = true;
+		this.dbServerStarting = null;
+		this.dbServerRebind = null;
+		this.qlabServerStopped = true;
+		this.qlabServerStarting = null;
+		this.qlabServerRebind = null;
+		this.dbServer = this.createDbServer();
+		this.qlabServer = this.createQLabServer();
+		this.qlabRequests = new RequestTracker({
+			name: 'QLab',
+			timeout: this.config.qlab.timeout,
+			retries: this.config.qlab.retries,
+		});
+		this.dbQueries = new QueryScheduler({
+			name: 'DS100',
+			concurrency: this.config.ds100.concurrency,
+			interval: this.config.ds100.retryInterval,
+			backoff: this.config.ds100.backoff,
+			timeout: this.config.ds100.timeout,
+		});
+		this.monitor = new PositionMonitor(this, this.config.monitor);
+		[
+			'objectMoved',
+			'objectUnreachable',
+			'objectReachable',
+			'ds100Offline',
+			'ds100Online',
+		].forEach((event) => this.monitor.on(event, (details) => this.emit(event, details)));
+		this.webServer = new WebServer(this, this.config.web);
+		this.recorder = new OscRecorder(this.config.recorder);
+		this.recorder.on('error', (error) => {
+			this.logger.error(`the OSC recording stopped: ${error.message}`, { error });
+			this.emit('recorderError', error);
+		});
+		this.activeReplay = null;
+	}
+
+	/**
+	 * Log an error which has nowhere else to go
+	 * @param {Error} error
+	 * @param {Object} [fields] More structured fields, e.g. { cueID }
+	 * @returns {void}
+	 */
+	logError(error, fields = {}) {
+		this.logger.error(error.message, { ...fields, error });
+	}
 
-		this.dbServer = udp.createSocket('udp4');
-		this.qlabServer = udp.createSocket('udp4');
+	/**
+	 * Get the configured parameters without values, for new cache objects
+	 * @returns {Object} e.g. { spread: null }
+	 */
+	emptyParameters() {
+		return Object.fromEntries(this.parameters.map((parameter) => [parameter.name, null]));
+	}
+
+	/**
+	 * Get the DS100 device which handles an object
+	 * @param {number|string} objNum The object number
+	 * @returns {DS100Device} The device
+	 */
+	getDevice(objNum) {
+		const num = checkNum(objNum);
+		const device = this.devices.find(
+			(candidate) => num >= candidate.objects[0] && num <= candidate.objects[1]
+		);
+		if (!device) throw new Error(`Object ${num} is not in the object range of any DS100`);
+		return device;
+	}
+
+	/**
+	 * Get the DS100 device which sent a message
+	 * @param {Object} [rinfo] UDP message info
+	 * @returns {DS100Device|null} The device, or null if the sender is not a configured DS100
+	 */
+	getDeviceFromPeer(rinfo) {
+		if (this.devices.length === 1) return this.devices[0];
+		if (!rinfo) return null;
+		const samePort = this.devices.filter((device) => device.port === rinfo.port);
+		if (samePort.length === 1) return samePort[0];
+		return samePort.find((device) => device.address === rinfo.address) || null;
+	}
+
+	/**
+	 * Get the DS100 device addressed by a QLab network cue, from the cue's patch
+	 * @param {string} cueID The unique ID of the cue
+	 * @returns {DS100Device} The device
+	 */
+	async getCueDevice(cueID) {
+		if (this.devices.length === 1) return this.devices[0];
+		const patch = parseInt(
+			await this.fetchQLabData(`/cue_id/${cueID}/${this.qlabVersion.patchProperty}`)
+		);
+		const device = this.devices.find((candidate) => candidate.qlabPatch === patch);
+		if (!device) throw new Error(`No DS100 is configured for QLab network patch ${patch}`);
+		return device;
 	}
 
 	/**
@@ -177,70 +582,296 @@ class Dbscene extends EventEmitter {
 	}
 
 	/**
-	 * Starts the DS100 server, binds to the DS100 Reply port
-	 * @returns {Object} The UDP server for the DS100
+	 * Convert a normalized position to meters, using the mapping area of the DS100 which handles the object
+	 * @param {number} objNum The object number
+	 * @param {number} mapping The coordinate mapping of the position
+	 * @param {number} x The normalized x-coordinate
+	 * @param {number} y The normalized y-coordinate
+	 * @returns {{x: number, y: number}|null} The position in meters, or null if the mapping area is not configured
+	 */
+	toMeters(objNum, mapping, x, y) {
+		const area = this.getDevice(objNum).mappingAreas[mapping];
+		return area ? geometry.toMeters(area, x, y) : null;
+	}
+
+	/**
+	 * Convert a position in meters to a normalized position, using the mapping area of the DS100 which handles the object
+	 * @param {number} objNum The object number
+	 * @param {number} mapping The coordinate mapping to convert to
+	 * @param {number} xm The x-coordinate in meters
+	 * @param {number} ym The y-coordinate in meters
+	 * @returns {{x: number, y: number}} The normalized position, which lies outside 0-1 for positions outside the area
+	 */
+	toNormalized(objNum, mapping, xm, ym) {
+		const area = this.getDevice(objNum).mappingAreas[mapping];
+		if (!area) throw new Error(`The area of mapping ${mapping} is not configured`);
+		const position = geometry.toNormalized(area, xm, ym);
+		if (position === null) throw new Error(`The area of mapping ${mapping} has no size`);
+		return position;
+	}
+
+	/**
+	 * Set the position of a cache object in a coordinate mapping, along with its position in meters. It also becomes the object's last position.
+	 * @param {CacheObj} cacheObj The cache object
+	 * @param {number} mapping The coordinate mapping of the position
+	 * @param {number} x The normalized x-coordinate
+	 * @param {number} y The normalized y-coordinate
+	 * @returns {void}
+	 */
+	setCachePosition(cacheObj, mapping, x, y) {
+		const meters = this.toMeters(cacheObj.num, mapping, x, y);
+		const position = { x, y, xm: meters && meters.x, ym: meters && meters.y };
+		Object.assign(cacheObj, position, {
+			mapping,
+			positions: { ...cacheObj.positions, [mapping]: position },
+		});
+	}
+
+	/**
+	 * Get a copy of a cache object positioned in one coordinate mapping, so that positions received in other mappings,
+	 * e.g. by the monitor, are not mistaken for it
+	 * @param {CacheObj} cacheObj The cache object
+	 * @param {number} mapping The coordinate mapping
+	 * @returns {CacheObj} The copy, without positions; at 0, 0 if no position was received in the mapping
+	 */
+	cacheObjAt(cacheObj, mapping) {
+		const { positions, ...copy } = cacheObj;
+		const position = (positions && positions[mapping]) || { x: 0, y: 0 };
+		const meters = this.toMeters(cacheObj.num, mapping, position.x, position.y);
+		return {
+			...copy,
+			x: position.x,
+			y: position.y,
+			xm: meters && meters.x,
+			ym: meters && meters.y,
+			mapping,
+		};
+	}
+
+	/**
+	 * Start the DS100 and QLab servers, and the web UI if web.enabled is set. If any of them fails to start, the others are stopped again.
+	 * @returns {Promise<Dbscene>} This instance, once everything is listening
+	 */
+	async start() {
+		try {
+			if (this.recorder.config.enabled) await this.startRecording();
+			await Promise.all([this.startDbServer(), this.startQLabServer()]);
+			if (this.webServer.config.enabled) await this.startWebServer();
+		} catch (error) {
+			await this.stop();
+			throw error;
+		}
+		return this;
+	}
+
+	/**
+	 * Stop everything start() started, along with monitoring, any recall fade or replay, and every query or QLab request awaiting a reply
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		this.stopRecall();
+		this.stopReplay();
+		await Promise.all([this.stopDbServer(), this.stopQLabServer(), this.stopWebServer()]);
+		await this.stopRecording();
+	}
+
+	/**
+	 * Starts the DS100 server, binding to ds100.reply on ds100.bindAddress.
+	 * Later socket errors are emitted as dbServerError events, after which the server is bound again every ds100.rebindInterval milliseconds until it succeeds.
+	 * @returns {Promise<Object>} The UDP server for the DS100, once it is listening. Rejects if the port could not be bound.
 	 */
 	startDbServer() {
-		const { dbServer } = this;
+		this.dbServerStopped = false;
+		clearTimeout(this.dbServerRebind);
+		if (!this.dbServerStarting)
+			this.dbServerStarting = this.bindDbServer().finally(() => {
+				this.dbServerStarting = null;
+			});
+		return this.dbServerStarting;
+	}
 
-		dbServer.bind(this.config.ds100.reply, () => {
-			console.log(
-				`dbscene: dbServer listening on ${dbServer.address().address}:${dbServer.address().port}`
+	/**
+	 * Bind the DS100 server, on a new socket if the last one was closed
+	 * @returns {Promise<Object>} The UDP server for the DS100
+	 */
+	bindDbServer() {
+		if (this.dbServerListening) return Promise.resolve(this.dbServer);
+		if (this.dbServerClosed) {
+			this.dbServer = this.createDbServer();
+			this.dbServerClosed = false;
+		}
+		const { dbServer } = this;
+		return new Promise((resolve, reject) => {
+			const onError = (error) => {
+				this.closeDbServer().then(() => reject(error));
+			};
+			dbServer.once('error', onError);
+			dbServer.bind(
+				{ port: this.config.ds100.reply, address: this.config.ds100.bindAddress },
+				() => {
+					dbServer.off('error', onError);
+					this.dbServerListening = true;
+					this.logger.info(
+						`dbServer listening on ${dbServer.address().address}:${dbServer.address().port}`
+					);
+					this.emit('dbServerListening', dbServer.address());
+					if (this.monitor.config.enabled) this.startMonitor();
+					resolve(dbServer);
+				}
 			);
 		});
+	}
+
+	/**
+	 * Bind the DS100 server again after ds100.rebindInterval, retrying until it succeeds or the server is stopped
+	 * @returns {void}
+	 */
+	rebindDbServer() {
+		if (this.dbServerStopped) return;
+		this.dbServerRebind = setTimeout(() => {
+			this.startDbServer().catch((error) => {
+				this.logError(error);
+				this.emit('dbServerError', error);
+				this.rebindDbServer();
+			});
+		}, this.config.ds100.rebindInterval);
+	}
+
+	/**
+	 * Close the DS100 server's socket
+	 * @returns {Promise<void>}
+	 */
+	closeDbServer() {
+		if (this.dbServerClosed) return Promise.resolve();
+		this.dbServerClosed = true;
+		this.dbServerListening = false;
+		return new Promise((resolve) => {
+			this.dbServer.close(() => {
+				this.emit('dbServerClosed');
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Stop the DS100 server and monitoring. Queries awaiting a reply are rejected.
+	 * @returns {Promise<void>}
+	 */
+	async stopDbServer() {
+		this.dbServerStopped = true;
+		clearTimeout(this.dbServerRebind);
+		this.stopMonitor();
+		if (this.dbServerStarting) await this.dbServerStarting.catch(() => {});
+		this.dbQueries.rejectAll(new Error('The DS100 server was stopped'));
+		await this.closeDbServer();
+	}
 
-		// Dbscene needs to allow many simulataneous listeners in order to create scenes with up to 64 objects; the node default maximum is too low
-		dbServer.setMaxListeners(100);
+	/**
+	 * Create the UDP socket for the DS100, with the handlers of incoming messages
+	 * @returns {Object} The UDP server for the DS100, not yet bound
+	 */
+	createDbServer() {
+		const dbServer = udp.createSocket('udp4');
 
 		dbServer.on('error', (error) => {
-			console.error(error);
-			dbServer.close(() => {
-				this.emit('dbServerClosed');
-				console.log('dbscene: dbServer has closed due to error');
+			// Errors while binding reject startDbServer instead
+			if (!this.dbServerListening) return;
+			this.logError(error);
+			this.emit('dbServerError', error);
+			this.closeDbServer().then(() => {
+				this.logger.warn('dbServer has closed due to error');
+				this.rebindDbServer();
 			});
-			throw error;
 		});
 
 		// Incoming message handler
 		dbServer.on('message', (msg, rinfo) => {
+			// Replayed packets are already in a recording
+			if (!rinfo.replayed) this.recorder.record('in', 'ds100', msg, rinfo);
 			try {
 				const oscMessage = fromBuffer(msg);
-				if (this.config.logging >= 2) logOscIn(oscMessage, rinfo);
+				logOscIn(this.logger, oscMessage, rinfo);
 				if (oscMessage.pathArr[0] === 'dbscene') {
-					dbServer.emit('dbscene', oscMessage);
+					dbServer.emit('dbscene', oscMessage, rinfo);
 				} else if (oscMessage.pathArr[0] === 'dbaudio1') {
-					dbServer.emit('dbaudio1', oscMessage);
+					dbServer.emit('dbaudio1', oscMessage, rinfo);
 				} else {
-					console.error(
-						new Error(`dbscene dbServer received an unusable OSC message: ${oscMessage.oscString}`)
-					);
+					this.logger.warn(`dbServer received an unusable OSC message: ${oscMessage.oscString}`, {
+						direction: 'in',
+						peer: `${rinfo.address}:${rinfo.port}`,
+						address: oscMessage.address,
+					});
 				}
 			} catch (error) {
-				console.error(
-					`dbscene Could not interpret incoming message from ${rinfo.address}:${rinfo.port}`
+				this.logger.error(
+					`could not interpret incoming message from ${rinfo.address}:${rinfo.port}`,
+					{ direction: 'in', peer: `${rinfo.address}:${rinfo.port}`, error }
 				);
-				console.error(error);
 			}
 		});
 
-		dbServer.on('dbscene', (oscMessage) => {
+		dbServer.on('dbscene', (oscMessage, rinfo) => {
 			if (oscMessage.address === '/dbscene/create') {
-				this.dbsceneCreate(oscMessage);
+				this.dbsceneCreate(oscMessage).catch((error) => this.logError(error));
 			} else if (oscMessage.address === '/dbscene/update') {
-				this.dbsceneUpdate(oscMessage);
+				this.dbsceneUpdate(oscMessage).catch((error) => this.logError(error));
+			} else if (oscMessage.address === '/dbscene/updateAll') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneUpdateAll(oscMessage));
+			} else if (oscMessage.address === '/dbscene/save') {
+				this.dbsceneSave(oscMessage).catch((error) => this.logError(error));
+			} else if (oscMessage.address === '/dbscene/load') {
+				this.dbsceneLoad(oscMessage).catch((error) => this.logError(error));
+			} else if (oscMessage.address === '/dbscene/recall') {
+				this.dbsceneRecall(oscMessage).catch((error) => this.logError(error));
+			} else if (oscMessage.address === '/dbscene/undo') {
+				this.replyToOsc(oscMessage, rinfo, () => this.undo());
+			} else if (oscMessage.address === '/dbscene/history') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneHistory(oscMessage));
+			} else if (oscMessage.address === '/dbscene/morph') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneMorph(oscMessage));
+			} else if (oscMessage.address === '/dbscene/remap') {
+				this.dbsceneRemap(oscMessage).catch((error) => this.logError(error));
+			} else if (oscMessage.address === '/dbscene/move') {
+				this.dbsceneMove(oscMessage, false).catch((error) => this.logError(error));
+			} else if (oscMessage.address === '/dbscene/move/meters') {
+				this.dbsceneMove(oscMessage, true).catch((error) => this.logError(error));
+			} else if (oscMessage.address === '/dbscene/discover') {
+				this.dbsceneDiscover(oscMessage).catch((error) => this.logError(error));
+			} else if (oscMessage.address === '/dbscene/cache/add') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneCacheAdd(oscMessage));
+			} else if (oscMessage.address === '/dbscene/cache/remove') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneCacheRemove(oscMessage));
+			} else if (oscMessage.address === '/dbscene/cache/rename') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneCacheRename(oscMessage));
+			} else if (oscMessage.address === '/dbscene/cache/groups') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneCacheGroups(oscMessage));
+			} else if (oscMessage.address === '/dbscene/cache/list') {
+				this.replyToOsc(oscMessage, rinfo, () => this.getCache());
+			} else if (oscMessage.address === '/dbscene/query') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneQuery(oscMessage));
+			} else if (oscMessage.address === '/dbscene/audit') {
+				this.replyToOsc(oscMessage, rinfo, () => this.dbsceneAudit(oscMessage));
 			} else {
-				console.error(
-					new Error(`dbscene: dbServer received an unusable message: ${oscMessage.oscString}`)
-				);
+				this.logger.warn(`dbServer received an unusable message: ${oscMessage.oscString}`, {
+					direction: 'in',
+					peer: `${rinfo.address}:${rinfo.port}`,
+					address: oscMessage.address,
+				});
 			}
 		});
 
-		dbServer.on('dbaudio1', (oscMessage) => {
+		dbServer.on('dbaudio1', (oscMessage, rinfo) => {
 			try {
-				if (checkCoordinateMappingAddress(oscMessage.address) && oscMessage.argsArr.length > 0)
-					this.receivedCoordinates(oscMessage);
+				if (oscMessage.argsArr.length === 0) return;
+				if (checkCoordinateMappingAddress(oscMessage.address)) {
+					this.receivedCoordinates(oscMessage, rinfo);
+				} else if (parseParameterAddress(oscMessage.address)) {
+					this.receivedParameter(oscMessage, rinfo);
+				} else if (parseInputAddress(oscMessage.address)) {
+					this.receivedInputValue(oscMessage, rinfo);
+				}
 			} catch (error) {
-				console.error(error);
+				this.logError(error);
 			}
 		});
 
@@ -248,46 +879,251 @@ class Dbscene extends EventEmitter {
 	}
 
 	/**
-	 * Starts the QLab server, binds to the QLab Reply port
-	 * @returns {Object} The UDP server for QLab
+	 * Start polling the DS100 for the position of every object in the background
+	 * @returns {PositionMonitor} The monitor, which also emits its events on this instance
+	 */
+	startMonitor() {
+		if (!this.monitor.running)
+			this.logger.verbose(
+				`monitoring positions in mapping ${this.monitor.mapping} every ${this.monitor.config.interval}ms`
+			);
+		return this.monitor.start();
+	}
+
+	/**
+	 * Stop polling the DS100 in the background
+	 * @returns {void}
+	 */
+	stopMonitor() {
+		this.monitor.stop();
+	}
+
+	/**
+	 * Start the web UI, which shows the cache on a plot of the mapping areas and pushes cache changes to the browser
+	 * @returns {Promise<WebServer>} The web server, once it is listening
+	 */
+	startWebServer() {
+		return this.webServer.start();
+	}
+
+	/**
+	 * Stop the web UI
+	 * @returns {Promise<void>}
+	 */
+	stopWebServer() {
+		return this.webServer.stop();
+	}
+
+	/**
+	 * Start recording every OSC packet sent or received, with a timestamp, to a file
+	 * @param {string} [filePath] Defaults to recorder.path
+	 * @returns {Promise<string>} The absolute path of the recording, once it is open
+	 */
+	async startRecording(filePath = undefined) {
+		const recordingPath = await this.recorder.start(filePath);
+		this.logger.info(`recording OSC to ${recordingPath}`);
+		return recordingPath;
+	}
+
+	/**
+	 * Stop recording OSC packets
+	 * @returns {Promise<void>}
+	 */
+	stopRecording() {
+		return this.recorder.stop();
+	}
+
+	/**
+	 * Feed the packets received in a recording back through the message handlers, as if the DS100, QLab or an OSC client had sent them again.
+	 * Responses go out to the configured DS100 and QLab, so the servers must be started; point the config at the simulators to replay safely.
+	 * The replayed packets are not recorded again while recording, but the responses to them are.
+	 * @param {string} filePath A recording made by startRecording
+	 * @param {Object} [options]
+	 * @param {number} [options.speed] How much faster than recorded to replay, defaults to 1; 0 replays without waiting
+	 * @param {string} [options.server] Only replay packets received by this server, "ds100" or "qlab"
+	 * @returns {Promise<number>} The number of packets replayed, which is less than all of them if the replay was stopped
+	 */
+	async replay(filePath, options = {}) {
+		const speed = options.speed === undefined ? 1 : parseFloat(options.speed);
+		if (!(speed >= 0))
+			throw new Error(`The replay speed must be 0 or more, received ${options.speed}`);
+		const packets = (await readRecording(filePath)).filter(
+			(packet) =>
+				packet.direction === 'in' &&
+				(options.server === undefined || packet.server === options.server)
+		);
+
+		this.stopReplay();
+		const replay = { stopped: false, timer: null, wake: null };
+		this.activeReplay = replay;
+		this.logger.info(`replaying ${packets.length} packet(s) from ${filePath}`);
+		let replayed = 0;
+		// eslint-disable-next-line no-restricted-syntax
+		for (const [index, packet] of packets.entries()) {
+			const wait =
+				index === 0 || speed === 0
+					? 0
+					: (Date.parse(packet.time) - Date.parse(packets[index - 1].time)) / speed;
+			if (wait > 0)
+				await new Promise((resolve) => {
+					replay.wake = resolve;
+					replay.timer = setTimeout(resolve, wait);
+				});
+			if (replay.stopped) break;
+
+			const separator = packet.peer.lastIndexOf(':');
+			const rinfo = {
+				address: packet.peer.slice(0, separator),
+				port: parseInt(packet.peer.slice(separator + 1)),
+				family: 'IPv4',
+				replayed: true,
+			};
+			const buffer = Buffer.from(packet.packet, 'base64');
+			rinfo.size = buffer.length;
+			(packet.server === 'qlab' ? this.qlabServer : this.dbServer).emit('message', buffer, rinfo);
+			replayed += 1;
+		}
+
+		if (this.activeReplay === replay) this.activeReplay = null;
+		this.logger.info(`replayed ${replayed} of ${packets.length} packet(s)`);
+		this.emit('replayComplete', { path: filePath, replayed, total: packets.length });
+		return replayed;
+	}
+
+	/**
+	 * Stop a replay between packets
+	 * @returns {boolean} Whether a replay was stopped
+	 */
+	stopReplay() {
+		const replay = this.activeReplay;
+		if (!replay) return false;
+		replay.stopped = true;
+		clearTimeout(replay.timer);
+		if (replay.wake) replay.wake();
+		this.activeReplay = null;
+		return true;
+	}
+
+	/**
+	 * Starts the QLab server: binds to qlab.reply on qlab.bindAddress over UDP, or connects to QLab over TCP.
+	 * Later UDP socket errors are emitted as qlabServerError events, after which the server is bound again every qlab.rebindInterval milliseconds until it succeeds.
+	 * @returns {Promise<Object>} The QLab transport, once it is listening, or over TCP once it is first connected. Rejects if the UDP port could not be bound,
+	 * if no TCP connection was made within qlab.connectTimeout, or if the server is stopped first.
 	 */
 	startQLabServer() {
 		const { qlabServer } = this;
+		this.qlabServerStopped = false;
+		clearTimeout(this.qlabServerRebind);
+		if (!this.qlabServerStarting)
+			this.qlabServerStarting = new Promise((resolve, reject) => {
+				qlabServer.start((error) => {
+					if (error) {
+						reject(error);
+						return;
+					}
+					this.logger.info(`qlabServer ${qlabServer.describe()}`);
+					resolve(qlabServer);
+				});
+			}).finally(() => {
+				this.qlabServerStarting = null;
+			});
+		return this.qlabServerStarting;
+	}
 
-		qlabServer.bind(this.config.qlab.reply, () => {
-			console.log(
-				`dbscene: qlabServer listening on ${qlabServer.address().address}:${
-					qlabServer.address().port
-				}`
-			);
+	/**
+	 * Start the QLab server again after qlab.rebindInterval, retrying until it succeeds or the server is stopped
+	 * @returns {void}
+	 */
+	rebindQLabServer() {
+		if (this.qlabServerStopped) return;
+		this.qlabServerRebind = setTimeout(() => {
+			this.startQLabServer().catch((error) => {
+				this.logError(error);
+				this.emit('qlabServerError', error);
+				this.rebindQLabServer();
+			});
+		}, this.config.qlab.rebindInterval);
+	}
+
+	/**
+	 * Stop the QLab server. Requests awaiting a reply are rejected.
+	 * @returns {Promise<void>}
+	 */
+	async stopQLabServer() {
+		this.qlabServerStopped = true;
+		clearTimeout(this.qlabServerRebind);
+		this.qlabRequests.rejectAll(new Error('The QLab server was stopped'));
+		await new Promise((resolve) => {
+			this.qlabServer.close(() => {
+				this.emit('qlabServerClosed');
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Create the QLab transport, with the handlers of incoming messages
+	 * @returns {Object} The QLab transport, not yet started
+	 */
+	createQLabServer() {
+		const qlabServer = createTransport(this.config.qlab.transport, {
+			address: this.config.qlab.address,
+			port: this.config.qlab.port,
+			localPort: this.config.qlab.reply,
+			localAddress: this.config.qlab.bindAddress,
+			reconnectInterval: this.config.qlab.reconnectInterval,
+			connectTimeout: this.config.qlab.connectTimeout,
 		});
 
-		qlabServer.setMaxListeners(100);
+		// A TCP connection is connected to the workspace again after every reconnection
+		qlabServer.on('connect', () => {
+			this.connectQLab().catch((error) => {
+				// Stopping the server rejects a connection still in progress
+				if (!this.qlabServerStopped) this.logError(error);
+			});
+		});
+		qlabServer.on('disconnect', (error) => {
+			this.logger.warn('lost the TCP connection to QLab, reconnecting');
+			if (error) this.logger.verbose(error.message, { error });
+		});
 
 		qlabServer.on('error', (error) => {
-			console.error(error);
+			this.logError(error);
+			this.emit('qlabServerError', error);
 			qlabServer.close(() => {
 				this.emit('qlabServerClosed');
-				console.log('dbscene: qlabServer has closed due to error');
+				this.logger.warn('qlabServer has closed due to error');
+				this.rebindQLabServer();
 			});
-			throw error;
+		});
+
+		// Replies are matched to pending requests in the order the requests were sent
+		qlabServer.on('qlabReplied', (reply) => {
+			if (!this.qlabRequests.handleReply(reply))
+				this.logger.debug(`unmatched QLab reply for ${reply.address}`, {
+					direction: 'in',
+					address: reply.address,
+					cueID: addressCueID(reply.address),
+				});
 		});
 
 		// Incoming message handler
 		qlabServer.on('message', (msg, rinfo) => {
+			// Replayed packets are already in a recording
+			if (!rinfo.replayed) this.recorder.record('in', 'qlab', msg, rinfo);
 			try {
 				const oscMessage = fromBuffer(msg);
-				if (this.config.logging >= 2) logOscIn(oscMessage, rinfo);
+				logOscIn(this.logger, oscMessage, rinfo);
 
 				if (oscMessage.pathArr[0] === 'reply') {
 					const replyJSON = JSON.parse(oscMessage.argsArr[0]);
 					qlabServer.emit('qlabReplied', replyJSON);
 				}
 			} catch (error) {
-				console.error(
-					`QLab Server could not interpret incoming message from ${rinfo.address}:${rinfo.port}:`
+				this.logger.error(
+					`qlabServer could not interpret incoming message from ${rinfo.address}:${rinfo.port}`,
+					{ direction: 'in', peer: `${rinfo.address}:${rinfo.port}`, error }
 				);
-				console.error(error);
 			}
 		});
 
@@ -297,9 +1133,10 @@ class Dbscene extends EventEmitter {
 	/**
 	 * Updates the cache positions with the newly received coordinates
 	 * @param {OscMsg} oscMessage An OSC message object
+	 * @param {Object} [rinfo] UDP message info, identifying the DS100 which sent the message
 	 * @returns {void}
 	 */
-	async receivedCoordinates(oscMessage) {
+	async receivedCoordinates(oscMessage, rinfo) {
 		// Coordinate message format is: /dbaudio1/coordinatemapping/source_position[_x, _y, _xy]/[mapping]/[object] [x] [y]
 		let newX;
 		let newY;
@@ -311,82 +1148,180 @@ class Dbscene extends EventEmitter {
 		}
 
 		try {
-			const cacheObj = await this.getCacheObj(parseInt(oscMessage.pathArr[4]));
+			const device = this.getDeviceFromPeer(rinfo);
+			if (device === null) throw new Error(`Received coordinates from an unknown DS100`);
+			const objNum = toObjNum(device, parseInt(oscMessage.pathArr[4]));
+			const cacheObj = await this.getCacheObj(objNum);
 			if (cacheObj === null) {
-				if (this.config.logging >= 2)
-					console.error(new Error(`Cache object ${oscMessage.pathArr[4]} does not exist`));
+				this.logger.debug(`cache object ${objNum} does not exist`, { num: objNum });
 				return;
 			}
-			if (newX) cacheObj.x = newX;
-			if (newY) cacheObj.y = newY;
+			const mapping = parseInt(oscMessage.pathArr[3]);
+			const previous = this.cacheObjAt(cacheObj, mapping);
+			this.setCachePosition(
+				cacheObj,
+				mapping,
+				newX === undefined ? previous.x : newX,
+				newY === undefined ? previous.y : newY
+			);
 			this.dbServer.emit('cacheUpdated', cacheObj);
 			this.emit('cacheUpdated', cacheObj);
+			this.dbQueries.resolve(`${mapping}/${cacheObj.num}`, cacheObj);
 		} catch (error) {
-			console.error(error);
+			this.logError(error);
 		}
 	}
 
 	/**
-	 * create a new dbscene
-	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/create, with or without arguments
+	 * Updates a cache object parameter with the newly received value
+	 * @param {OscMsg} oscMessage An OSC message object
+	 * @param {Object} [rinfo] UDP message info, identifying the DS100 which sent the message
 	 * @returns {void}
 	 */
-	async dbsceneCreate(oscMessage) {
-		const mapping =
-			oscMessage.argsArr.length > 0
-				? checkMapping(oscMessage.argsArr[0])
-				: checkMapping(this.config.ds100.defaultMapping);
-
-		// Step 1 - Get current positions
-		await this.queryAllObjPos();
+	receivedParameter(oscMessage, rinfo) {
+		// Parameter message format is e.g.: /dbaudio1/positioning/source_spread/[object] [value]
+		const { parameter, num: input } = parseParameterAddress(oscMessage.address);
+		try {
+			const device = this.getDeviceFromPeer(rinfo);
+			if (device === null) throw new Error(`Received a parameter from an unknown DS100`);
+			const num = toObjNum(device, input);
+			const cacheObj = this.getCacheObj(num);
+			if (cacheObj === null) {
+				this.logger.debug(`cache object ${num} does not exist`, { num });
+				return;
+			}
+			cacheObj[parameter.name] = parseParameterValue(parameter, oscMessage.argsArr[0]);
+			this.dbServer.emit('cacheUpdated', cacheObj);
+			this.emit('cacheUpdated', cacheObj);
+			this.dbQueries.resolve(`${parameter.name}/${cacheObj.num}`, cacheObj);
+		} catch (error) {
+			this.logError(error);
+		}
+	}
 
-		// Step 2 - Create and name group cue
-		let groupCueID;
+	/**
+	 * Resolves the query for a matrix input property with the newly received value
+	 * @param {OscMsg} oscMessage An OSC message object
+	 * @param {Object} [rinfo] UDP message info, identifying the DS100 which sent the message
+	 * @returns {void}
+	 */
+	receivedInputValue(oscMessage, rinfo) {
+		// Input message format is e.g.: /dbaudio1/matrixinput/channelname/[input] [value]
+		const { property, input } = parseInputAddress(oscMessage.address);
 		try {
-			groupCueID = await this.createQLabCue('group'); // Returns uniqueID of new cue
-			this.sendToQLab({
-				address: `/cue_id/${groupCueID}/name`,
-				args: ['dbscene: '],
-			});
+			const device = this.getDeviceFromPeer(rinfo);
+			if (device === null) throw new Error(`Received an input property from an unknown DS100`);
+			const num = toObjNum(device, input);
+			this.dbQueries.resolve(
+				`${property.name}/${num}`,
+				parseInputValue(property, oscMessage.argsArr[0])
+			);
 		} catch (error) {
-			console.error(error);
-			return;
+			this.logError(error);
 		}
+	}
 
-		// Step 3 - Create the individual network cues
-		// eslint-disable-next-line no-restricted-syntax
-		for (const cacheObj of this.cache) {
-			try {
-				const cueID = await this.createQLabCue('network');
+	/**
+	 * create a new dbscene
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/create, optionally with a mapping, then an object group
+	 * @returns {void}
+	 */
+	async dbsceneCreate(oscMessage) {
+		const [mapping, group] = oscMessage.argsArr;
+		await this.createDbscene(mapping, group);
+	}
 
+	/**
+	 * Create a new dbscene at the QLab selection. In tracking mode, only objects which moved since the tracking reference are recorded.
+	 * @param {number|string} [mappingNum] The coordinate mapping, defaults to ds100.defaultMapping
+	 * @param {string} [group] Only record the objects in this object group, which is recorded in the notes of the group cue
+	 * @returns {string|undefined} The unique ID of the group cue, if it was created
+	 */
+	async createDbscene(mappingNum = this.config.ds100.defaultMapping, group = undefined) {
+		const mapping = checkMapping(mappingNum);
+		const objects = group === undefined ? this.cache : this.getGroupObjects(group);
+
+		// The new group is created after the selection, so the dbscenes up to the selection come before it
+		let selectedCueID;
+		if (this.tracking.enabled) {
+			try {
+				const selectedCues = await this.fetchQLabData('/selectedCues/shallow');
+				if (selectedCues.length > 0) selectedCueID = selectedCues[selectedCues.length - 1].uniqueID;
+			} catch (error) {
+				this.logError(error);
+			}
+		}
+
+		// Step 1 - Get current positions and parameters
+		checkAnswered(await this.queryAllObjPos(mapping, objects), mapping, 'no dbscene was created');
+		await this.queryAllObjParams(objects);
+		const positioned = objects.map((cacheObj) => this.cacheObjAt(cacheObj, mapping));
+
+		if (!this.tracking.enabled)
+			return this.recordCreated(
+				'create',
+				await this.buildDbscene(mapping, positioned, group, undefined, group)
+			);
+
+		let filter;
+		try {
+			filter = this.trackingFilter(
+				await this.trackingReference(mapping, selectedCueID, true),
+				mapping
+			);
+		} catch (error) {
+			this.logError(error);
+			return undefined;
+		}
+		const moved = positioned.filter(
+			(cacheObj) =>
+				filter(cacheObj, null) || this.parameters.some((parameter) => filter(cacheObj, parameter))
+		);
+		if (moved.length === 0) {
+			this.logger.verbose('no objects moved, no dbscene was created');
+			return undefined;
+		}
+		return this.recordCreated(
+			'create',
+			await this.buildDbscene(mapping, moved, group, filter, group)
+		);
+	}
+
+	/**
+	 * Build a dbscene group in QLab from a list of objects, e.g. the cache or a stored scene
+	 * @param {number} mapping The coordinate mapping of the position cues
+	 * @param {CacheObj[]} objects The objects, with their positions and parameters
+	 * @param {string} [name] The scene name, which fills the {name} token of the group name
+	 * @param {Function} [filter] Decides which cues are created, see createObjectCues
+	 * @param {string} [group] The object group the dbscene is for, recorded in the notes of the group cue
+	 * @returns {string|undefined} The unique ID of the group cue, if it was created
+	 */
+	async buildDbscene(mapping, objects, name = '', filter = undefined, group = undefined) {
+		// Step 2 - Create and name group cue
+		let groupCueID;
+		try {
+			groupCueID = await this.createQLabCue('group'); // Returns uniqueID of new cue
+			this.sendToQLab({
+				address: `/cue_id/${groupCueID}/name`,
+				args: [formatName(this.naming.group, { name, mapping })],
+			});
+			if (group !== undefined)
 				this.sendToQLab({
-					address: `/cue_id/${cueID}/patch`,
-					args: [this.config.qlab.ds100Patch],
-				});
-				this.sendToQLab({
-					address: `/cue_id/${cueID}/messageType`,
-					args: [2],
-				});
-				this.sendToQLab({
-					address: `/cue_id/${cueID}/customString`,
-					args: [
-						`/dbaudio1/coordinatemapping/source_position_xy/${mapping}/${cacheObj.num} ${cacheObj.x} ${cacheObj.y}`,
-					],
-				});
-				this.sendToQLab({
-					address: `/cue_id/${cueID}/name`,
-					args: [createQName(cacheObj)],
-				});
-				this.sendToQLab({
-					address: `/cue_id/${cueID}/duration`,
-					args: [this.config.qlab.defaultDuration],
-				});
-				this.sendToQLab({
-					address: `/move/${cueID}`,
-					args: [-1, `${groupCueID}`],
+					address: `/cue_id/${groupCueID}/notes`,
+					args: [`dbscene group: ${group}`],
 				});
+		} catch (error) {
+			this.logError(error);
+			return undefined;
+		}
+
+		// Step 3 - Create the individual network cues
+		// eslint-disable-next-line no-restricted-syntax
+		for (const cacheObj of objects) {
+			try {
+				await this.createObjectCues(groupCueID, mapping, cacheObj, filter);
 			} catch (error) {
-				console.error(error);
+				this.logError(error);
 			}
 		}
 
@@ -395,230 +1330,1969 @@ class Dbscene extends EventEmitter {
 			// Selects and collapses the group using both OSC and osascript
 			await this.selectAndCollapseCue(groupCueID);
 		} catch (error) {
-			console.error(error);
+			this.logError(error);
+		}
+		return groupCueID;
+	}
+
+	/**
+	 * Create the network cues of one object in a dbscene group: a position cue, and a cue for each configured parameter
+	 * @param {string} groupCueID The unique ID of the group cue
+	 * @param {number} mapping The coordinate mapping of the position cue
+	 * @param {CacheObj} cacheObj The object, with its position and parameters
+	 * @param {Function} [filter] Called with the object and a parameter, or null for the position cue. Only cues for which it returns true are created.
+	 * @returns {string[]} The unique IDs of the new cues
+	 */
+	async createObjectCues(groupCueID, mapping, cacheObj, filter = () => true) {
+		const device = this.getDevice(cacheObj.num);
+		const input = toInput(device, cacheObj.num);
+		const cueIDs = [];
+		if (filter(cacheObj, null)) {
+			cueIDs.push(
+				await this.createNetworkCue(
+					groupCueID,
+					device,
+					positionMessage(mapping, input, cacheObj.x, cacheObj.y),
+					this.positionCueName(cacheObj, mapping)
+				)
+			);
+		}
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const parameter of this.parameters.filter((param) => filter(cacheObj, param))) {
+			if (cacheObj[parameter.name] === null || cacheObj[parameter.name] === undefined) {
+				this.logger.warn(
+					`no ${parameter.name} value for object ${cacheObj.num}, its cue was not created`,
+					{ num: cacheObj.num }
+				);
+			} else {
+				cueIDs.push(
+					await this.createNetworkCue(
+						groupCueID,
+						device,
+						parameterMessage(parameter, input, cacheObj[parameter.name]),
+						this.parameterCueName(cacheObj, parameter)
+					)
+				);
+			}
+		}
+		return cueIDs;
+	}
+
+	/**
+	 * Get the state which tracking mode measures changes from
+	 * @param {number} mapping The coordinate mapping being recorded
+	 * @param {string} [anchorCueID] For the "previous" reference, the cue the dbscenes before it are read from; defaults to the end of the first cue list
+	 * @param {boolean} [inclusive] Whether a dbscene group at the anchor is itself part of the reference
+	 * @returns {TrackingReference} The last known state of each object
+	 */
+	async trackingReference(mapping, anchorCueID, inclusive = false) {
+		if (this.tracking.reference === 'snapshot') {
+			let scene;
+			if (this.tracking.scene) {
+				scene = await this.library.getScene(this.tracking.scene);
+			} else {
+				const scenes = await this.library.listScenes();
+				scene = scenes[scenes.length - 1];
+			}
+			if (!scene) {
+				this.logger.verbose('the scene library is empty, every object counts as moved');
+				return new Map();
+			}
+			if (scene.mapping !== mapping)
+				this.logger.verbose(
+					`scene "${scene.name}" is in mapping ${scene.mapping}, every position counts as moved`
+				);
+			return referenceFromScene(scene, this.parameters);
+		}
+
+		// Read the dbscenes nearest first, until every object is known
+		const reference = new Map();
+		const groupCueIDs = await this.findPreviousDbscenes(anchorCueID, inclusive);
+		// eslint-disable-next-line no-restricted-syntax
+		for (const groupCueID of groupCueIDs) {
+			if (isComplete(reference, this.cache, mapping, this.parameters)) break;
+			// eslint-disable-next-line no-restricted-syntax
+			for (const cue of await this.fetchDbsceneCues(groupCueID)) {
+				if (cue.message !== null) {
+					const objNum = toObjNum(await this.getCueDevice(cue.cueID), cue.message.input);
+					if (cue.message.type === 'position') {
+						addPosition(reference, objNum, cue.message.mapping, cue.message.x, cue.message.y);
+					} else {
+						addParameter(reference, objNum, cue.message.parameter.name, cue.message.value);
+					}
+				}
+			}
+		}
+		return reference;
+	}
+
+	/**
+	 * Create the cue filter of tracking mode, which passes positions and parameters which changed beyond the tolerance
+	 * @param {TrackingReference} reference
+	 * @param {number} mapping The coordinate mapping being recorded
+	 * @returns {Function} A filter for createObjectCues
+	 */
+	trackingFilter(reference, mapping) {
+		const { tolerance } = this.tracking;
+		return (cacheObj, parameter) =>
+			parameter === null
+				? positionChanged(reference, cacheObj, mapping, tolerance)
+				: parameterChanged(reference, cacheObj, parameter, tolerance);
+	}
+
+	/**
+	 * Find the dbscene groups before a cue, in the same cue list
+	 * @param {string} [anchorCueID] The unique ID of the cue; defaults to the end of the first cue list
+	 * @param {boolean} [inclusive] Whether the anchor itself is included, if it is a dbscene group
+	 * @returns {string[]} The unique IDs of the groups, nearest first
+	 */
+	async findPreviousDbscenes(anchorCueID, inclusive = false) {
+		const cueLists = await this.fetchQLabData('/cueLists');
+		let cues = [];
+		if (anchorCueID === undefined) {
+			cues = flattenCues((cueLists[0] && cueLists[0].cues) || []);
+		} else {
+			cueLists.some((cueList) => {
+				const flat = flattenCues(cueList.cues || []);
+				const index = flat.findIndex((cue) => cue.uniqueID === anchorCueID);
+				if (index === -1) return false;
+				cues = flat.slice(0, inclusive ? index + 1 : index);
+				return true;
+			});
+		}
+		return cues
+			.filter((cue) => cue.type === 'Group' && `${cue.name}`.startsWith('dbscene:'))
+			.map((cue) => cue.uniqueID)
+			.reverse();
+	}
+
+	/**
+	 * Check every dbscene in every cue list for cues with the wrong patch, malformed or non-xy messages, objects which appear twice or are not in the cache,
+	 * and cues which are not network cues. The report is emitted as an auditComplete event, and written to audit.path as JSON and text.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.fix] Whether to make the safe repairs: setting the patch when there is one DS100, rewriting source_position messages as source_position_xy, and deleting exact copies of a cue
+	 * @param {string|null} [options.path] The JSON file to write, defaults to audit.path
+	 * @returns {AuditReport} The report
+	 */
+	async auditWorkspace(options = {}) {
+		const fix = !!options.fix;
+		const reportPath = options.path === undefined ? this.auditConfig.path : options.path;
+
+		const cueLists = await this.fetchQLabData('/cueLists');
+		const groups = [];
+		cueLists.forEach((cueList) => {
+			flattenCues(cueList.cues || [])
+				.filter((cue) => cue.type === 'Group' && `${cue.name}`.startsWith('dbscene:'))
+				.forEach((cue) => groups.push({ ...cue, cueListName: cueList.name }));
+		});
+
+		const report = { timestamp: new Date().toISOString(), fix, dbscenes: groups.length, cues: 0 };
+		report.problems = [];
+		const audited = new Map(); // Each cue, with its group and position, for the history of repairs
+		// eslint-disable-next-line no-restricted-syntax
+		for (const group of groups) {
+			const cues = await Promise.all(
+				(group.cues || []).map(async (child) => {
+					const cue = { cueID: child.uniqueID, name: child.name, type: child.type };
+					if (child.type !== 'Network') return cue;
+					const [customString, patch] = await Promise.all([
+						this.fetchCueMessage(child.uniqueID),
+						this.fetchQLabData(`/cue_id/${child.uniqueID}/${this.qlabVersion.patchProperty}`),
+					]);
+					return { ...cue, customString, patch: parseInt(patch) };
+				})
+			);
+			report.cues += cues.length;
+			cues.forEach((cue, index) =>
+				audited.set(cue.cueID, { ...cue, groupCueID: group.uniqueID, index })
+			);
+			report.problems.push(
+				...auditDbscene(group, cues, { devices: this.devices, cache: this.cache })
+			);
+		}
+
+		if (fix) {
+			const removed = report.problems
+				.filter((problem) => problem.repair && problem.repair.remove)
+				.map((problem) => problem.cueID);
+			const modified = [];
+			const deleted = [];
+			report.problems = report.problems.map((problem) => {
+				const { repair, cueID } = problem;
+				if (!repair) return problem;
+				const cue = audited.get(cueID);
+				if (repair.remove) {
+					this.sendToQLab({ address: `/delete_id/${cueID}`, args: [] });
+					const { groupCueID, index, name, customString, patch } = cue;
+					deleted.push({
+						cueID,
+						action: 'deleted',
+						groupCueID,
+						index,
+						name,
+						from: customString,
+						patch,
+					});
+				} else if (removed.includes(cueID)) {
+					// The cue is deleted, so it needs no other repair
+				} else if (repair.patch !== undefined) {
+					this.sendToQLab({
+						address: `/cue_id/${cueID}/${this.qlabVersion.patchProperty}`,
+						args: [repair.patch],
+					});
+					modified.push({ cueID, action: 'modified', patch: cue.patch, toPatch: repair.patch });
+				} else {
+					this.setCueMessage(cueID, repair.customString);
+					modified.push({
+						cueID,
+						action: 'modified',
+						from: cue.customString,
+						to: repair.customString,
+					});
+				}
+				return { ...problem, fixed: true };
+			});
+			// Undo goes backwards, so deleted cues are put back in their groups from the first position up
+			await this.recordHistory('audit', `/dbscene/audit --fix of ${report.dbscenes} dbscene(s)`, [
+				...modified,
+				...deleted.reverse(),
+			]);
+		}
+
+		if (reportPath !== null) await writeAuditReport(report, reportPath);
+		this.logger[report.problems.length > 0 ? 'warn' : 'verbose'](
+			`audited ${report.dbscenes} dbscene(s) and found ${report.problems.length} problem(s)${
+				reportPath === null ? '' : `, see ${reportPath}`
+			}`
+		);
+		this.emit('auditComplete', report);
+		return report;
+	}
+
+	/**
+	 * Get the object group a dbscene group was created for, from its notes
+	 * @param {string} groupCueID The unique ID of the group cue
+	 * @returns {string|null} The object group, or null if the dbscene is for the whole cache
+	 */
+	async fetchDbsceneGroup(groupCueID) {
+		const notes = await this.fetchQLabData(`/cue_id/${groupCueID}/notes`);
+		const match = groupNotesRegex.exec(`${notes}`);
+		return match ? match[1] : null;
+	}
+
+	/**
+	 * Get the network cues of a dbscene group, with their parsed OSC messages
+	 * @param {string} groupCueID The unique ID of the group cue
+	 * @returns {Object[]} The cues, as { cueID, name, customString, message }; message is null for cues which are not DS100 position or parameter cues
+	 */
+	async fetchDbsceneCues(groupCueID) {
+		const children = await this.fetchQLabData(`/cue_id/${groupCueID}/children/shallow`);
+		return Promise.all(
+			children
+				.filter((childCue) => childCue.type === 'Network')
+				.map(async (childCue) => {
+					const customString = await this.fetchCueMessage(childCue.uniqueID);
+					return {
+						cueID: childCue.uniqueID,
+						name: childCue.name,
+						customString,
+						message: parseCueMessage(customString),
+					};
+				})
+		);
+	}
+
+	/**
+	 * Save a snapshot of the current positions to the scene library
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/save, with a name and optionally a mapping
+	 * @returns {void}
+	 */
+	async dbsceneSave(oscMessage) {
+		if (oscMessage.argsArr.length === 0) throw new Error('/dbscene/save requires a scene name');
+		const [name, mapping] = oscMessage.argsArr;
+		await this.saveScene(`${name}`, mapping);
+	}
+
+	/**
+	 * Load a scene from the scene library into the cache, and build a dbscene from it in QLab
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/load, with a name
+	 * @returns {void}
+	 */
+	async dbsceneLoad(oscMessage) {
+		if (oscMessage.argsArr.length === 0) throw new Error('/dbscene/load requires a scene name');
+		const scene = await this.loadScene(`${oscMessage.argsArr[0]}`);
+		await this.recordCreated(
+			'load',
+			await this.buildDbscene(checkMapping(scene.mapping), scene.objects, scene.name)
+		);
+	}
+
+	/**
+	 * Recall a scene from the scene library directly on the DS100
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/recall, with a name and optionally a fade time in seconds, mapping and curve
+	 * @returns {void}
+	 */
+	async dbsceneRecall(oscMessage) {
+		if (oscMessage.argsArr.length === 0) throw new Error('/dbscene/recall requires a scene name');
+		const [name, time, mapping, curve] = oscMessage.argsArr;
+		await this.recallScene(`${name}`, { time, mapping, curve });
+	}
+
+	/**
+	 * Move an object on the DS100
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/move or /dbscene/move/meters, with an object number, x, y and optionally a mapping
+	 * @param {boolean} meters Whether the position is in meters
+	 * @returns {void}
+	 */
+	async dbsceneMove(oscMessage, meters) {
+		if (oscMessage.argsArr.length < 3)
+			throw new Error(`${oscMessage.address} requires an object number, x and y`);
+		const [objNum, x, y, mapping] = oscMessage.argsArr;
+		await this.moveObject(objNum, parseFloat(x), parseFloat(y), { mapping, meters });
+	}
+
+	/**
+	 * Build or refresh the cache from the DS100 input names
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/discover, optionally with a mode and enabledOnly, e.g. "replace 1"
+	 * @returns {void}
+	 */
+	async dbsceneDiscover(oscMessage) {
+		const [mode, enabledOnly] = oscMessage.argsArr;
+		await this.discoverCache({
+			mode,
+			enabledOnly: enabledOnly === undefined ? undefined : !!parseInt(enabledOnly),
+		});
+	}
+
+	/**
+	 * Run a dbscene OSC method and reply to the sender in the style of QLab's /reply messages: the address is the method's address prefixed with /reply,
+	 * with one string argument holding JSON, { address, status, data }. The status is "ok", with the method's result as data, or "error", with the error message.
+	 * @param {OscMsg} oscMessage The OSC message being answered
+	 * @param {Object} rinfo UDP message info of the sender
+	 * @param {Function} method Returns the reply data, or a promise of it
+	 * @returns {void}
+	 */
+	async replyToOsc(oscMessage, rinfo, method) {
+		let reply;
+		try {
+			reply = { address: oscMessage.address, status: 'ok', data: await method() };
+		} catch (error) {
+			this.logger.verbose(error.message, { address: oscMessage.address, error });
+			reply = { address: oscMessage.address, status: 'error', data: error.message };
+		}
+		try {
+			await this.sendReply(
+				{
+					address: `/reply${oscMessage.address}`,
+					args: [{ type: 'string', value: JSON.stringify(reply) }],
+				},
+				rinfo
+			);
+		} catch (error) {
+			this.logError(error);
+		}
+	}
+
+	/**
+	 * Add an object to the cache
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/cache/add, with an object number and name
+	 * @returns {CacheObj} The new cache object
+	 */
+	async dbsceneCacheAdd(oscMessage) {
+		const [objNum, ...name] = oscMessage.argsArr;
+		if (name.length === 0) throw new Error('/dbscene/cache/add requires an object number and name');
+		if (this.getCacheObj(objNum) !== null) throw new Error(`Cache object ${objNum} already exists`);
+		return this.newCacheObj(objNum, name.join(' '));
+	}
+
+	/**
+	 * Remove an object from the cache
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/cache/remove, with an object number
+	 * @returns {CacheObj} The removed cache object
+	 */
+	dbsceneCacheRemove(oscMessage) {
+		const [objNum] = oscMessage.argsArr;
+		if (objNum === undefined) throw new Error('/dbscene/cache/remove requires an object number');
+		const cacheObj = this.getCacheObj(objNum);
+		if (cacheObj === null) throw new Error(`Cache object ${objNum} does not exist`);
+		this.removeCacheObj(objNum);
+		return cacheObj;
+	}
+
+	/**
+	 * Set the object groups of an object in the cache
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/cache/groups, with an object number and its groups; no groups removes it from every group
+	 * @returns {CacheObj} The cache object
+	 */
+	dbsceneCacheGroups(oscMessage) {
+		const [objNum, ...groups] = oscMessage.argsArr;
+		if (objNum === undefined) throw new Error('/dbscene/cache/groups requires an object number');
+		return this.setCacheObjGroups(objNum, groups);
+	}
+
+	/**
+	 * Rename an object in the cache
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/cache/rename, with an object number and the new name
+	 * @returns {CacheObj} The renamed cache object
+	 */
+	dbsceneCacheRename(oscMessage) {
+		const [objNum, ...name] = oscMessage.argsArr;
+		if (name.length === 0)
+			throw new Error('/dbscene/cache/rename requires an object number and name');
+		return this.updateCacheObj(objNum, name.join(' '));
+	}
+
+	/**
+	 * Refresh the position of one object, or of every object
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/query, optionally with an object number
+	 * @returns {Object} { objects, timedOut }: the queried cache objects, and the numbers of those which did not reply
+	 */
+	async dbsceneQuery(oscMessage) {
+		const [objNum] = oscMessage.argsArr;
+		if (objNum === undefined) {
+			const results = await this.queryAllObjPos();
+			return {
+				objects: this.getCache(),
+				timedOut: results
+					.filter((result) => result.status === 'timedOut')
+					.map((result) => result.cacheObj.num),
+			};
+		}
+		const cacheObj = this.getCacheObj(objNum);
+		if (cacheObj === null) throw new Error(`Cache object ${objNum} does not exist`);
+		try {
+			await this.queryObjPos(cacheObj);
+		} catch (error) {
+			this.logError(error);
+			return { objects: [cacheObj], timedOut: [cacheObj.num] };
+		}
+		return { objects: [cacheObj], timedOut: [] };
+	}
+
+	/**
+	 * Audit every dbscene in the workspace
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/audit, optionally with "fix" (or "--fix", or 1) to make the safe repairs
+	 * @returns {Object} A summary of the report, as { dbscenes, cues, problems, fixed }
+	 */
+	async dbsceneAudit(oscMessage) {
+		const [fix] = oscMessage.argsArr;
+		const report = await this.auditWorkspace({
+			fix: ['fix', '--fix', 1, '1', true].includes(fix),
+		});
+		return {
+			dbscenes: report.dbscenes,
+			cues: report.cues,
+			problems: report.problems.length,
+			fixed: report.problems.filter((problem) => problem.fixed).length,
+		};
+	}
+
+	/**
+	 * Recall a scene from the scene library by sending its positions straight to the DS100, fading from the objects' current positions
+	 * and parameters, which are queried in the mapping recalled into first. Recalling in another mapping than the scene's converts
+	 * the positions through the mapping areas, and rejects if they are not configured. Float parameters such as spread fade with the positions; integer parameters
+	 * such as delay mode are set when the fade starts. Starting a recall stops any recall already in progress, which emits recallStopped first.
+	 * Rejects without sending anything if a position query times out, and stops the fade if a message cannot be sent.
+	 * @param {string} name The scene name
+	 * @param {RecallOptions} [options]
+	 * @returns {boolean} True if the fade completed, false if it was stopped
+	 */
+	async recallScene(name, options = {}) {
+		const scene = await this.library.getScene(name);
+		const mapping = checkMapping(options.mapping === undefined ? scene.mapping : options.mapping);
+		const time = options.time === undefined ? 0 : parseFloat(options.time);
+		const curve = options.curve || this.recallConfig.curve;
+		if (Number.isNaN(time) || time < 0) throw new Error(`Invalid recall time ${options.time}`);
+
+		// A stopped recall reports recallStopped before this one starts
+		const stopped = this.activeRecall;
+		this.stopRecall();
+		if (stopped) await stopped.ended;
+		const targets = [];
+		scene.objects.forEach((sceneObj) => {
+			const cacheObj = this.cache.find((obj) => obj.num === sceneObj.num);
+			if (!cacheObj) {
+				this.logger.verbose(`object ${sceneObj.num} of scene "${name}" is not in the cache`, {
+					num: sceneObj.num,
+				});
+				return;
+			}
+			const device = this.getDevice(cacheObj.num);
+			targets.push({
+				cacheObj,
+				device,
+				input: toInput(device, cacheObj.num),
+				to: { ...sceneObj, ...this.scenePosition(scene, sceneObj, mapping) },
+				parameters: this.parameters.filter(
+					(parameter) => sceneObj[parameter.name] !== undefined && sceneObj[parameter.name] !== null
+				),
+			});
+		});
+
+		if (time > 0) {
+			// The fade starts where the objects are now, in the mapping it is sent in
+			const objects = targets.map((target) => target.cacheObj);
+			checkAnswered(
+				await this.queryAllObjPos(mapping, objects),
+				mapping,
+				`scene "${name}" was not recalled`
+			);
+			await this.queryAllObjParams(objects);
+		}
+		const moves = targets.map((target) => ({
+			...target,
+			from: this.cacheObjAt(target.cacheObj, mapping),
+		}));
+
+		this.logger.verbose(`recalling scene "${name}" in mapping ${mapping} over ${time}s`);
+		const started = { name, time, mapping, curve };
+		if (options.onStarted) options.onStarted(started);
+		this.emit('recallStarted', started);
+
+		// Sends in flight, and the first send which failed, which stops the fade
+		const sending = new Set();
+		let sendError = null;
+		let recall;
+		const send = (message, device) => {
+			const sent = this.sendToDS100(message, device).then((ok) => {
+				sending.delete(sent);
+				if (ok || sendError !== null) return;
+				sendError = new Error(
+					`Scene "${name}" could not be sent to ${device.name}, the recall was stopped`
+				);
+				if (recall) recall.cancel();
+			});
+			sending.add(sent);
+		};
+
+		let firstFrame = true;
+		let ended;
+		recall = fade({
+			duration: time * 1000,
+			curve,
+			frameInterval: 1000 / this.recallConfig.frameRate,
+			onFrame: (progress) => {
+				moves.forEach((move) => {
+					const { cacheObj, device, input, from, to } = move;
+					this.setCachePosition(
+						cacheObj,
+						mapping,
+						interpolate(from.x, to.x, progress),
+						interpolate(from.y, to.y, progress)
+					);
+					send(
+						{
+							address: `/dbaudio1/coordinatemapping/source_position_xy/${mapping}/${input}`,
+							args: [
+								{ type: 'float', value: cacheObj.x },
+								{ type: 'float', value: cacheObj.y },
+							],
+						},
+						device
+					);
+
+					move.parameters.forEach((parameter) => {
+						const fades = parameter.type === 'float' && typeof from[parameter.name] === 'number';
+						if (!fades && !firstFrame) return;
+						cacheObj[parameter.name] = fades
+							? interpolate(from[parameter.name], to[parameter.name], progress)
+							: to[parameter.name];
+						send(
+							{
+								address: `${parameter.address}/${input}`,
+								args: [{ type: parameter.type, value: cacheObj[parameter.name] }],
+							},
+							device
+						);
+					});
+				});
+				firstFrame = false;
+			},
+		});
+		recall.ended = new Promise((resolve) => {
+			ended = resolve;
+		});
+		this.activeRecall = recall;
+
+		const completed = await recall.promise;
+		await Promise.all(sending);
+		if (this.activeRecall === recall) this.activeRecall = null;
+		moves.forEach((move) => this.emit('cacheUpdated', move.cacheObj));
+		this.emit(completed && sendError === null ? 'recallComplete' : 'recallStopped', {
+			name,
+			mapping,
+		});
+		ended();
+		if (sendError !== null) throw sendError;
+		return completed;
+	}
+
+	/**
+	 * Get the position of a scene object in the mapping the scene is recalled in. A scene saved in another mapping is converted
+	 * through the mapping areas of both, as normalized positions mean different places in different mappings.
+	 * @param {Scene} scene The scene
+	 * @param {Object} sceneObj An object of the scene
+	 * @param {number} mapping The coordinate mapping the scene is recalled in
+	 * @returns {{x: number, y: number}} The normalized position, clamped to the mapping area
+	 */
+	scenePosition(scene, sceneObj, mapping) {
+		if (mapping === scene.mapping) return { x: sceneObj.x, y: sceneObj.y };
+		const meters = this.toMeters(sceneObj.num, scene.mapping, sceneObj.x, sceneObj.y);
+		if (meters === null)
+			throw new Error(
+				`Scene "${scene.name}" was saved in mapping ${scene.mapping}, recalling it in mapping ${mapping} needs the areas of both mappings`
+			);
+		const position = this.toNormalized(sceneObj.num, mapping, meters.x, meters.y);
+		return {
+			x: Math.min(Math.max(position.x, 0), 1),
+			y: Math.min(Math.max(position.y, 0), 1),
+		};
+	}
+
+	/**
+	 * Stop a recall fade in progress, leaving objects where they are
+	 * @returns {boolean} Whether a recall was in progress
+	 */
+	stopRecall() {
+		if (!this.activeRecall) return false;
+		this.activeRecall.cancel();
+		this.activeRecall = null;
+		return true;
+	}
+
+	/**
+	 * Send an object to a position on the DS100, and update its cache position
+	 * @param {number|string} objNum The object number
+	 * @param {number} x The x-coordinate, normalized or in meters
+	 * @param {number} y The y-coordinate, normalized or in meters
+	 * @param {Object} [options]
+	 * @param {number} [options.mapping] The coordinate mapping, defaults to ds100.defaultMapping
+	 * @param {boolean} [options.meters] Whether x and y are in meters, converted with the mapping area
+	 * @returns {CacheObj} The updated cache object
+	 */
+	async moveObject(objNum, x, y, options = {}) {
+		const mapping = checkMapping(
+			options.mapping === undefined ? this.config.ds100.defaultMapping : options.mapping
+		);
+		const cacheObj = this.getCacheObj(objNum);
+		if (cacheObj === null) throw new Error(`Cache object ${objNum} does not exist`);
+		if (Number.isNaN(x) || Number.isNaN(y)) throw new Error(`Invalid position ${x}, ${y}`);
+
+		const position = options.meters ? this.toNormalized(cacheObj.num, mapping, x, y) : { x, y };
+		if (!geometry.isInside(position.x, position.y))
+			throw new Error(
+				`${x}, ${y} lies outside the area of mapping ${mapping}, object ${cacheObj.num} was not moved`
+			);
+
+		const device = this.getDevice(cacheObj.num);
+		await this.sendToDS100(
+			{
+				address: `/dbaudio1/coordinatemapping/source_position_xy/${mapping}/${toInput(
+					device,
+					cacheObj.num
+				)}`,
+				args: [
+					{ type: 'float', value: position.x },
+					{ type: 'float', value: position.y },
+				],
+			},
+			device
+		);
+		this.setCachePosition(cacheObj, mapping, position.x, position.y);
+		this.emit('cacheUpdated', cacheObj);
+		return cacheObj;
+	}
+
+	/**
+	 * Query the current positions and parameters of every object, and store them in the scene library
+	 * @param {string} name The scene name; an existing scene with this name is replaced
+	 * @param {number|string} mapping The mapping to be queried
+	 * @returns {Scene} The stored scene
+	 */
+	async saveScene(name, mapping = parseInt(this.config.ds100.defaultMapping)) {
+		const mappingNum = checkMapping(mapping);
+		checkAnswered(
+			await this.queryAllObjPos(mappingNum),
+			mappingNum,
+			`scene "${name}" was not saved`
+		);
+		await this.queryAllObjParams();
+
+		const scene = await this.library.saveScene({
+			name,
+			timestamp: new Date().toISOString(),
+			mapping: mappingNum,
+			objects: this.cache.map((cacheObj) => this.cacheObjAt(cacheObj, mappingNum)),
+		});
+		this.logger.verbose(`saved scene "${name}"`);
+		this.emit('sceneSaved', scene);
+		return scene;
+	}
+
+	/**
+	 * Load a scene from the scene library, applying its positions and parameters to the cache objects it contains.
+	 * Objects in the scene which are not in the cache are skipped. Nothing is sent to the DS100.
+	 * @param {string} name The scene name
+	 * @returns {Scene} The scene
+	 */
+	async loadScene(name) {
+		const scene = await this.library.getScene(name);
+		scene.objects.forEach((sceneObj) => {
+			const cacheObj = this.cache.find((obj) => obj.num === sceneObj.num);
+			if (!cacheObj) {
+				this.logger.verbose(`object ${sceneObj.num} of scene "${name}" is not in the cache`, {
+					num: sceneObj.num,
+				});
+				return;
+			}
+			this.setCachePosition(cacheObj, scene.mapping, sceneObj.x, sceneObj.y);
+			this.parameters.forEach((parameter) => {
+				if (sceneObj[parameter.name] !== undefined)
+					cacheObj[parameter.name] = sceneObj[parameter.name];
+			});
+			this.emit('cacheUpdated', cacheObj);
+		});
+		this.logger.verbose(`loaded scene "${name}"`);
+		this.emit('sceneLoaded', scene);
+		return scene;
+	}
+
+	/**
+	 * List the scenes in the scene library
+	 * @returns {Scene[]} The scenes, oldest first
+	 */
+	listScenes() {
+		return this.library.listScenes();
+	}
+
+	/**
+	 * Delete a scene from the scene library
+	 * @param {string} name The scene name
+	 * @returns {boolean} Whether the scene existed
+	 */
+	deleteScene(name) {
+		return this.library.deleteScene(name);
+	}
+
+	/**
+	 * Create a DS100 network cue and move it into a group
+	 * @param {string} groupCueID The unique ID of the group cue
+	 * @param {DS100Device} device The DS100 the cue is patched to
+	 * @param {string} customString The OSC message the cue will send
+	 * @param {string} name The cue name
+	 * @param {number} [index] The position of the cue in the group, defaults to the end
+	 * @returns {string} The unique ID of the new cue
+	 */
+	async createNetworkCue(groupCueID, device, customString, name, index = -1) {
+		const cueID = await this.createQLabCue('network');
+
+		this.sendToQLab({
+			address: `/cue_id/${cueID}/${this.qlabVersion.patchProperty}`,
+			args: [device.qlabPatch],
+		});
+		if (this.qlabVersion.messageType !== null) {
+			this.sendToQLab({
+				address: `/cue_id/${cueID}/messageType`,
+				args: [this.qlabVersion.messageType],
+			});
+		}
+		this.setCueMessage(cueID, customString);
+		this.sendToQLab({
+			address: `/cue_id/${cueID}/name`,
+			args: [name],
+		});
+		this.sendToQLab({
+			address: `/cue_id/${cueID}/duration`,
+			args: [this.config.qlab.defaultDuration],
+		});
+		this.sendToQLab({
+			address: `/move/${cueID}`,
+			args: [index, `${groupCueID}`],
+		});
+		return cueID;
+	}
+
+	/**
+	 * Update the selected dbscene
+	 * @param {OscMsg} [oscMessage] An OSC message addressed to /dbscene/update, optionally with an object group
+	 * @returns {void}
+	 */
+	async dbsceneUpdate(oscMessage = undefined) {
+		await this.updateSelectedCues(oscMessage === undefined ? undefined : oscMessage.argsArr[0]);
+	}
+
+	/**
+	 * Update the selected dbscenes and network cues
+	 * @param {string} [group] Only update the cues of the objects in this object group
+	 * @returns {void}
+	 */
+	async updateSelectedCues(group = undefined) {
+		const objects = group === undefined ? undefined : this.groupObjectNums(group);
+		let selectedCues;
+		try {
+			selectedCues = await this.fetchQLabData('/selectedCues/shallow');
+		} catch (error) {
+			this.logError(error);
+			return;
+		}
+
+		const updates = await Promise.all(
+			selectedCues.map(async (selectedCue) => {
+				try {
+					if (selectedCue.type === 'Group' && selectedCue.name.startsWith('dbscene:'))
+						return await this.updateGroupCue(selectedCue.uniqueID, objects);
+					if (selectedCue.type === 'Network') {
+						const update = await this.updateNetworkCue(
+							selectedCue.uniqueID,
+							undefined,
+							selectedCue.name,
+							objects
+						);
+						return [{ ...update, name: selectedCue.name }];
+					}
+				} catch (error) {
+					this.logError(error);
+				}
+				return [];
+			})
+		);
+		await this.recordHistory(
+			'update',
+			`/dbscene/update of ${selectedCues.length} selected cue(s)${
+				group === undefined ? '' : ` for object group ${group}`
+			}`,
+			cueChanges(updates.flat())
+		);
+	}
+
+	/**
+	 * Update every matching dbscene in the workspace
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/updateAll, with an optional cue list name and filters as key=value arguments:
+	 * name=<pattern>, from=<cue number>, to=<cue number> and objects=<comma separated object numbers>
+	 * @returns {Object} The counts of the summary
+	 */
+	async dbsceneUpdateAll(oscMessage) {
+		const options = {};
+		oscMessage.argsArr.forEach((arg) => {
+			const match = /^(name|from|to|objects|group)=(.*)$/.exec(`${arg}`);
+			if (!match) {
+				options.cueList = `${arg}`;
+			} else if (match[1] === 'name' || match[1] === 'group') {
+				[, , options[match[1]]] = match;
+			} else if (match[1] === 'objects') {
+				options.objects = match[2].split(',').map(checkNum);
+			} else {
+				options[match[1]] = parseFloat(match[2]);
+				if (Number.isNaN(options[match[1]]))
+					throw new Error(`${match[1]} must be a cue number, not "${match[2]}"`);
+			}
+		});
+		const summary = await this.updateAllDbscenes(options);
+		return { dbscenes: summary.dbscenes.length, ...summary.counts };
+	}
+
+	/**
+	 * Find the dbscene groups in the workspace, walking into every group which is not itself a dbscene
+	 * @param {UpdateAllOptions} [filters] The cue list, name and cue number filters; objects is ignored
+	 * @returns {Object[]} The groups in cue list order, as { uniqueID, name, number, cueListName }
+	 */
+	async findDbscenes(filters = {}) {
+		const cueLists = await this.fetchQLabData('/cueLists/shallow');
+		const selected = cueLists.filter(
+			(cueList) => filters.cueList === undefined || cueList.name === filters.cueList
+		);
+		if (selected.length === 0) throw new Error(`There is no cue list named "${filters.cueList}"`);
+
+		const pattern = filters.name === undefined ? null : globToRegExp(filters.name);
+		const ranged = filters.from !== undefined || filters.to !== undefined;
+		const matches = (cue) => {
+			if (pattern !== null && !pattern.test(`${cue.name}`)) return false;
+			if (!ranged) return true;
+			const number = parseFloat(cue.number);
+			if (Number.isNaN(number)) return false;
+			return (
+				(filters.from === undefined || number >= filters.from) &&
+				(filters.to === undefined || number <= filters.to)
+			);
+		};
+
+		const found = [];
+		const walk = async (parentCueID, cueListName) => {
+			const children = await this.fetchQLabData(`/cue_id/${parentCueID}/children/shallow`);
+			// eslint-disable-next-line no-restricted-syntax
+			for (const cue of children) {
+				if (cue.type === 'Group' && `${cue.name}`.startsWith('dbscene:')) {
+					if (matches(cue))
+						found.push({
+							uniqueID: cue.uniqueID,
+							name: cue.name,
+							number: cue.number,
+							cueListName,
+						});
+				} else if (cue.type === 'Group') {
+					await walk(cue.uniqueID, cueListName);
+				}
+			}
+		};
+		// eslint-disable-next-line no-restricted-syntax
+		for (const cueList of selected) await walk(cueList.uniqueID, cueList.name);
+		return found;
+	}
+
+	/**
+	 * Update every matching dbscene to the current positions and parameter values, one group at a time.
+	 * An updateAllProgress event is emitted after each group, and the summary as an updateAllComplete event.
+	 * @param {UpdateAllOptions} [options]
+	 * @returns {UpdateAllSummary} What changed
+	 */
+	async updateAllDbscenes(options = {}) {
+		const objects =
+			options.group === undefined
+				? options.objects
+				: this.groupObjectNums(options.group, options.objects);
+		const groups = await this.findDbscenes(options);
+		const counts = { updated: 0, unchanged: 0, added: 0, skipped: 0, failed: 0, failedGroups: 0 };
+		const summary = { dbscenes: [], counts };
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const group of groups) {
+			const result = { groupCueID: group.uniqueID, ...group, cues: [] };
+			delete result.uniqueID;
+			try {
+				result.cues = await this.updateGroupCue(group.uniqueID, objects);
+			} catch (error) {
+				this.logError(error);
+				result.error = error.message;
+				counts.failedGroups += 1;
+			}
+			result.cues.forEach((cue) => {
+				counts[cue.status] += 1;
+			});
+			summary.dbscenes.push(result);
+			this.emit('updateAllProgress', {
+				done: summary.dbscenes.length,
+				total: groups.length,
+				groupCueID: group.uniqueID,
+				name: group.name,
+			});
+		}
+
+		this.logger.verbose(
+			`updated ${groups.length} dbscene(s): ${counts.updated} cue(s) changed, ${counts.unchanged} unchanged, ${counts.added} added, ${counts.failed} failed`
+		);
+		await this.recordHistory(
+			'updateAll',
+			`/dbscene/updateAll of ${groups.length} dbscene(s)`,
+			cueChanges(summary.dbscenes.flatMap((dbscene) => dbscene.cues))
+		);
+		this.emit('updateAllComplete', summary);
+		return summary;
+	}
+
+	/**
+	 * Update a dbscene Group cue to current positions. In tracking mode, cues are also added for objects which moved since the tracking reference.
+	 * @param {string} cueID The unique ID of the cue
+	 * @param {number[]} [objects] Only update the cues of these objects, defaults to every object
+	 * @returns {CueUpdate[]} The outcome for each cue
+	 */
+	async updateGroupCue(cueID, objects = undefined) {
+		// A dbscene created for an object group only holds that group
+		const group = await this.fetchDbsceneGroup(cueID);
+		const only = group === null ? objects : this.groupObjectNums(group, objects);
+		const cues = await this.fetchDbsceneCues(cueID);
+		const updates = await Promise.all(
+			cues.map((cue) =>
+				this.updateNetworkCue(cue.cueID, cue.customString, cue.name, only).then(
+					(update) => ({ ...update, name: cue.name }),
+					(error) => {
+						this.logError(error);
+						return { cueID: cue.cueID, name: cue.name, status: 'failed', error: error.message };
+					}
+				)
+			)
+		);
+		if (this.tracking.enabled) updates.push(...(await this.addMovedObjectCues(cueID, cues, only)));
+		return updates;
+	}
+
+	/**
+	 * Add cues to a dbscene group for objects which moved since the tracking reference, and have no cue in the group yet. Existing cues are never removed.
+	 * @param {string} groupCueID The unique ID of the group cue
+	 * @param {Object[]} cues The network cues of the group, from fetchDbsceneCues
+	 * @param {number[]} [objects] Only add cues for these objects, defaults to every object
+	 * @returns {CueUpdate[]} The new cues, and a failed outcome without a cue for each object which did not answer
+	 */
+	async addMovedObjectCues(groupCueID, cues, objects = undefined) {
+		const recorded = new Set();
+		let mapping;
+		// eslint-disable-next-line no-restricted-syntax
+		for (const { cueID, message } of cues) {
+			if (message !== null) {
+				const objNum = toObjNum(await this.getCueDevice(cueID), message.input);
+				if (message.type === 'position') {
+					recorded.add(`position/${objNum}`);
+					if (mapping === undefined) mapping = message.mapping;
+				} else {
+					recorded.add(`${message.parameter.name}/${objNum}`);
+				}
+			}
+		}
+		if (mapping === undefined) mapping = checkMapping(this.config.ds100.defaultMapping);
+
+		const reference = await this.trackingReference(mapping, groupCueID, false);
+		// Objects which did not answer are left out, rather than compared at a position never received
+		const unanswered = (await this.queryAllObjPos(mapping))
+			.filter((result) => result.status === 'timedOut')
+			.map((result) => result.cacheObj.num);
+		await this.queryAllObjParams();
+		const changed = this.trackingFilter(reference, mapping);
+		const filter = (cacheObj, parameter) =>
+			!recorded.has(`${parameter === null ? 'position' : parameter.name}/${cacheObj.num}`) &&
+			changed(cacheObj, parameter);
+
+		const added = [];
+		// eslint-disable-next-line no-restricted-syntax
+		for (const cacheObj of this.cache) {
+			if (objects === undefined || objects.includes(cacheObj.num)) {
+				if (unanswered.includes(cacheObj.num)) {
+					added.push({
+						num: cacheObj.num,
+						status: 'failed',
+						error: `object ${cacheObj.num} did not answer in mapping ${mapping}`,
+					});
+				} else {
+					try {
+						const cueIDs = await this.createObjectCues(
+							groupCueID,
+							mapping,
+							this.cacheObjAt(cacheObj, mapping),
+							filter
+						);
+						cueIDs.forEach((cueID) => added.push({ cueID, num: cacheObj.num, status: 'added' }));
+					} catch (error) {
+						this.logError(error);
+					}
+				}
+			}
+		}
+		return added;
+	}
+
+	/**
+	 * Update a dbscene Network cue to the current position, or current parameter value.
+	 * In tracking mode, the cue is left as it is unless the value changed beyond the tolerance.
+	 * @param {string} cueID The unique ID of the cue
+	 * @param {string} [customString] The OSC message of the cue, if it was already fetched
+	 * @param {string} [cueName] The name of the cue, if it was already fetched
+	 * @param {number[]} [objects] Only update the cue if it addresses one of these objects
+	 * @returns {CueUpdate} The outcome
+	 */
+	async updateNetworkCue(
+		cueID,
+		customString = undefined,
+		cueName = undefined,
+		objects = undefined
+	) {
+		// Get the custom message of the child cue
+		const from = customString === undefined ? await this.fetchCueMessage(cueID) : customString;
+		const message = parseCueMessage(from);
+
+		// Custom Message validity check
+		if (message === null) {
+			throw new Error(
+				'The network cue was not properly addressed for DS100 coordinate mapping or a captured parameter'
+			);
+		}
+
+		const device = await this.getCueDevice(cueID);
+		const objNum = toObjNum(device, message.input);
+		if (objects !== undefined && !objects.includes(objNum))
+			return { cueID, num: objNum, status: 'skipped' };
+		if (message.type === 'parameter')
+			return this.updateParamCue(cueID, message.parameter, objNum, message.value, cueName, from);
+
+		const cacheObj = this.getCacheObj(objNum);
+		if (cacheObj === null) throw new Error(`Cache object ${objNum} does not exist`);
+
+		try {
+			await this.queryObjPos(cacheObj, message.mapping);
+		} catch (error) {
+			this.logError(error);
+			return { cueID, num: objNum, status: 'failed', from, error: error.message };
+		}
+		const current = this.cacheObjAt(cacheObj, message.mapping);
+
+		if (
+			this.tracking.enabled &&
+			!differs(current.x, message.x, this.tracking.tolerance) &&
+			!differs(current.y, message.y, this.tracking.tolerance)
+		) {
+			this.logger.debug(`object ${objNum} has not moved, its cue was not updated`, {
+				cueID,
+				num: objNum,
+			});
+			return { cueID, num: objNum, status: 'unchanged', from, to: from };
+		}
+
+		const to = positionMessage(message.mapping, toInput(device, current.num), current.x, current.y);
+		this.setCueMessage(cueID, to);
+		this.sendToQLab({
+			address: `/cue_id/${cueID}/name`,
+			args: [
+				this.positionCueName(
+					current,
+					message.mapping,
+					cueName === undefined ? await this.fetchCueName(cueID) : cueName
+				),
+			],
+		});
+		return { cueID, num: objNum, status: to === from ? 'unchanged' : 'updated', from, to };
+	}
+
+	/**
+	 * Update a dbscene parameter cue to the current parameter value
+	 * @param {string} cueID The unique ID of the cue
+	 * @param {ObjParameter} parameter The parameter addressed by the cue
+	 * @param {number} objNum The object number addressed by the cue
+	 * @param {number} [cueValue] The value the cue currently sends, which tracking mode compares with
+	 * @param {string} [cueName] The name of the cue, if it was already fetched
+	 * @param {string} [from] The OSC message of the cue, if it was already fetched
+	 * @returns {CueUpdate} The outcome
+	 */
+	async updateParamCue(
+		cueID,
+		parameter,
+		objNum,
+		cueValue = undefined,
+		cueName = undefined,
+		from = undefined
+	) {
+		const device = this.getDevice(objNum);
+		const cacheObj = this.getCacheObj(objNum);
+		if (cacheObj === null) throw new Error(`Cache object ${objNum} does not exist`);
+
+		try {
+			await this.queryObjParam(cacheObj, parameter.name);
+		} catch (error) {
+			this.logError(error);
+			return { cueID, num: objNum, status: 'failed', from, error: error.message };
+		}
+
+		const tolerance = parameter.type === 'integer' ? 0 : this.tracking.tolerance;
+		if (this.tracking.enabled && !differs(cacheObj[parameter.name], cueValue, tolerance)) {
+			this.logger.debug(
+				`${parameter.name} of object ${objNum} has not changed, its cue was not updated`,
+				{ cueID, num: objNum }
+			);
+			return { cueID, num: objNum, status: 'unchanged', from, to: from };
+		}
+
+		const to = parameterMessage(parameter, toInput(device, cacheObj.num), cacheObj[parameter.name]);
+		this.setCueMessage(cueID, to);
+		this.sendToQLab({
+			address: `/cue_id/${cueID}/name`,
+			args: [
+				this.parameterCueName(
+					cacheObj,
+					parameter,
+					cueName === undefined ? await this.fetchCueName(cueID) : cueName
+				),
+			],
+		});
+		return { cueID, num: objNum, status: to === from ? 'unchanged' : 'updated', from, to };
+	}
+
+	/**
+	 * Name a position cue from the naming template. An existing name keeps everything but its coordinate and mapping tokens.
+	 * @param {CacheObj} cacheObj The object
+	 * @param {number} mapping The coordinate mapping of the cue
+	 * @param {string} [existingName] The cue's current name, when updating
+	 * @returns {string} Cue name, e.g. "1 - Homer: 0.56983465834, 0.98293858464"
+	 */
+	positionCueName(cacheObj, mapping, existingName = undefined) {
+		const values = {
+			num: cacheObj.num,
+			name: cacheObj.name || '(unnamed)',
+			mapping,
+			x: cacheObj.x,
+			y: cacheObj.y,
+		};
+		const meters = this.toMeters(cacheObj.num, mapping, cacheObj.x, cacheObj.y);
+		if (meters !== null) {
+			values.xm = meters.x;
+			values.ym = meters.y;
+		}
+		return this.cueName(this.naming.position, values, existingName);
+	}
+
+	/**
+	 * Name a parameter cue from the naming template, like positionCueName
+	 * @param {CacheObj} cacheObj The object
+	 * @param {ObjParameter} parameter The parameter
+	 * @param {string} [existingName] The cue's current name, when updating
+	 * @returns {string} Cue name, e.g. "1 - Homer: spread 0.5"
+	 */
+	parameterCueName(cacheObj, parameter, existingName = undefined) {
+		const values = {
+			num: cacheObj.num,
+			name: cacheObj.name || '(unnamed)',
+			parameter: parameter.name,
+			value: cacheObj[parameter.name],
+		};
+		return this.cueName(this.naming.parameter, values, existingName);
+	}
+
+	/**
+	 * Fill in a naming template, or refresh an existing name made from it
+	 * @param {string} template
+	 * @param {Object} values The value of each token
+	 * @param {string} [existingName] The cue's current name; names which no longer match the template are replaced
+	 * @returns {string} The cue name
+	 */
+	cueName(template, values, existingName = undefined) {
+		const { precision } = this.naming;
+		if (existingName !== undefined) {
+			const refreshed = refreshName(existingName, template, values, precision);
+			if (refreshed !== null) return refreshed;
+			this.logger.verbose(`cue "${existingName}" does not match its naming template, renaming it`);
 		}
+		return formatName(template, values, precision);
 	}
 
 	/**
-	 * Update the selected dbscene
-	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/update
+	 * Move the selected dbscenes, or position cues, to another coordinate mapping
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/remap, with the new mapping and optionally the method and what to do with objects outside the new area
 	 * @returns {void}
 	 */
-	async dbsceneUpdate() {
-		let selectedCues;
-		try {
-			selectedCues = await this.fetchQLabData('/selectedCues/shallow');
-		} catch (error) {
-			console.error(error);
-			return;
-		}
+	async dbsceneRemap(oscMessage) {
+		if (oscMessage.argsArr.length === 0) throw new Error('/dbscene/remap requires a mapping');
+		const [toMapping, method, outside] = oscMessage.argsArr;
+		await this.remapSelectedCues(toMapping, { method, outside });
+	}
+
+	/**
+	 * Rewrite the position cues of the selected dbscenes, or the selected position cues, in another coordinate mapping.
+	 * Parameter cues are left as they are.
+	 * @param {number|string} toMapping The new mapping
+	 * @param {RemapOptions} [options]
+	 * @returns {RemapResult[]} The outcome for each position cue
+	 */
+	async remapSelectedCues(toMapping, options = {}) {
+		const mapping = checkMapping(toMapping);
+		const outside = options.outside || this.remapConfig.outside;
+		if (!['clamp', 'skip'].includes(outside))
+			throw new Error(
+				`Objects outside the mapping area must be clamped or skipped, received ${outside}`
+			);
+		const method = options.method || this.remapConfig.method;
+		if (method !== undefined && !['geometry', 'query'].includes(method))
+			throw new Error(`Remap method must be "geometry" or "query", received ${method}`);
 
-		selectedCues.forEach(async (selectedCue) => {
+		const results = [];
+		const renamed = []; // Group cues, as the history records them
+		const selectedCues = await this.fetchQLabData('/selectedCues/shallow');
+		// eslint-disable-next-line no-restricted-syntax
+		for (const selectedCue of selectedCues) {
 			try {
-				if (selectedCue.type === 'Group' && selectedCue.name.startsWith('dbscene:')) {
-					this.updateGroupCue(selectedCue.uniqueID);
+				let cues = [];
+				const isDbscene = selectedCue.type === 'Group' && selectedCue.name.startsWith('dbscene:');
+				if (isDbscene) {
+					cues = await this.fetchDbsceneCues(selectedCue.uniqueID);
 				} else if (selectedCue.type === 'Network') {
-					this.updateNetworkCue(selectedCue.uniqueID);
+					const customString = await this.fetchCueMessage(selectedCue.uniqueID);
+					cues = [
+						{
+							cueID: selectedCue.uniqueID,
+							name: selectedCue.name,
+							customString,
+							message: parseCueMessage(customString),
+						},
+					];
+				}
+
+				const cueResults = [];
+				// eslint-disable-next-line no-restricted-syntax
+				for (const cue of cues.filter((c) => c.message && c.message.type === 'position')) {
+					try {
+						cueResults.push(await this.remapPositionCue(cue, mapping, { method, outside }));
+					} catch (error) {
+						this.logError(error);
+					}
 				}
+				results.push(...cueResults);
+
+				// The group name only follows if some of its objects are now in the new mapping
+				const moved = cueResults.some((result) => result.status !== 'skipped');
+				if (isDbscene && moved && this.remapGroupName(selectedCue, mapping))
+					renamed.push({ cueID: selectedCue.uniqueID, action: 'modified', name: selectedCue.name });
 			} catch (error) {
-				console.error(error);
+				this.logError(error);
 			}
+		}
+
+		const outsideArea = results.filter((result) => ['clamped', 'skipped'].includes(result.status));
+		if (outsideArea.length > 0) {
+			this.logger.warn(
+				`object(s) ${outsideArea
+					.map((result) => result.num)
+					.join(', ')} lie outside the area of mapping ${mapping}, their cues were ${
+					outside === 'clamp' ? 'clamped to its edge' : 'not remapped'
+				}`
+			);
+		}
+		this.logger.verbose(
+			`remapped ${
+				results.filter((result) => result.status !== 'skipped').length
+			} position cue(s) to mapping ${mapping}`
+		);
+		await this.recordHistory('remap', `/dbscene/remap to mapping ${mapping}`, [
+			...renamed,
+			...results
+				.filter((result) => result.to !== undefined)
+				.map(({ cueID, name, from, to }) => ({ cueID, action: 'modified', name, from, to })),
+		]);
+		this.emit('dbsceneRemapped', { mapping, results });
+		return results;
+	}
+
+	/**
+	 * Rewrite one position cue in another coordinate mapping
+	 * @param {Object} cue The cue, as returned by fetchDbsceneCues
+	 * @param {number} toMapping The new mapping
+	 * @param {RemapOptions} options
+	 * @returns {RemapResult} The outcome
+	 */
+	async remapPositionCue(cue, toMapping, options) {
+		const { cueID, message } = cue;
+		const device = await this.getCueDevice(cueID);
+		const objNum = toObjNum(device, message.input);
+		const cacheObj = this.getCacheObj(objNum);
+		if (cacheObj === null) throw new Error(`Cache object ${objNum} does not exist`);
+		// source_position_x and _y cues move one axis, which a source_position_xy cue cannot keep
+		if (Number.isNaN(message.x) || Number.isNaN(message.y))
+			throw new Error(`"${cue.customString}" does not send both coordinates, it was not remapped`);
+		if (message.mapping === toMapping)
+			return { cueID, num: objNum, status: 'unchanged', x: message.x, y: message.y };
+
+		// Converting keeps the stored position of the cue; a query reads where the object is now
+		const { mappingAreas } = device;
+		const method =
+			options.method ||
+			(mappingAreas[message.mapping] && mappingAreas[toMapping] ? 'geometry' : 'query');
+		let position;
+		if (method === 'geometry') {
+			const meters = this.toMeters(objNum, message.mapping, message.x, message.y);
+			if (meters === null)
+				throw new Error(`The area of mapping ${message.mapping} is not configured`);
+			position = this.toNormalized(objNum, toMapping, meters.x, meters.y);
+		} else {
+			await this.queryObjPos(cacheObj, toMapping);
+			const { x, y } = this.cacheObjAt(cacheObj, toMapping);
+			position = { x, y };
+		}
+
+		const result = { cueID, num: objNum, status: 'remapped', ...position };
+		if (!geometry.isInside(position.x, position.y)) {
+			if (options.outside === 'skip') return { ...result, status: 'skipped' };
+			result.status = 'clamped';
+			position.x = Math.min(Math.max(position.x, 0), 1);
+			position.y = Math.min(Math.max(position.y, 0), 1);
+		}
+
+		const to = positionMessage(toMapping, message.input, position.x, position.y);
+		this.setCueMessage(cueID, to);
+		this.sendToQLab({
+			address: `/cue_id/${cueID}/name`,
+			args: [this.positionCueName({ ...cacheObj, ...position }, toMapping, cue.name)],
 		});
+		return { ...result, name: cue.name, from: cue.customString, to };
 	}
 
 	/**
-	 * Update a dbscene Group cue to current positions
-	 * @param {string} cueID The unique ID of the cue
+	 * Refresh the {mapping} token of a dbscene group name, if its name still matches the naming template
+	 * @param {Object} groupCue The group cue, as described by QLab
+	 * @param {number} mapping The new mapping
+	 * @returns {boolean} Whether the group was renamed
 	 */
-	async updateGroupCue(cueID) {
-		const children = await this.fetchQLabData(`/cue_id/${cueID}/children/shallow`);
-		children.forEach((childCue) => {
-			if (childCue.type === 'Network') {
-				try {
-					this.updateNetworkCue(childCue.uniqueID);
-				} catch (error) {
-					console.error(error);
-				}
-			}
+	remapGroupName(groupCue, mapping) {
+		const name = refreshName(groupCue.name, this.naming.group, { mapping }, this.naming.precision);
+		if (name === null || name === groupCue.name) return false;
+		this.sendToQLab({ address: `/cue_id/${groupCue.uniqueID}/name`, args: [name] });
+		return true;
+	}
+
+	/**
+	 * Build a morph between the two selected dbscenes
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/morph, with the number of steps and the duration in seconds, then optionally
+	 * the curve, and exclude=<comma separated object numbers>
+	 * @returns {MorphResult} The result
+	 */
+	async dbsceneMorph(oscMessage) {
+		if (oscMessage.argsArr.length < 2)
+			throw new Error('/dbscene/morph requires a number of steps and a duration');
+		const [steps, duration, ...rest] = oscMessage.argsArr;
+		const options = { steps, duration };
+		rest.forEach((arg) => {
+			const match = /^(curve|exclude)=(.*)$/.exec(`${arg}`);
+			if (!match) options.curve = `${arg}`;
+			else if (match[1] === 'curve') [, , options.curve] = match;
+			else options.exclude = match[2].split(',').map(checkNum);
 		});
+		return this.morphSelectedDbscenes(options);
 	}
 
 	/**
-	 * Update a dbscene Network cue to current position
-	 * @param {string} cueID The unique ID of the cue
+	 * Build a group of timed position cues stepping each object from its position in the first selected dbscene to its position in the second.
+	 * The group starts all of its cues at once, and their pre-waits space the steps over the duration.
+	 * Objects which are excluded, are only in one of the dbscenes, or are in different mappings are left out.
+	 * @param {MorphOptions} options The steps, duration, curve and excluded objects
+	 * @returns {MorphResult} The result
 	 */
-	async updateNetworkCue(cueID) {
-		// Get the custom message of the child cue
-		const customMessage = await this.fetchQLabData(`/cue_id/${cueID}/customString`);
-		const messageParts = customMessage.split(' ');
+	async morphSelectedDbscenes(options) {
+		const morph = checkMorphOptions(options);
+		const selected = (await this.fetchQLabData('/selectedCues/shallow')).filter(
+			(cue) => cue.type === 'Group' && cue.name.startsWith('dbscene:')
+		);
+		if (selected.length !== 2)
+			throw new Error(`Select the two dbscenes to morph between; ${selected.length} are selected`);
+		const [from, to] = await Promise.all(
+			selected.map((groupCue) => this.fetchDbscenePositions(groupCue.uniqueID))
+		);
 
-		// Custom Message validity check
-		if (!checkCoordinateMappingAddress(messageParts[0])) {
-			throw new Error('The network cue was not properly addressed for DS100 coordinate mapping');
+		const objects = [];
+		const skipped = [];
+		from.forEach((start, num) => {
+			const end = to.get(num);
+			if (morph.exclude.includes(num)) skipped.push({ num, reason: 'excluded' });
+			else if (end === undefined) skipped.push({ num, reason: `not in "${selected[1].name}"` });
+			else if (end.mapping !== start.mapping)
+				skipped.push({ num, reason: `in mapping ${start.mapping}, then ${end.mapping}` });
+			else objects.push({ num, start, end });
+		});
+		to.forEach((end, num) => {
+			if (from.has(num)) return;
+			skipped.push({
+				num,
+				reason: morph.exclude.includes(num) ? 'excluded' : `not in "${selected[0].name}"`,
+			});
+		});
+		if (objects.length === 0)
+			throw new Error('The selected dbscenes have no objects in common to morph');
+		objects.sort((first, next) => first.num - next.num);
+		skipped.sort((first, next) => first.num - next.num);
+
+		const sceneName = (groupCue) => groupCue.name.replace(/^dbscene:\s*/, '');
+		const name = formatName(this.naming.morph, {
+			from: sceneName(selected[0]),
+			to: sceneName(selected[1]),
+			steps: morph.steps,
+		});
+		const groupCueID = await this.createQLabCue('group');
+		this.sendToQLab({ address: `/cue_id/${groupCueID}/name`, args: [name] });
+		// Start all children simultaneously, so that the pre-waits time the steps
+		this.sendToQLab({ address: `/cue_id/${groupCueID}/mode`, args: [3] });
+
+		// The cues are in playback order: every object's first step, then every object's second step, and so on
+		const steps = objects.map((obj) => morphSteps(obj.start, obj.end, morph));
+		let cues = 0;
+		try {
+			// eslint-disable-next-line no-restricted-syntax
+			for (const index of steps[0].keys()) {
+				// eslint-disable-next-line no-restricted-syntax
+				for (const [objIndex, { num, start }] of objects.entries()) {
+					const { x, y, preWait } = steps[objIndex][index];
+					const cacheObj = this.getCacheObj(num) || { num, name: '' };
+					const cueID = await this.createNetworkCue(
+						groupCueID,
+						start.device,
+						positionMessage(start.mapping, toInput(start.device, num), x, y),
+						this.positionCueName({ ...cacheObj, x, y }, start.mapping)
+					);
+					this.sendToQLab({ address: `/cue_id/${cueID}/preWait`, args: [preWait] });
+					cues += 1;
+				}
+			}
+		} catch (error) {
+			// A half-built morph would play part of the walk, and is not in the history to be undone
+			this.sendToQLab({ address: `/delete_id/${groupCueID}`, args: [] });
+			throw error;
 		}
 
-		const messagePathArr = messageParts[0].split('/').slice(1);
-		const existingMapping = messagePathArr[3];
-		const objNum = parseInt(messagePathArr[4]);
-		const cacheObj = this.getCacheObj(objNum);
-		if (cacheObj === null) throw new Error(`Cache object ${objNum} does not exist`);
+		try {
+			await this.selectAndCollapseCue(groupCueID);
+		} catch (error) {
+			this.logError(error);
+		}
+		const result = {
+			groupCueID,
+			name,
+			steps: morph.steps,
+			duration: morph.duration,
+			curve: morph.curve,
+			objects: objects.map((obj) => obj.num),
+			skipped,
+			cues,
+		};
+		this.logger.verbose(`morphed ${objects.length} object(s) in ${cues} cue(s)`, {
+			cueID: groupCueID,
+		});
+		await this.recordCreated('morph', groupCueID);
+		this.emit('dbsceneMorphed', result);
+		return result;
+	}
+
+	/**
+	 * Get the positions a dbscene group sends
+	 * @param {string} groupCueID The unique ID of the group cue
+	 * @returns {Map<number, Object>} Each object's position, as { mapping, x, y, device }, keyed by object number
+	 */
+	async fetchDbscenePositions(groupCueID) {
+		const positions = new Map();
+		const cues = (await this.fetchDbsceneCues(groupCueID)).filter(
+			({ message }) =>
+				message !== null &&
+				message.type === 'position' &&
+				!Number.isNaN(message.x) &&
+				!Number.isNaN(message.y)
+		);
+		// eslint-disable-next-line no-restricted-syntax
+		for (const { cueID, message } of cues) {
+			const device = await this.getCueDevice(cueID);
+			positions.set(toObjNum(device, message.input), {
+				mapping: message.mapping,
+				x: message.x,
+				y: message.y,
+				device,
+			});
+		}
+		return positions;
+	}
 
+	/**
+	 * Add an operation to the history, if it changed any cues. Failures are logged rather than thrown, as the cues were already changed.
+	 * @param {string} type The operation, e.g. "update"
+	 * @param {string} description A summary of the operation
+	 * @param {CueChange[]} cues The cues created or modified
+	 * @returns {HistoryEntry|null} The entry, if one was added
+	 */
+	async recordHistory(type, description, cues) {
+		if (cues.length === 0) return null;
 		try {
-			await this.queryObjPos(cacheObj, existingMapping);
+			const entry = await this.history.record({ type, description, cues });
+			this.emit('historyRecorded', entry);
+			return entry;
 		} catch (error) {
-			console.error(error);
+			this.logError(error);
+			return null;
 		}
+	}
 
-		this.sendToQLab({
-			address: `/cue_id/${cueID}/customString`,
-			args: [
-				`/dbaudio1/coordinatemapping/source_position_xy/${existingMapping}/${cacheObj.num} ${cacheObj.x} ${cacheObj.y}`,
-			],
-		});
-		this.sendToQLab({
-			address: `/cue_id/${cueID}/name`,
-			args: [createQName(cacheObj)],
-		});
+	/**
+	 * Add the creation of a group cue to the history
+	 * @param {string} type The operation, e.g. "create"
+	 * @param {string} [groupCueID] The unique ID of the group cue, if it was created
+	 * @returns {string|undefined} The unique ID of the group cue
+	 */
+	async recordCreated(type, groupCueID) {
+		if (groupCueID !== undefined)
+			await this.recordHistory(type, `/dbscene/${type} created group ${groupCueID}`, [
+				{ cueID: groupCueID, action: 'created' },
+			]);
+		return groupCueID;
+	}
+
+	/**
+	 * List the operations in the history
+	 * @returns {HistoryEntry[]} The operations, oldest first
+	 */
+	listHistory() {
+		return this.history.list();
+	}
+
+	/**
+	 * List the newest operations in the history, without their cues
+	 * @param {OscMsg} oscMessage An OSC message addressed to /dbscene/history, optionally with how many operations to list, defaults to 10
+	 * @returns {Object[]} The operations, newest first, as { id, type, timestamp, description, cues, undone }, where cues is the number of cues changed
+	 */
+	async dbsceneHistory(oscMessage) {
+		const count = oscMessage.argsArr.length > 0 ? parseInt(oscMessage.argsArr[0]) : 10;
+		if (!(count >= 1))
+			throw new Error(
+				`The number of operations must be 1 or more, received ${oscMessage.argsArr[0]}`
+			);
+		return (await this.listHistory())
+			.slice(-count)
+			.reverse()
+			.map((entry) => ({ ...entry, cues: entry.cues.length }));
+	}
+
+	/**
+	 * Undo the newest operation in the history which has not been undone. Cues it created are deleted, and cues it modified get back their name and OSC message.
+	 * A cue whose OSC message was changed again since is left alone, so that later work is not lost.
+	 * @returns {UndoResult} The outcome
+	 */
+	async undo() {
+		const entry = await this.history.last();
+		if (entry === null) throw new Error('There is nothing to undo');
+		const result = {
+			id: entry.id,
+			type: entry.type,
+			description: entry.description,
+			deleted: 0,
+			restored: 0,
+			recreated: 0,
+			skipped: [],
+		};
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const change of entry.cues.slice().reverse()) {
+			try {
+				if (change.action === 'created') {
+					this.sendToQLab({ address: `/delete_id/${change.cueID}`, args: [] });
+					result.deleted += 1;
+				} else if (change.action === 'deleted') {
+					await this.recreateCue(change);
+					result.recreated += 1;
+				} else if (
+					change.to !== undefined &&
+					(await this.fetchCueMessage(change.cueID)) !== change.to
+				) {
+					result.skipped.push({
+						cueID: change.cueID,
+						reason: 'its OSC message was changed since',
+					});
+				} else if (
+					change.toPatch !== undefined &&
+					parseInt(
+						await this.fetchQLabData(`/cue_id/${change.cueID}/${this.qlabVersion.patchProperty}`)
+					) !== change.toPatch
+				) {
+					result.skipped.push({
+						cueID: change.cueID,
+						reason: 'its network patch was changed since',
+					});
+				} else {
+					if (change.to !== undefined) this.setCueMessage(change.cueID, change.from);
+					if (change.toPatch !== undefined)
+						this.sendToQLab({
+							address: `/cue_id/${change.cueID}/${this.qlabVersion.patchProperty}`,
+							args: [change.patch],
+						});
+					if (change.name !== undefined)
+						this.sendToQLab({ address: `/cue_id/${change.cueID}/name`, args: [change.name] });
+					result.restored += 1;
+				}
+			} catch (error) {
+				this.logError(error, { cueID: change.cueID });
+				result.skipped.push({ cueID: change.cueID, reason: error.message });
+			}
+		}
+
+		await this.history.markUndone(entry.id);
+		this.logger.verbose(
+			`undid ${entry.description}: ${result.deleted} cue(s) deleted, ${result.restored} restored, ${result.recreated} recreated, ${result.skipped.length} left alone`
+		);
+		this.emit('undoComplete', result);
+		return result;
+	}
+
+	/**
+	 * Put a cue deleted by an audit repair back in its group
+	 * @param {CueChange} change The deleted cue, from the history
+	 * @returns {string} The unique ID of the new cue
+	 */
+	recreateCue(change) {
+		// With one DS100, the patch can only be meant for it, as in an audit
+		const device =
+			this.devices.find((candidate) => candidate.qlabPatch === change.patch) ||
+			(this.devices.length === 1 ? this.devices[0] : undefined);
+		if (!device) throw new Error(`No DS100 is configured for QLab network patch ${change.patch}`);
+		return this.createNetworkCue(change.groupCueID, device, change.from, change.name, change.index);
 	}
 
 	/**
-	 * Query DS100 for current position of an En-Scene object. Repeats query message every 250ms until reply is received. Timeout after 2.5 seconds.
+	 * Query DS100 for current position of an En-Scene object. The query is scheduled within the DS100 concurrency window and re-sent with backoff until a reply is received, or it times out.
+	 * Concurrent queries for the same object and mapping share one request.
 	 * @param {CacheObj} cacheObj The cache object to be updated
 	 * @param {number|string} mapping The mapping to be queried
 	 * @returns {CacheObj} The updated cache object
 	 */
 	queryObjPos(cacheObj, mapping = parseInt(this.config.ds100.defaultMapping)) {
+		const mappingNum = checkMapping(mapping);
+		const objNum = cacheObj.num;
+		const device = this.getDevice(objNum);
+		const address = `/dbaudio1/coordinatemapping/source_position_xy/${mappingNum}/${toInput(
+			device,
+			objNum
+		)}`;
+
+		return this.dbQueries.query(`${mappingNum}/${objNum}`, () =>
+			this.sendToDS100({ oscType: 'message', address, args: [] }, device)
+		);
+	}
+
+	/**
+	 * Query the position of every object in the cache. Every query is allowed to settle; objects which did not reply keep their previous positions.
+	 * @param {number|string} mapping The mapping to be queried
+	 * @returns {QueryResult[]} The outcome of the query for each cache object
+	 */
+	async queryAllObjPos(mapping = parseInt(this.config.ds100.defaultMapping), objects = this.cache) {
 		checkMapping(mapping);
+		const results = await Promise.all(
+			objects.map((cacheObj) =>
+				this.queryObjPos(cacheObj, mapping).then(
+					() => ({ cacheObj, status: 'resolved' }),
+					(error) => ({ cacheObj, status: 'timedOut', error })
+				)
+			)
+		);
+
+		const timedOut = results.filter((result) => result.status === 'timedOut');
+		if (timedOut.length > 0) {
+			this.logger.warn(
+				`position queries timed out for object(s) ${timedOut
+					.map((result) => result.cacheObj.num)
+					.join(', ')}`
+			);
+		} else {
+			this.logger.verbose('position queries for all cache objects have been resolved');
+		}
+		return results;
+	}
+
+	/**
+	 * Query DS100 for the current value of an En-Scene object parameter, scheduled like position queries
+	 * @param {CacheObj} cacheObj The cache object to be updated
+	 * @param {string} paramName The parameter to be queried, e.g. "spread"
+	 * @returns {CacheObj} The updated cache object
+	 */
+	queryObjParam(cacheObj, paramName) {
+		const parameter = getParameter(paramName);
 		const objNum = cacheObj.num;
+		const device = this.getDevice(objNum);
+		const address = `${parameter.address}/${toInput(device, objNum)}`;
 
-		return new Promise((resolve, reject) => {
-			this.sendToDS100({
-				oscType: 'message',
-				address: `/dbaudio1/coordinatemapping/source_position_xy/${mapping}/${objNum}`,
-				args: [],
-			});
+		return this.dbQueries.query(`${parameter.name}/${objNum}`, () =>
+			this.sendToDS100({ oscType: 'message', address, args: [] }, device)
+		);
+	}
 
-			const repeater = setInterval(() => {
-				this.sendToDS100({
-					oscType: 'message',
-					address: `/dbaudio1/coordinatemapping/source_position_xy/${mapping}/${objNum}`,
-					args: [],
-				});
-			}, 250);
+	/**
+	 * Query DS100 for a matrix input property of any object's input, whether or not the object is in the cache
+	 * @param {number|string} objNum The object number
+	 * @param {string} propName The property to be queried, e.g. "channelname" or "enscene"
+	 * @returns {string|number} The value
+	 */
+	queryInput(objNum, propName) {
+		const property = getInputProperty(propName);
+		const num = checkNum(objNum);
+		const device = this.getDevice(num);
+		const address = `${property.address}/${toInput(device, num)}`;
 
-			this.dbServer.on('cacheUpdated', (updatedCacheObj) => {
-				if (parseInt(updatedCacheObj.num) === objNum) {
-					clearInterval(repeater);
-					resolve(updatedCacheObj);
-				}
-			});
+		return this.dbQueries.query(`${property.name}/${num}`, () =>
+			this.sendToDS100({ oscType: 'message', address, args: [] }, device)
+		);
+	}
 
-			setTimeout(() => {
-				clearInterval(repeater);
-				reject(new Error(`DS100 OSC reply timeout for Object ${objNum}`));
-			}, 2500);
+	/**
+	 * Query every configured parameter of every object in the cache
+	 * @returns {QueryResult[]} The outcome of each query, with the parameter name added to each result
+	 */
+	async queryAllObjParams(objects = this.cache) {
+		const queries = [];
+		objects.forEach((cacheObj) => {
+			this.parameters.forEach((parameter) => {
+				queries.push(
+					this.queryObjParam(cacheObj, parameter.name).then(
+						() => ({ cacheObj, parameter: parameter.name, status: 'resolved' }),
+						(error) => ({ cacheObj, parameter: parameter.name, status: 'timedOut', error })
+					)
+				);
+			});
 		});
+		const results = await Promise.all(queries);
+
+		const timedOut = results.filter((result) => result.status === 'timedOut');
+		if (timedOut.length > 0) {
+			this.logger.warn(
+				`parameter queries timed out for ${timedOut
+					.map((result) => `${result.parameter} of object ${result.cacheObj.num}`)
+					.join(', ')}`
+			);
+		}
+		return results;
 	}
 
 	/**
-	 * Query the position of every object in the cache
-	 * @param {number|string} mapping The mapping to be queried
-	 * @returns {CacheObj[]} The updated full cache
+	 * Connect to the QLab workspace, using the configured passcode if there is one. If no workspace ID is configured, the first open workspace is used.
+	 * @returns {string} The unique ID of the workspace
 	 */
-	async queryAllObjPos(mapping = parseInt(this.config.ds100.defaultMapping)) {
-		checkMapping(mapping);
-		const queryArray = [];
-		this.cache.forEach((cacheObj) => {
-			// Query position of every object in the cache, and add the resulting promise to the promiseArray
-			try {
-				queryArray.push(this.queryObjPos(cacheObj, mapping));
-			} catch (error) {
-				console.error(error);
-			}
-		});
+	async connectQLab() {
+		if (!this.qlabWorkspaceID) {
+			const workspaces = await this.fetchQLabData('/workspaces');
+			if (!workspaces || workspaces.length === 0) throw new Error('QLab has no open workspaces');
+			this.qlabWorkspaceID = workspaces[0].uniqueID;
+		}
 
-		try {
-			await Promise.all(queryArray); // Wait for all object position queries to complete
-			if (this.config.logging >= 1)
-				console.log('dbscene: Position queries for all cache objects have been resolved');
-			return this.cache;
-		} catch (error) {
-			console.error('dbscene: 1 or more position queries were rejected:');
-			if (this.config.logging >= 1) console.error(error);
-			throw error;
+		const args = this.config.qlab.passcode === undefined ? [] : [`${this.config.qlab.passcode}`];
+		const reply = await this.qlabRequests.request('/connect', () =>
+			this.sendToQLab({ address: '/connect', args })
+		);
+		if (typeof reply.data !== 'string' || !reply.data.startsWith('ok')) {
+			throw new Error(
+				`QLab refused the connection to workspace ${this.qlabWorkspaceID}: ${reply.data}`
+			);
 		}
+
+		this.logger.verbose(`connected to QLab workspace ${this.qlabWorkspaceID}`);
+		this.emit('qlabConnected', this.qlabWorkspaceID);
+		return this.qlabWorkspaceID;
 	}
 
 	/**
-	 * Send an OSC message to QLab
-	 * @param {OscMsg} oscMessage The message object to be sent
+	 * Scope an OSC address to the QLab workspace, once it is known. Application-level methods are not scoped.
+	 * @param {string} address e.g. "/cue_id/{id}/name"
+	 * @returns {string} e.g. "/workspace/{workspace_id}/cue_id/{id}/name"
+	 */
+	workspaceAddress(address) {
+		if (!this.qlabWorkspaceID) return address;
+		if (address.startsWith('/workspace/') || ['/workspaces', '/version'].includes(address))
+			return address;
+		return `/workspace/${this.qlabWorkspaceID}${address}`;
+	}
+
+	/**
+	 * Set the OSC message sent by a network cue
+	 * @param {string} cueID The unique ID of the cue
+	 * @param {string} customString The OSC message, e.g. "/dbaudio1/coordinatemapping/source_position_xy/1/1 0.5 0.5"
+	 * @returns {void}
+	 */
+	setCueMessage(cueID, customString) {
+		this.sendToQLab({
+			address: `/cue_id/${cueID}/${this.qlabVersion.messageProperty}`,
+			args: [customString],
+		});
+	}
+
+	/**
+	 * Get the name of a cue
+	 * @param {string} cueID The unique ID of the cue
+	 * @returns {string} The cue name
+	 */
+	async fetchCueName(cueID) {
+		return `${await this.fetchQLabData(`/cue_id/${cueID}/name`)}`;
+	}
+
+	/**
+	 * Get the OSC message sent by a network cue
+	 * @param {string} cueID The unique ID of the cue
+	 * @returns {string} The OSC message
+	 */
+	async fetchCueMessage(cueID) {
+		const message = await this.fetchQLabData(
+			`/cue_id/${cueID}/${this.qlabVersion.messageProperty}`
+		);
+		// QLab 5 replies with the list of parameter values; the OSC message is the first
+		return Array.isArray(message) ? `${message[0] || ''}` : message;
+	}
+
+	/**
+	 * Send an OSC message to QLab. Addresses are scoped to the QLab workspace once it is known.
+	 * @param {OscMsg} message The message object to be sent
 	 * @returns {string} Returns 'sent' upon success
 	 */
-	async sendToQLab(oscMessage) {
+	async sendToQLab(message) {
+		const oscMessage = { ...message, address: this.workspaceAddress(message.address) };
 		const buffer = osc.toBuffer(oscMessage);
-		this.qlabServer.send(
-			buffer,
-			0,
-			buffer.length,
-			this.config.qlab.port,
-			this.config.qlab.address,
-			(error) => {
-				if (error) {
-					console.error('Could not send OSC message to QLab');
-					console.error(error);
-					throw error;
-				}
-				if (this.config.logging >= 1)
-					logOscOut(oscMessage, this.config.qlab.address, this.config.qlab.port);
+		const { address, port } = this.config.qlab;
+		this.qlabServer.send(buffer, (error) => {
+			if (error) {
+				this.logger.error('could not send OSC message to QLab', {
+					direction: 'out',
+					peer: `${address}:${port}`,
+					address: oscMessage.address,
+					cueID: addressCueID(oscMessage.address),
+					error,
+				});
+				this.emit('qlabServerError', error);
+				return;
 			}
-		);
+			this.recorder.record('out', 'qlab', buffer, { address, port });
+			logOscOut(this.logger, oscMessage, address, port);
+		});
 	}
 
 	/**
-	 * Send an OSC message to the DS100
+	 * Send an OSC message to a DS100
 	 * @param {OscMsg} oscMessage The message object to be sent
-	 * @returns {string} Returns 'sent' upon success
+	 * @param {DS100Device} [device] The DS100 to send to, defaults to the first configured DS100
+	 * @returns {Promise<boolean>} Whether the message was sent. Failures are logged and emitted as dbServerError events.
 	 */
-	async sendToDS100(oscMessage) {
+	async sendToDS100(oscMessage, device = this.devices[0]) {
 		const buffer = osc.toBuffer(oscMessage);
-		this.dbServer.send(
-			buffer,
-			0,
-			buffer.length,
-			this.config.ds100.port,
-			this.config.ds100.address,
-			(error) => {
-				if (error) {
-					console.error('Could not send OSC message to DS100');
-					console.error(error);
-					throw error;
-				}
-				if (this.config.logging >= 1)
-					logOscOut(oscMessage, this.config.ds100.address, this.config.ds100.port);
+		const sent = (error) => {
+			if (error) {
+				this.logger.error(`could not send OSC message to ${device.name}`, {
+					direction: 'out',
+					peer: `${device.address}:${device.port}`,
+					address: oscMessage.address,
+					error,
+				});
+				this.emit('dbServerError', error);
+				return false;
 			}
-		);
+			this.recorder.record('out', 'ds100', buffer, device);
+			logOscOut(this.logger, oscMessage, device.address, device.port);
+			return true;
+		};
+		// Sending from an unbound socket would bind it to a random port
+		if (!this.dbServerListening) return sent(new Error('The DS100 server is not listening'));
+		return new Promise((resolve) => {
+			this.dbServer.send(buffer, 0, buffer.length, device.port, device.address, (error) =>
+				resolve(sent(error))
+			);
+		});
 	}
 
 	/**
-	 * Create a QLab cue
-	 * @returns {string} The unique ID of the new QLab cue
+	 * Send an OSC reply from the DS100 server's socket
+	 * @param {OscMsg} oscMessage The reply
+	 * @param {Object} rinfo UDP message info of the message being answered
+	 * @returns {Promise<void>}
 	 */
-	createQLabCue(cueType) {
+	sendReply(oscMessage, rinfo) {
+		if (!this.dbServerListening)
+			return Promise.reject(new Error('The DS100 server is not listening'));
+		const buffer = osc.toBuffer(oscMessage);
 		return new Promise((resolve, reject) => {
-			this.qlabServer.on('qlabReplied', (reply) => {
-				if (reply.address.endsWith('/new')) {
-					resolve(reply.data); // The reply data is the uniqueID of the new cue
+			this.dbServer.send(buffer, 0, buffer.length, rinfo.port, rinfo.address, (error) => {
+				if (error) {
+					reject(error);
+					return;
 				}
+				this.recorder.record('out', 'ds100', buffer, rinfo);
+				logOscOut(this.logger, oscMessage, rinfo.address, rinfo.port);
+				resolve();
 			});
-
-			this.sendToQLab({ address: '/new', args: [cueType] });
-
-			setTimeout(() => {
-				reject(new Error('QLab OSC reply timeout'));
-			}, 1000);
 		});
 	}
 
+	/**
+	 * Create a QLab cue
+	 * @param {string} cueType The type of cue to create, e.g. "group" or "network"
+	 * @returns {string} The unique ID of the new QLab cue
+	 */
+	async createQLabCue(cueType) {
+		// A re-sent /new would create a second cue if QLab was only slow to reply
+		const reply = await this.qlabRequests.request(
+			'/new',
+			() => this.sendToQLab({ address: '/new', args: [cueType] }),
+			{ retries: 0 }
+		);
+		return reply.data; // The reply data is the uniqueID of the new cue
+	}
+
 	/**
 	 * Select and collapse a QLab cue
 	 * @param {string} cueID The uniqueID of the cue
@@ -626,14 +3300,22 @@ class Dbscene extends EventEmitter {
 	 */
 	async selectAndCollapseCue(cueID) {
 		this.sendToQLab({ address: `/select_id/${cueID}`, args: [] });
+		// Collapsing is only possible with AppleScript, e.g. not when running against the QLab simulator on another OS
+		if (process.platform !== 'darwin') return cueID;
+		const workspace = this.qlabWorkspaceID
+			? `(first workspace whose unique id is "${this.qlabWorkspaceID}")`
+			: 'front workspace';
 		osascript.execute(
-			`tell application id "com.figure53.QLab.4" to tell front workspace\n collapse cue id "${cueID}"\n end tell`,
+			`tell application id "${this.qlabVersion.applicationID}" to tell ${workspace}\n collapse cue id "${cueID}"\n end tell`,
 			(osaerror) => {
 				if (osaerror) {
-					console.error(
-						'dbscene: An error has occured while attempting to use osascript to control QLab'
+					this.logger.error(
+						'an error has occured while attempting to use osascript to control QLab',
+						{
+							cueID,
+							error: osaerror,
+						}
 					);
-					console.error(osaerror);
 				}
 			}
 		);
@@ -644,21 +3326,12 @@ class Dbscene extends EventEmitter {
 	 * Get data from QLab
 	 * @param {string} request
 	 */
-	fetchQLabData(request) {
+	async fetchQLabData(request) {
 		// Reply format: {"workspace_id" : string, "address": "/invoked/osc/method", "status": string, "data": value}
-		return new Promise((resolve, reject) => {
-			this.qlabServer.on('qlabReplied', (reply) => {
-				if (reply.address.endsWith(request)) {
-					resolve(reply.data);
-				}
-			});
-
-			this.sendToQLab({ address: request, args: [] });
-
-			setTimeout(() => {
-				reject(new Error('QLab OSC reply timeout'));
-			}, 1000);
-		});
+		const reply = await this.qlabRequests.request(request, () =>
+			this.sendToQLab({ address: request, args: [] })
+		);
+		return reply.data;
 	}
 
 	/**
@@ -683,24 +3356,84 @@ class Dbscene extends EventEmitter {
 
 		const cacheObj = this.getCacheObj(num);
 		if (cacheObj === null) {
-			console.error(`Cache object ${num} does not exist`);
+			this.logger.error(`cache object ${num} does not exist`, { num });
 			return this.cache;
 		}
 
 		const cacheObjIndex = this.cache.indexOf(cacheObj);
 		this.cache.splice(cacheObjIndex, 1);
+		this.monitor.forget(num);
+		this.emit('cacheObjRemoved', cacheObj);
 		return this.cache;
 	}
 
+	/**
+	 * List the object groups in the cache
+	 * @returns {string[]} The group names, sorted
+	 */
+	listGroups() {
+		return Array.from(new Set(this.cache.flatMap((cacheObj) => cacheObj.groups))).sort();
+	}
+
+	/**
+	 * Get the objects in an object group
+	 * @param {string} group
+	 * @returns {CacheObj[]} The cache objects in the group
+	 */
+	getGroupObjects(group) {
+		const name = checkGroup(group);
+		const objects = this.cache.filter((cacheObj) => cacheObj.groups.includes(name));
+		if (objects.length === 0) throw new Error(`No cache objects are in the object group "${name}"`);
+		return objects;
+	}
+
+	/**
+	 * Get the numbers of the objects in an object group
+	 * @param {string} group
+	 * @param {number[]} [objects] Only these objects, defaults to every object
+	 * @returns {number[]} The object numbers which are in the group and in objects
+	 */
+	groupObjectNums(group, objects = undefined) {
+		const members = this.getGroupObjects(group).map((cacheObj) => cacheObj.num);
+		return objects === undefined ? members : objects.filter((num) => members.includes(num));
+	}
+
+	/**
+	 * Set the object groups of a cache object, emitting cacheUpdated
+	 * @param {string|number} objNum
+	 * @param {string[]} groups The groups, replacing the object's groups
+	 * @returns {CacheObj} The cache object
+	 */
+	setCacheObjGroups(objNum, groups) {
+		const cacheObj = this.getCacheObj(objNum);
+		if (cacheObj === null) throw new Error(`Cache object ${objNum} does not exist`);
+		cacheObj.groups = Array.from(new Set(groups.map(checkGroup)));
+		this.emit('cacheUpdated', cacheObj);
+		return cacheObj;
+	}
+
 	/**
 	 * Adds a new object to the cache and sorts the cache by number, then queries the position of the object and returns the object.
-	 * @param {string|number} objNum The number of the new object, range 1-64
+	 * @param {string|number} objNum The number of the new object, within the object range of a DS100
 	 * @param {string} objName The name of the new object
+	 * @param {string[]} [groups] The object groups of the new object
 	 * @returns {CacheObj} The new cache object
 	 */
-	async newCacheObj(objNum, objName) {
+	async newCacheObj(objNum, objName, groups = []) {
 		const num = checkNum(objNum);
-		const newObj = { num, name: objName, x: 0, y: 0 };
+		this.getDevice(num); // Throws if no DS100 handles the object
+		const newObj = {
+			num,
+			name: objName,
+			groups: Array.from(new Set(groups.map(checkGroup))),
+			x: 0,
+			y: 0,
+			xm: null,
+			ym: null,
+			mapping: null,
+			positions: {},
+			...this.emptyParameters(),
+		};
 
 		this.cache.push(newObj);
 		this.cache.sort((first, next) => {
@@ -708,11 +3441,12 @@ class Dbscene extends EventEmitter {
 			if (first.num > next.num) return 1;
 			return 0;
 		});
+		this.emit('cacheObjAdded', newObj);
 
 		try {
 			await this.queryObjPos(newObj);
 		} catch (error) {
-			console.error(error);
+			this.logError(error);
 		}
 
 		const cacheObj = await this.getCacheObj(num);
@@ -722,7 +3456,7 @@ class Dbscene extends EventEmitter {
 
 	/**
 	 * Update an existing object's name
-	 * @param {number|string} objNum The number of the object, range 1-64
+	 * @param {number|string} objNum The number of the object
 	 * @param {string} objName The new name of the object
 	 * @returns {CacheObj} The updated cache object, with refreshed coordinates
 	 */
@@ -732,16 +3466,86 @@ class Dbscene extends EventEmitter {
 		if (cacheObj === null) throw new Error(`Cache object ${num} does not exist`);
 
 		cacheObj.name = objNewName;
+		this.emit('cacheUpdated', cacheObj);
 
 		try {
 			await this.queryObjPos(cacheObj);
 		} catch (error) {
-			console.error(error);
+			this.logError(error);
 		}
 
 		return cacheObj;
 	}
 
+	/**
+	 * Build or refresh the cache from the input names of every DS100. Every input in each DS100's object range is queried for its name,
+	 * and with enabledOnly whether it is an En-Scene sound object.
+	 * Named inputs are added to the cache, or rename the cache object they match. Unnamed inputs, and with enabledOnly inputs outside En-Scene, are skipped.
+	 * In replace mode, cache objects whose input was skipped are removed; objects whose DS100 did not answer are kept.
+	 * @param {DiscoveryOptions} [options]
+	 * @returns {DiscoveryResult} What changed
+	 */
+	async discoverCache(options = {}) {
+		const mode = options.mode === undefined ? this.discoveryConfig.mode : options.mode;
+		const enabledOnly =
+			options.enabledOnly === undefined ? this.discoveryConfig.enabledOnly : options.enabledOnly;
+		if (!['merge', 'replace'].includes(mode))
+			throw new Error(`Discovery mode must be "merge" or "replace", received ${mode}`);
+
+		const nums = this.devices.flatMap((device) =>
+			Array.from(
+				{ length: device.objects[1] - device.objects[0] + 1 },
+				(value, index) => device.objects[0] + index
+			)
+		);
+		const inputs = await Promise.all(
+			nums.map((num) =>
+				Promise.all([
+					this.queryInput(num, 'channelname'),
+					enabledOnly ? this.queryInput(num, 'enscene') : 1,
+				]).then(
+					([name, enscene]) => ({ num, name, enabled: enscene !== 0, status: 'resolved' }),
+					(error) => ({ num, status: 'timedOut', error })
+				)
+			)
+		);
+		const timedOut = inputs.filter((input) => input.status === 'timedOut');
+		if (timedOut.length === inputs.length) throw new Error('No DS100 answered the discovery');
+
+		const result = { added: [], renamed: [], removed: [], skipped: [], timedOut: [] };
+		timedOut.forEach((input) => result.timedOut.push(input.num));
+		const additions = [];
+		inputs
+			.filter((input) => input.status === 'resolved')
+			.forEach(({ num, name, enabled }) => {
+				const cacheObj = this.getCacheObj(num);
+				if (name === '' || !enabled) {
+					result.skipped.push(num);
+					if (mode === 'replace' && cacheObj !== null) {
+						this.removeCacheObj(num);
+						result.removed.push(cacheObj);
+					}
+				} else if (cacheObj === null) {
+					additions.push(this.newCacheObj(num, name));
+				} else if (cacheObj.name !== name) {
+					result.renamed.push({ cacheObj, from: cacheObj.name });
+					cacheObj.name = name;
+					this.emit('cacheUpdated', cacheObj);
+				}
+			});
+		result.added = await Promise.all(additions);
+
+		if (timedOut.length > 0)
+			this.logger.warn(
+				`discovery queries timed out for input(s) of object(s) ${result.timedOut.join(', ')}`
+			);
+		this.logger.verbose(
+			`discovered ${result.added.length} new, ${result.renamed.length} renamed and ${result.removed.length} removed object(s)`
+		);
+		this.emit('cacheDiscovered', result);
+		return result;
+	}
+
 	/**
 	 * Returns the dbscene listening port
 	 * @returns {number|string} The port that dbscene is listening on (default is 50011)
@@ -753,3 +3557,5 @@ class Dbscene extends EventEmitter {
 }
 
 module.exports = Dbscene;
+module.exports.DS100Simulator = DS100Simulator;
+module.exports.QLabSimulator = QLabSimulator;
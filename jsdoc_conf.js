@@ -4,7 +4,7 @@ module.exports = {
 	plugins: [],
 	recurseDepth: 10,
 	source: {
-		include: ['index.js'],
+		include: ['index.js', 'lib'],
 		exclude: ['./node_modules'],
 		includePattern: '.+\\.js(doc|x)?$',
 		excludePattern: '(^|\\/|\\\\)_',
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { positionMessage, parseCueMessage } = require('./cue-messages');
+const { toObjNum } = require('./devices');
+
+/**
+ * A problem found in a dbscene
+ * @typedef {Object} AuditProblem
+ * @property {string} type - "strayCue", "malformedMessage", "notXY", "wrongPatch", "notInCache" or "duplicateObject"
+ * @property {string} cueListName - The cue list of the dbscene
+ * @property {string} groupCueID - The unique ID of the dbscene group
+ * @property {string} groupName - The name of the dbscene group
+ * @property {string} cueID - The unique ID of the cue with the problem
+ * @property {string} cueName - The name of the cue with the problem
+ * @property {number} [num] - The object number, if the cue addresses an object
+ * @property {string} description - What is wrong
+ * @property {Object} [repair] - The safe repair, if there is one: { patch }, { customString } or { remove: true }
+ * @property {boolean} fixed - Whether the repair was made
+ */
+
+/**
+ * The outcome of an audit
+ * @typedef {Object} AuditReport
+ * @property {string} timestamp - When the audit ran, as an ISO 8601 string
+ * @property {boolean} fix - Whether safe repairs were made
+ * @property {number} dbscenes - The number of dbscene groups checked
+ * @property {number} cues - The number of cues checked
+ * @property {AuditProblem[]} problems - Everything found, in cue list order
+ */
+
+/**
+ * A child cue of a dbscene group, as read for an audit
+ * @typedef {Object} AuditCue
+ * @property {string} cueID - The unique ID of the cue
+ * @property {string} name - The cue name
+ * @property {string} type - The QLab cue type
+ * @property {number} [patch] - Network cues: the QLab network patch
+ * @property {string} [customString] - Network cues: the OSC message
+ */
+
+/**
+ * Check the child cues of one dbscene group
+ * @param {Object} group The group, as { uniqueID, name, cueListName }
+ * @param {AuditCue[]} cues The child cues
+ * @param {Object} context What the cues are checked against
+ * @param {DS100Device[]} context.devices The configured DS100s
+ * @param {CacheObj[]} context.cache The cache
+ * @returns {AuditProblem[]} The problems found
+ */
+function auditDbscene(group, cues, { devices, cache }) {
+	const problems = [];
+	const seen = new Map(); // The first cue addressing each object and parameter
+	const report = (cue, type, description, details = {}) =>
+		problems.push({
+			type,
+			cueListName: group.cueListName,
+			groupCueID: group.uniqueID,
+			groupName: group.name,
+			cueID: cue.cueID,
+			cueName: cue.name,
+			description,
+			...details,
+			fixed: false,
+		});
+
+	cues.forEach((cue) => {
+		if (cue.type !== 'Network') {
+			report(cue, 'strayCue', `${cue.type} cue in a dbscene, which should only hold network cues`);
+			return;
+		}
+
+		const message = parseCueMessage(cue.customString);
+		if (message === null) {
+			report(
+				cue,
+				'malformedMessage',
+				`"${cue.customString}" is not a DS100 position or parameter message`
+			);
+			return;
+		}
+
+		let device = devices.find((candidate) => candidate.qlabPatch === cue.patch);
+		if (!device) {
+			// With one DS100, the patch can only be meant for it
+			const repair = devices.length === 1 ? { patch: devices[0].qlabPatch } : undefined;
+			report(cue, 'wrongPatch', `Network patch ${cue.patch} is not the patch of any DS100`, {
+				repair,
+			});
+			if (!repair) return;
+			[device] = devices;
+		}
+
+		const num = toObjNum(device, message.input);
+		if (num > device.objects[1]) {
+			report(
+				cue,
+				'malformedMessage',
+				`Input ${message.input} is outside the objects of ${device.name}`
+			);
+			return;
+		}
+
+		if (message.type === 'position') {
+			if (message.method !== 'source_position_xy') {
+				// source_position with both coordinates sends the same position as source_position_xy
+				const repair =
+					message.method === 'source_position' &&
+					!Number.isNaN(message.x) &&
+					!Number.isNaN(message.y)
+						? {
+								customString: positionMessage(message.mapping, message.input, message.x, message.y),
+						  }
+						: undefined;
+				report(cue, 'notXY', `${message.method} is not a source_position_xy message`, {
+					num,
+					repair,
+				});
+			} else if (Number.isNaN(message.x) || Number.isNaN(message.y)) {
+				report(cue, 'malformedMessage', `"${cue.customString}" is missing a coordinate`, { num });
+			}
+		} else if (Number.isNaN(message.value)) {
+			report(cue, 'malformedMessage', `"${cue.customString}" is missing a value`, { num });
+		}
+
+		if (!cache.some((cacheObj) => cacheObj.num === num))
+			report(cue, 'notInCache', `Object ${num} is not in the cache`, { num });
+
+		const key =
+			message.type === 'position' ? `position/${num}` : `${message.parameter.name}/${num}`;
+		const first = seen.get(key);
+		if (first === undefined) {
+			seen.set(key, cue);
+			return;
+		}
+		// Only exact copies of an earlier cue are safe to remove
+		const identical = first.customString === cue.customString && first.patch === cue.patch;
+		report(
+			cue,
+			'duplicateObject',
+			`Object ${num} already has a ${
+				message.type === 'position' ? 'position' : message.parameter.name
+			} cue in this dbscene, "${first.name}"`,
+			{ num, repair: identical ? { remove: true } : undefined }
+		);
+	});
+	return problems;
+}
+
+/**
+ * Format an audit report as text
+ * @param {AuditReport} report
+ * @returns {string}
+ */
+function formatAuditReport(report) {
+	const fixed = report.problems.filter((problem) => problem.fixed).length;
+	const lines = [
+		`dbscene audit, ${report.timestamp}`,
+		`${report.dbscenes} dbscene(s), ${report.cues} cue(s), ${report.problems.length} problem(s)${
+			report.fix ? `, ${fixed} fixed` : ''
+		}`,
+	];
+	let groupCueID = null;
+	report.problems.forEach((problem) => {
+		if (problem.groupCueID !== groupCueID) {
+			groupCueID = problem.groupCueID;
+			lines.push('', `${problem.cueListName} / "${problem.groupName}" (${problem.groupCueID})`);
+		}
+		let line = `  "${problem.cueName}" (${problem.cueID}): ${problem.description}`;
+		if (problem.fixed) line += ' - fixed';
+		else if (problem.repair && !report.fix) line += ' - can be fixed';
+		lines.push(line);
+	});
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write an audit report as JSON, and as text alongside it
+ * @param {AuditReport} report
+ * @param {string} filePath The path of the JSON file; the text file has the same path, ending in .txt
+ * @returns {string[]} The paths written
+ */
+async function writeAuditReport(report, filePath) {
+	const jsonPath = path.resolve(filePath);
+	const textPath = `${jsonPath.slice(0, jsonPath.length - path.extname(jsonPath).length)}.txt`;
+	await fs.promises.writeFile(jsonPath, `${JSON.stringify(report, null, '\t')}\n`);
+	await fs.promises.writeFile(textPath, formatAuditReport(report));
+	return [jsonPath, textPath];
+}
+
+module.exports = {
+	auditDbscene,
+	formatAuditReport,
+	writeAuditReport,
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { levels } = require('./logger');
+
+/**
+ * The contents of a dbscene config file: the config, with the cache alongside it
+ * @typedef {Object} ConfigFile
+ * @property {DbsceneConfig} config - The config, without the cache
+ * @property {Object} cache - The Soundscape objects, e.g. { 1: 'Homer', 2: { name: 'Guitar', groups: ['band'] } }
+ */
+
+/**
+ * Check a config and cache for the mistakes the Dbscene constructor would not report clearly
+ * @param {DbsceneConfig} config
+ * @param {Object} cache
+ * @returns {string[]} A description of each problem, empty if there are none
+ */
+function validateConfig(config, cache) {
+	const problems = [];
+	const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+	const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+	const isPort = (value) => Number.isInteger(value) && value >= 0 && value <= 65535;
+	const checkPorts = (section) =>
+		['port', 'reply'].forEach((key) => {
+			if (config[section][key] !== undefined && !isPort(config[section][key]))
+				problems.push(`${section}.${key} must be a port number`);
+		});
+
+	if (!isObject(config.qlab)) {
+		problems.push('qlab must be an object');
+	} else {
+		if (typeof config.qlab.address !== 'string') problems.push('qlab.address must be a string');
+		if (!isNumber(config.qlab.defaultDuration))
+			problems.push('qlab.defaultDuration must be a number of seconds');
+		checkPorts('qlab');
+	}
+
+	if (!isObject(config.ds100)) {
+		problems.push('ds100 must be an object');
+	} else {
+		if (config.ds100.devices === undefined) {
+			if (typeof config.ds100.address !== 'string')
+				problems.push('ds100.address must be a string, unless ds100.devices is used');
+			if (!isObject(config.qlab) || !isNumber(config.qlab.ds100Patch))
+				problems.push('qlab.ds100Patch must be a number, unless ds100.devices is used');
+		} else if (!Array.isArray(config.ds100.devices)) {
+			problems.push('ds100.devices must be an array');
+		} else {
+			config.ds100.devices.forEach((device, index) => {
+				if (!isObject(device)) problems.push(`ds100.devices[${index}] must be an object`);
+				else if (typeof device.address !== 'string')
+					problems.push(`ds100.devices[${index}].address must be a string`);
+			});
+		}
+		if (![1, 2, 3, 4].includes(config.ds100.defaultMapping))
+			problems.push('ds100.defaultMapping must be 1-4');
+		checkPorts('ds100');
+	}
+
+	if (config.web !== undefined) {
+		if (!isObject(config.web)) {
+			problems.push('web must be an object');
+		} else {
+			if (config.web.port !== undefined && !isPort(config.web.port))
+				problems.push('web.port must be a port number');
+			if (
+				config.web.token !== undefined &&
+				!(typeof config.web.token === 'string' && config.web.token)
+			)
+				problems.push('web.token must be a string');
+			if (
+				config.web.hosts !== undefined &&
+				!(
+					Array.isArray(config.web.hosts) &&
+					config.web.hosts.every((host) => typeof host === 'string')
+				)
+			)
+				problems.push('web.hosts must be a list of host names');
+		}
+	}
+
+	if (config.recorder !== undefined) {
+		if (!isObject(config.recorder)) problems.push('recorder must be an object');
+		else if (config.recorder.path !== undefined && typeof config.recorder.path !== 'string')
+			problems.push('recorder.path must be a string');
+	}
+
+	if (config.logging !== undefined && ![0, 1, 2, ...levels].includes(config.logging))
+		problems.push(`logging must be 0, 1, 2 or one of ${levels.join(', ')}`);
+
+	if (!isObject(cache)) {
+		problems.push('cache must be an object of object names, keyed by object number');
+	} else {
+		Object.entries(cache).forEach(([num, entry]) => {
+			if (!/^[1-9][0-9]*$/.test(num)) problems.push(`cache has an invalid object number "${num}"`);
+			const name = isObject(entry) ? entry.name : entry;
+			if (typeof name !== 'string') problems.push(`cache object ${num} must have a name`);
+			if (
+				isObject(entry) &&
+				entry.groups !== undefined &&
+				(!Array.isArray(entry.groups) ||
+					!entry.groups.every((group) => /^[A-Za-z][\w-]*$/.test(`${group}`)))
+			)
+				problems.push(
+					`cache object ${num} groups must be a list of names starting with a letter, followed by letters, digits, _ or -`
+				);
+		});
+	}
+	return problems;
+}
+
+/**
+ * Read a config file, in JSON or YAML, and validate it. The cache is given by the file's cache property.
+ * @param {string} filePath The path of the file; files ending in .yaml or .yml are read as YAML
+ * @returns {ConfigFile} The config and cache
+ */
+function loadConfigFile(filePath) {
+	const text = fs.readFileSync(filePath, 'utf8');
+	const extension = path.extname(filePath).toLowerCase();
+
+	let contents;
+	try {
+		contents = ['.yaml', '.yml'].includes(extension) ? yaml.safeLoad(text) : JSON.parse(text);
+	} catch (error) {
+		throw new Error(`${filePath} could not be read: ${error.message}`);
+	}
+	if (typeof contents !== 'object' || contents === null)
+		throw new Error(`${filePath} must contain an object`);
+
+	const { cache, ...config } = contents;
+	const problems = validateConfig(config, cache);
+	if (problems.length > 0)
+		throw new Error(`${filePath} is not a valid dbscene config:\n  ${problems.join('\n  ')}`);
+	return { config, cache };
+}
+
+module.exports = {
+	validateConfig,
+	loadConfigFile,
+};
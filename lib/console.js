@@ -0,0 +1,347 @@
+const readline = require('readline');
+const EventEmitter = require('events');
+const { formatAuditReport } = require('./audit');
+
+/**
+ * Split a console line into words. Double quotes group words, e.g. add 5 "Mr Burns".
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitWords(line) {
+	return (line.match(/"[^"]*"|\S+/g) || []).map((word) => word.replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Format a cache object as one line of a table
+ * @param {CacheObj} cacheObj
+ * @param {ObjParameter[]} parameters The captured parameters
+ * @returns {string} e.g. "  1  Homer  0.5, 0.25  (-2.1 m, 3.4 m)  spread 0.5"
+ */
+function formatCacheObj(cacheObj, parameters) {
+	let line = `${`${cacheObj.num}`.padStart(3)}  ${cacheObj.name}  ${cacheObj.x}, ${cacheObj.y}`;
+	if (typeof cacheObj.xm === 'number' && typeof cacheObj.ym === 'number')
+		line += `  (${cacheObj.xm.toFixed(2)} m, ${cacheObj.ym.toFixed(2)} m)`;
+	if (cacheObj.groups.length > 0) line += `  [${cacheObj.groups.join(', ')}]`;
+	parameters.forEach((parameter) => {
+		const value = cacheObj[parameter.name];
+		if (value !== null && value !== undefined) line += `  ${parameter.name} ${value}`;
+	});
+	return line;
+}
+
+/**
+ * An interactive console for a Dbscene instance, as opened by the dbscene command
+ */
+class DbsceneConsole extends EventEmitter {
+	/**
+	 * Constructor
+	 * @param {Dbscene} dbscene The instance the commands act on
+	 * @param {Object} [options]
+	 * @param {Object} [options.input] The stream commands are read from, defaults to stdin
+	 * @param {Object} [options.output] The stream results are written to, defaults to stdout
+	 */
+	constructor(dbscene, options = {}) {
+		super();
+		this.dbscene = dbscene;
+		this.input = options.input || process.stdin;
+		this.output = options.output || process.stdout;
+		this.interface = null;
+		this.onMonitorEvent = null; // Listeners printing monitor events, while the console has the monitor on
+
+		// Each command: [arguments, description, handler]
+		this.commands = {
+			help: ['', 'List the commands', () => this.help()],
+			cache: ['', 'List the objects in the cache', () => this.printCache()],
+			query: [
+				'[mapping]',
+				'Refresh every object position from the DS100',
+				(mapping) => this.query(mapping),
+			],
+			add: ['<num> <name>', 'Add an object to the cache', (num, ...name) => this.add(num, name)],
+			remove: ['<num>', 'Remove an object from the cache', (num) => this.remove(num)],
+			rename: [
+				'<num> <name>',
+				'Rename an object in the cache',
+				(num, ...name) => this.rename(num, name),
+			],
+			discover: [
+				'[merge|replace] [enabled]',
+				'Build the cache from the DS100 input names',
+				(mode, enabled) => this.discover(mode, enabled),
+			],
+			audit: [
+				'[--fix]',
+				'Check every dbscene in the workspace for problems',
+				(fix) => this.audit(fix),
+			],
+			create: [
+				'[mapping] [group]',
+				'Create a dbscene at the QLab selection, of every object or of an object group',
+				(mapping, group) => this.create(mapping, group),
+			],
+			update: [
+				'[group]',
+				'Update the selected dbscenes in QLab, or only the objects of a group',
+				(group) => this.update(group),
+			],
+			history: ['', 'List the operations which can be undone', () => this.printHistory()],
+			undo: ['', 'Undo the last create, update, remap, morph or audit repair', () => this.undo()],
+			monitor: [
+				'[on|off]',
+				'Start or stop background position monitoring',
+				(state) => this.monitor(state),
+			],
+			exit: ['', 'Close the console', () => this.close()],
+		};
+	}
+
+	/**
+	 * Open the console and show the prompt
+	 * @returns {DbsceneConsole} The console
+	 */
+	start() {
+		this.interface = readline.createInterface({
+			input: this.input,
+			output: this.output,
+			prompt: 'dbscene> ',
+		});
+		this.interface.on('line', (line) => {
+			this.execute(line).then(() => {
+				if (this.interface) this.interface.prompt();
+			});
+		});
+		this.interface.on('close', () => {
+			this.interface = null;
+			this.emit('close');
+		});
+		this.interface.prompt();
+		return this;
+	}
+
+	/**
+	 * Close the console
+	 * @returns {void}
+	 */
+	close() {
+		if (this.interface) this.interface.close();
+	}
+
+	/**
+	 * Run one console line. Errors are printed rather than thrown.
+	 * @param {string} line e.g. "rename 3 Bart"
+	 * @returns {void}
+	 */
+	async execute(line) {
+		const [name, ...args] = splitWords(line);
+		if (name === undefined) return;
+		const command = this.commands[name.toLowerCase()] || (name === 'quit' && this.commands.exit);
+		if (!command) {
+			this.print(`Unknown command "${name}", type help for the list of commands`);
+			return;
+		}
+		try {
+			await command[2](...args);
+		} catch (error) {
+			this.print(`Error: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Write a line to the output
+	 * @param {string} text
+	 * @returns {void}
+	 */
+	print(text) {
+		this.output.write(`${text}\n`);
+	}
+
+	/**
+	 * Print the command list
+	 * @returns {void}
+	 */
+	help() {
+		Object.entries(this.commands).forEach(([name, [args, description]]) => {
+			this.print(`  ${`${name} ${args}`.padEnd(30)}${description}`);
+		});
+	}
+
+	/**
+	 * Print the cache
+	 * @param {CacheObj[]} [objects] The objects to print, defaults to the whole cache
+	 * @returns {void}
+	 */
+	printCache(objects = this.dbscene.getCache()) {
+		if (objects.length === 0) this.print('The cache is empty');
+		objects.forEach((cacheObj) => this.print(formatCacheObj(cacheObj, this.dbscene.parameters)));
+	}
+
+	/**
+	 * Refresh every position, then print the cache
+	 * @param {string} [mapping]
+	 * @returns {void}
+	 */
+	async query(mapping) {
+		const results = await this.dbscene.queryAllObjPos(
+			mapping === undefined ? undefined : parseInt(mapping)
+		);
+		this.printCache();
+		const timedOut = results.filter((result) => result.status === 'timedOut');
+		if (timedOut.length > 0)
+			this.print(
+				`No reply for object(s) ${timedOut.map((result) => result.cacheObj.num).join(', ')}`
+			);
+	}
+
+	/**
+	 * Add an object to the cache
+	 * @param {string} num
+	 * @param {string[]} name The words of the name
+	 * @returns {void}
+	 */
+	async add(num, name) {
+		if (num === undefined || name.length === 0) throw new Error('add requires a number and a name');
+		if (this.dbscene.getCacheObj(num) !== null) throw new Error(`Object ${num} already exists`);
+		this.printCache([await this.dbscene.newCacheObj(num, name.join(' '))]);
+	}
+
+	/**
+	 * Remove an object from the cache
+	 * @param {string} num
+	 * @returns {void}
+	 */
+	remove(num) {
+		if (num === undefined) throw new Error('remove requires a number');
+		if (this.dbscene.getCacheObj(num) === null) throw new Error(`Object ${num} does not exist`);
+		this.dbscene.removeCacheObj(num);
+		this.print(`Removed object ${parseInt(num)}`);
+	}
+
+	/**
+	 * Rename an object in the cache
+	 * @param {string} num
+	 * @param {string[]} name The words of the new name
+	 * @returns {void}
+	 */
+	async rename(num, name) {
+		if (num === undefined || name.length === 0)
+			throw new Error('rename requires a number and a name');
+		this.printCache([await this.dbscene.updateCacheObj(num, name.join(' '))]);
+	}
+
+	/**
+	 * Build the cache from the DS100 input names, then print it
+	 * @param {string} [mode] "merge" or "replace"
+	 * @param {string} [enabled] "enabled" to leave out inputs which are not En-Scene sound objects
+	 * @returns {void}
+	 */
+	async discover(mode, enabled) {
+		if (enabled !== undefined && enabled !== 'enabled')
+			throw new Error('discover takes merge or replace, then optionally enabled');
+		const result = await this.dbscene.discoverCache({
+			mode,
+			enabledOnly: enabled === undefined ? undefined : true,
+		});
+		this.printCache();
+		this.print(
+			`${result.added.length} added, ${result.renamed.length} renamed, ${result.removed.length} removed`
+		);
+		if (result.timedOut.length > 0)
+			this.print(`No reply for the input(s) of object(s) ${result.timedOut.join(', ')}`);
+	}
+
+	/**
+	 * Audit the workspace and print the report
+	 * @param {string} [fix] "--fix" to make the safe repairs
+	 * @returns {void}
+	 */
+	async audit(fix) {
+		if (fix !== undefined && fix !== '--fix') throw new Error('audit takes --fix');
+		const report = await this.dbscene.auditWorkspace({ fix: fix !== undefined });
+		this.output.write(formatAuditReport(report));
+	}
+
+	/**
+	 * Create a dbscene
+	 * @param {string} [mapping]
+	 * @param {string} [group] An object group
+	 * @returns {void}
+	 */
+	async create(mapping, group) {
+		const groupCueID = await this.dbscene.createDbscene(mapping, group);
+		this.print(groupCueID ? `Created dbscene ${groupCueID}` : 'No dbscene was created');
+	}
+
+	/**
+	 * List the history, newest last
+	 * @returns {void}
+	 */
+	async printHistory() {
+		const entries = await this.dbscene.listHistory();
+		if (entries.length === 0) this.print('The history is empty');
+		entries.forEach((entry) =>
+			this.print(
+				`${entry.id}. ${entry.timestamp} ${entry.description}, ${entry.cues.length} cue(s)${
+					entry.undone ? ' - undone' : ''
+				}`
+			)
+		);
+	}
+
+	/**
+	 * Undo the last operation
+	 * @returns {void}
+	 */
+	async undo() {
+		const result = await this.dbscene.undo();
+		this.print(
+			`Undid ${result.description}: ${result.deleted} cue(s) deleted, ${result.restored} restored, ${result.recreated} recreated`
+		);
+		result.skipped.forEach(({ cueID, reason }) => this.print(`Left ${cueID} alone: ${reason}`));
+	}
+
+	/**
+	 * Start or stop the position monitor, printing object moves while it runs
+	 * @param {string} [state] "on" or "off", or nothing to show whether the monitor is running
+	 * @returns {void}
+	 */
+	monitor(state) {
+		const { dbscene } = this;
+		if (state === 'on') {
+			if (!this.onMonitorEvent) {
+				this.onMonitorEvent = {
+					objectMoved: ({ num, to }) => this.print(`Object ${num} moved to ${to.x}, ${to.y}`),
+					objectUnreachable: ({ num }) => this.print(`Object ${num} is not answering`),
+					ds100Offline: (device) => this.print(`${device.name} is offline`),
+					ds100Online: (device) => this.print(`${device.name} is back online`),
+				};
+				Object.entries(this.onMonitorEvent).forEach(([event, listener]) =>
+					dbscene.on(event, listener)
+				);
+			}
+			dbscene.startMonitor();
+		} else if (state === 'off') {
+			dbscene.stopMonitor();
+			if (this.onMonitorEvent) {
+				Object.entries(this.onMonitorEvent).forEach(([event, listener]) =>
+					dbscene.off(event, listener)
+				);
+				this.onMonitorEvent = null;
+			}
+		} else if (state !== undefined) {
+			throw new Error('monitor takes on or off');
+		}
+		this.print(`Monitoring is ${dbscene.monitor.running ? 'on' : 'off'}`);
+	}
+
+	/**
+	 * Update the selected dbscenes
+	 * @param {string} [group] Only update the cues of this object group
+	 * @returns {void}
+	 */
+	async update(group) {
+		await this.dbscene.updateSelectedCues(group);
+		this.print('Updated the selected cues');
+	}
+}
+
+module.exports = DbsceneConsole;
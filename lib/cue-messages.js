@@ -0,0 +1,82 @@
+const { parseParameterAddress, parseParameterValue } = require('./parameters');
+
+/**
+ * The OSC message of a dbscene network cue, parsed from its custom string
+ * @typedef {Object} CueMessage
+ * @property {string} type - "position" or "parameter"
+ * @property {number} input - The DS100 input number addressed
+ * @property {string} [method] - Position messages: "source_position", "source_position_x", "source_position_y" or "source_position_xy"
+ * @property {number} [mapping] - Position messages: the coordinate mapping, 1-4
+ * @property {number} [x] - Position messages: the x-coordinate, NaN if the message has none
+ * @property {number} [y] - Position messages: the y-coordinate, NaN if the message has none
+ * @property {ObjParameter} [parameter] - Parameter messages: the parameter
+ * @property {number} [value] - Parameter messages: the value
+ */
+
+const positionRegex = /^\/dbaudio1\/coordinatemapping\/(source_position(?:_(?:x|y|xy))?)\/([1-4])\/([1-9]|[1-5][0-9]|6[0-4])$/;
+
+/**
+ * Create the custom string of a position cue
+ * @param {number} mapping The coordinate mapping, 1-4
+ * @param {number} input The DS100 input number
+ * @param {number} x
+ * @param {number} y
+ * @returns {string} e.g. "/dbaudio1/coordinatemapping/source_position_xy/1/3 0.5 0.25"
+ */
+function positionMessage(mapping, input, x, y) {
+	return `/dbaudio1/coordinatemapping/source_position_xy/${mapping}/${input} ${x} ${y}`;
+}
+
+/**
+ * Create the custom string of a parameter cue
+ * @param {ObjParameter} parameter
+ * @param {number} input The DS100 input number
+ * @param {number} value
+ * @returns {string} e.g. "/dbaudio1/positioning/source_spread/3 0.5"
+ */
+function parameterMessage(parameter, input, value) {
+	return `${parameter.address}/${input} ${value}`;
+}
+
+/**
+ * Parse the custom string of a dbscene network cue
+ * @param {string} customString
+ * @returns {CueMessage|null} The parsed message, or null if it is not a DS100 position or parameter message
+ */
+function parseCueMessage(customString) {
+	const [address, ...args] = `${customString}`.trim().split(/\s+/);
+
+	const position = positionRegex.exec(address);
+	if (position) {
+		const [, method, mapping, input] = position;
+		let [x, y] = args.map((arg) => parseFloat(arg));
+		if (method === 'source_position_y') [y, x] = [x, NaN];
+		if (method === 'source_position_x') y = NaN;
+		return {
+			type: 'position',
+			method,
+			mapping: parseInt(mapping),
+			input: parseInt(input),
+			x: x === undefined ? NaN : x,
+			y: y === undefined ? NaN : y,
+		};
+	}
+
+	const paramAddress = parseParameterAddress(address);
+	if (paramAddress) {
+		return {
+			type: 'parameter',
+			parameter: paramAddress.parameter,
+			input: paramAddress.num,
+			value: args.length > 0 ? parseParameterValue(paramAddress.parameter, args[0]) : NaN,
+		};
+	}
+
+	return null;
+}
+
+module.exports = {
+	positionMessage,
+	parameterMessage,
+	parseCueMessage,
+};
@@ -0,0 +1,38 @@
+/**
+ * Easing curves, each mapping progress 0-1 to an eased progress 0-1
+ * @type {Object<string, Function>}
+ */
+const curves = {
+	linear: (t) => t,
+	scurve: (t) => (1 - Math.cos(Math.PI * t)) / 2,
+	easein: (t) => t * t,
+	easeout: (t) => 1 - (1 - t) * (1 - t),
+};
+
+/**
+ * Get an easing curve by name
+ * @param {string} [name] "linear", "scurve", "easein" or "easeout", defaults to "linear"
+ * @returns {Function} The curve
+ */
+function getCurve(name = 'linear') {
+	const curve = curves[`${name}`.toLowerCase().replace(/[^a-z]/g, '')];
+	if (!curve) throw new Error(`Unknown curve "${name}", expected one of ${Object.keys(curves)}`);
+	return curve;
+}
+
+/**
+ * Interpolate between two values
+ * @param {number} from
+ * @param {number} to
+ * @param {number} progress Eased progress, 0-1
+ * @returns {number}
+ */
+function interpolate(from, to, progress) {
+	return from + (to - from) * progress;
+}
+
+module.exports = {
+	curves,
+	getCurve,
+	interpolate,
+};
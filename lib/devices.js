@@ -0,0 +1,86 @@
+const { createMappingAreas } = require('./geometry');
+
+/**
+ * A DS100 processor and the range of dbscene object numbers it handles
+ * @typedef {Object} DS100Device
+ * @property {string} name - A name for the device, used in log messages
+ * @property {string} address - The IP address of the DS100
+ * @property {number} port - The port the DS100 listens on, defaults to 50010
+ * @property {number} qlabPatch - Network patch number of this DS100 in QLab
+ * @property {number[]} objects - The first and last object numbers handled by this DS100, e.g. [65, 128]. The first object in the range is the DS100's input 1.
+ * @property {Object<number, MappingArea>} mappingAreas - The corner points of this DS100's mapping areas, defaults to ds100.mappingAreas
+ */
+
+/**
+ * Build the list of DS100 devices from the config. Configs without ds100.devices describe a single DS100 with objects 1-64.
+ * @param {DbsceneConfig} config
+ * @returns {DS100Device[]}
+ */
+function createDevices(config) {
+	const deviceConfigs = config.ds100.devices || [
+		{
+			name: 'DS100',
+			address: config.ds100.address,
+			qlabPatch: config.qlab.ds100Patch,
+			objects: [1, 64],
+		},
+	];
+	if (!Array.isArray(deviceConfigs) || deviceConfigs.length === 0)
+		throw new TypeError('ds100.devices must be a non-empty array');
+
+	const devices = deviceConfigs.map((deviceConfig, index) => {
+		const objects = (deviceConfig.objects || [1, 64]).map((num) => parseInt(num));
+		const [first, last] = objects;
+		if (!(first >= 1) || !(last >= first) || last - first >= 64) {
+			throw new Error(
+				`ds100.devices[${index}].objects must be a range of 1 to 64 object numbers, received ${deviceConfig.objects}`
+			);
+		}
+		return {
+			name: deviceConfig.name || `DS100 ${index + 1}`,
+			address: deviceConfig.address,
+			port: deviceConfig.port || config.ds100.port || 50010,
+			qlabPatch:
+				deviceConfig.qlabPatch === undefined ? config.qlab.ds100Patch : deviceConfig.qlabPatch,
+			objects,
+			mappingAreas: createMappingAreas(
+				deviceConfig.mappingAreas || config.ds100.mappingAreas,
+				deviceConfig.mappingAreas ? `ds100.devices[${index}].mappingAreas` : 'ds100.mappingAreas'
+			),
+		};
+	});
+
+	devices.forEach((device, index) => {
+		devices.slice(index + 1).forEach((other) => {
+			if (device.objects[0] <= other.objects[1] && other.objects[0] <= device.objects[1])
+				throw new Error(`DS100 devices ${device.name} and ${other.name} have overlapping objects`);
+		});
+	});
+	return devices;
+}
+
+/**
+ * Convert a dbscene object number to the input number on its DS100
+ * @param {DS100Device} device
+ * @param {number} objNum
+ * @returns {number}
+ */
+function toInput(device, objNum) {
+	return objNum - device.objects[0] + 1;
+}
+
+/**
+ * Convert an input number on a DS100 to a dbscene object number
+ * @param {DS100Device} device
+ * @param {number} input
+ * @returns {number}
+ */
+function toObjNum(device, input) {
+	return device.objects[0] + input - 1;
+}
+
+module.exports = {
+	createDevices,
+	toInput,
+	toObjNum,
+};
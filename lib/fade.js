@@ -0,0 +1,62 @@
+const { getCurve } = require('./curves');
+
+/**
+ * A running fade
+ * @typedef {Object} Fade
+ * @property {Promise<boolean>} promise - Resolves when the fade ends: true if it completed, false if it was cancelled
+ * @property {Function} cancel - Stops the fade where it is
+ */
+
+/**
+ * Fade options
+ * @typedef {Object} FadeOptions
+ * @property {number} duration - The fade time, in milliseconds
+ * @property {string} [curve] - The easing curve, defaults to "linear"
+ * @property {number} [frameInterval] - Milliseconds between frames, defaults to 40
+ * @property {Function} onFrame - Called with the eased progress, 0-1, for every frame. The last frame is always 1.
+ */
+
+/**
+ * Run a timed fade, calling onFrame at a fixed interval
+ * @param {FadeOptions} options
+ * @returns {Fade}
+ */
+function fade(options) {
+	const { duration, onFrame } = options;
+	const curve = getCurve(options.curve);
+	const frameInterval = options.frameInterval || 40;
+
+	let timer = null;
+	let finish;
+	const promise = new Promise((resolve) => {
+		finish = resolve;
+	});
+
+	if (!(duration > 0)) {
+		onFrame(1);
+		finish(true);
+		return { promise, cancel: () => {} };
+	}
+
+	const start = Date.now();
+	const frame = () => {
+		const progress = Math.min((Date.now() - start) / duration, 1);
+		onFrame(curve(progress));
+		if (progress >= 1) {
+			clearInterval(timer);
+			finish(true);
+		}
+	};
+	timer = setInterval(frame, frameInterval);
+	frame();
+
+	return {
+		promise,
+		cancel: () => {
+			clearInterval(timer);
+			finish(false);
+		},
+	};
+}
+
+module.exports = fade;
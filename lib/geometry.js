@@ -0,0 +1,139 @@
+/**
+ * The corner points of a DS100 coordinate mapping area, in room coordinates (meters).
+ * The corners are the room positions of the normalized points (0, 0), (1, 0), (1, 1) and (0, 1), in that order.
+ * @typedef {number[][]} MappingArea
+ */
+
+// Tolerance for treating a mapping area as a parallelogram, whose conversions are linear
+const EPSILON = 1e-9;
+
+/**
+ * Build the mapping areas from the config
+ * @param {Object} [config] Corner points keyed by mapping number, e.g. { 1: [[-5, 0], [5, 0], [5, 8], [-5, 8]] }
+ * @param {string} [name] Where the areas are configured, for error messages
+ * @returns {Object<number, MappingArea>} The mapping areas, keyed by mapping number
+ */
+function createMappingAreas(config = {}, name = 'ds100.mappingAreas') {
+	if (typeof config !== 'object' || config === null)
+		throw new TypeError(`${name} must be an object`);
+	const areas = {};
+	Object.entries(config).forEach(([mapping, corners]) => {
+		const num = parseInt(mapping);
+		if (!(num >= 1 && num <= 4)) throw new Error(`${name} has no mapping ${mapping}, expected 1-4`);
+		const valid =
+			Array.isArray(corners) &&
+			corners.length === 4 &&
+			corners.every(
+				(corner) =>
+					Array.isArray(corner) &&
+					corner.length === 2 &&
+					corner.every((value) => typeof value === 'number' && Number.isFinite(value))
+			);
+		if (!valid) throw new Error(`${name}[${mapping}] must be four [x, y] corner points in meters`);
+		areas[num] = corners.map(([x, y]) => [x, y]);
+	});
+	return areas;
+}
+
+/**
+ * Convert a normalized position within a mapping area to room coordinates, interpolating bilinearly between the corners
+ * @param {MappingArea} area
+ * @param {number} x Normalized x-coordinate, 0-1 within the area
+ * @param {number} y Normalized y-coordinate, 0-1 within the area
+ * @returns {{x: number, y: number}} The position in meters
+ */
+function toMeters(area, x, y) {
+	const [p00, p10, p11, p01] = area;
+	const weights = [(1 - x) * (1 - y), x * (1 - y), x * y, (1 - x) * y];
+	return {
+		x: weights[0] * p00[0] + weights[1] * p10[0] + weights[2] * p11[0] + weights[3] * p01[0],
+		y: weights[0] * p00[1] + weights[1] * p10[1] + weights[2] * p11[1] + weights[3] * p01[1],
+	};
+}
+
+/**
+ * The 2D cross product
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cross(a, b) {
+	return a[0] * b[1] - a[1] * b[0];
+}
+
+/**
+ * How far a normalized position lies outside the mapping area
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} 0 for positions inside the area
+ */
+function distanceOutside(x, y) {
+	return Math.hypot(Math.max(0, -x, x - 1), Math.max(0, -y, y - 1));
+}
+
+/**
+ * Convert room coordinates to a normalized position within a mapping area, inverting toMeters.
+ * Positions outside the area convert to values below 0 or above 1.
+ * @param {MappingArea} area
+ * @param {number} xm The x-coordinate in meters
+ * @param {number} ym The y-coordinate in meters
+ * @returns {{x: number, y: number}|null} The normalized position, or null if the area is degenerate
+ */
+function toNormalized(area, xm, ym) {
+	const [p00, p10, p11, p01] = area;
+	// The area is p00 + e * x + f * y + g * x * y
+	const e = [p10[0] - p00[0], p10[1] - p00[1]];
+	const f = [p01[0] - p00[0], p01[1] - p00[1]];
+	const g = [p00[0] - p10[0] + p11[0] - p01[0], p00[1] - p10[1] + p11[1] - p01[1]];
+	const h = [xm - p00[0], ym - p00[1]];
+
+	const k2 = cross(g, f);
+	const k1 = cross(e, f) + cross(h, g);
+	const k0 = cross(h, e);
+
+	const solveX = (y) => {
+		const dx = e[0] + g[0] * y;
+		const dy = e[1] + g[1] * y;
+		return Math.abs(dx) > Math.abs(dy) ? (h[0] - f[0] * y) / dx : (h[1] - f[1] * y) / dy;
+	};
+
+	let candidates;
+	if (Math.abs(k2) < EPSILON) {
+		if (Math.abs(k1) < EPSILON) return null;
+		candidates = [-k0 / k1];
+	} else {
+		const discriminant = k1 * k1 - 4 * k0 * k2;
+		if (discriminant < 0) return null;
+		const root = Math.sqrt(discriminant);
+		candidates = [(-k1 - root) / (2 * k2), (-k1 + root) / (2 * k2)];
+	}
+
+	// Of the two solutions of a non-parallelogram area, the one nearest the area is the position
+	return candidates
+		.map((y) => ({ x: solveX(y), y }))
+		.filter((position) => Number.isFinite(position.x) && Number.isFinite(position.y))
+		.reduce(
+			(best, position) =>
+				best === null || distanceOutside(position.x, position.y) < distanceOutside(best.x, best.y)
+					? position
+					: best,
+			null
+		);
+}
+
+/**
+ * Whether a normalized position lies within its mapping area
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function isInside(x, y) {
+	return x >= 0 && x <= 1 && y >= 0 && y <= 1;
+}
+
+module.exports = {
+	createMappingAreas,
+	toMeters,
+	toNormalized,
+	isInside,
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+// The history file format version written by this module
+const HISTORY_VERSION = 1;
+
+/**
+ * A cue created, modified or deleted by an operation, with what is needed to undo it
+ * @typedef {Object} CueChange
+ * @property {string} cueID - The unique ID of the cue
+ * @property {string} action - "created", undone by deleting the cue, "modified", undone by restoring name, from and patch,
+ * or "deleted", undone by creating the cue again
+ * @property {string} [name] - Modified and deleted cues: the cue name before the operation
+ * @property {string} [from] - Modified and deleted network cues: the OSC message before the operation
+ * @property {string} [to] - Modified network cues: the OSC message after the operation
+ * @property {number} [patch] - Modified and deleted network cues: the network patch before the operation
+ * @property {number} [toPatch] - Network cues whose patch was modified: the network patch after the operation
+ * @property {string} [groupCueID] - Deleted cues: the unique ID of the group the cue was in
+ * @property {number} [index] - Deleted cues: the position of the cue in its group
+ */
+
+/**
+ * An operation in the history
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - The operation number, counting up from 1
+ * @property {string} type - What made the changes: "create", "load", "update", "updateAll", "remap", "morph" or "audit"
+ * @property {string} timestamp - When the operation ended, as an ISO 8601 string
+ * @property {string} description - A summary of the operation
+ * @property {CueChange[]} cues - The cues created or modified, in the order they were changed
+ * @property {string|null} undone - When the operation was undone, as an ISO 8601 string, or null
+ */
+
+/**
+ * A versioned JSON file of the operations which created or modified cues, newest last
+ */
+class History {
+	/**
+	 * Constructor
+	 * @param {string} filePath The path of the history file, which is created on the first operation
+	 * @param {number} [limit] How many operations are kept, defaults to 100
+	 */
+	constructor(filePath, limit = 100) {
+		this.filePath = path.resolve(filePath);
+		this.limit = parseInt(limit);
+		if (!(this.limit >= 1)) throw new Error(`history.limit must be 1 or more, received ${limit}`);
+		this.pending = Promise.resolve(); // Serializes reads and writes of the file
+	}
+
+	/**
+	 * Queue an operation on the file after any operations already in progress
+	 * @param {Function} operation An async function
+	 * @returns {Promise} The result of the operation
+	 */
+	queue(operation) {
+		const result = this.pending.then(operation);
+		this.pending = result.catch(() => {});
+		return result;
+	}
+
+	/**
+	 * Read the history file
+	 * @returns {Object} The history, or an empty history if the file does not exist yet
+	 */
+	async read() {
+		let text;
+		try {
+			text = await fs.promises.readFile(this.filePath, 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') return { version: HISTORY_VERSION, nextID: 1, entries: [] };
+			throw error;
+		}
+
+		const history = JSON.parse(text);
+		if (typeof history.version !== 'number' || !Array.isArray(history.entries))
+			throw new Error(`${this.filePath} is not a dbscene history`);
+		if (history.version > HISTORY_VERSION)
+			throw new Error(
+				`${this.filePath} was written by a newer version of dbscene (history version ${history.version})`
+			);
+		return history;
+	}
+
+	/**
+	 * Write the history file, replacing it atomically
+	 * @param {Object} history
+	 * @returns {void}
+	 */
+	async write(history) {
+		const tempPath = `${this.filePath}.tmp`;
+		await fs.promises.writeFile(tempPath, `${JSON.stringify(history, null, '\t')}\n`);
+		await fs.promises.rename(tempPath, this.filePath);
+	}
+
+	/**
+	 * Add an operation, dropping the oldest operations beyond the limit
+	 * @param {Object} operation The operation, as { type, description, cues }
+	 * @returns {HistoryEntry} The entry
+	 */
+	record(operation) {
+		return this.queue(async () => {
+			const history = await this.read();
+			const entry = {
+				id: history.nextID,
+				type: operation.type,
+				timestamp: new Date().toISOString(),
+				description: operation.description,
+				cues: operation.cues,
+				undone: null,
+			};
+			history.version = HISTORY_VERSION;
+			history.nextID += 1;
+			history.entries = [...history.entries, entry].slice(-this.limit);
+			await this.write(history);
+			return entry;
+		});
+	}
+
+	/**
+	 * List the operations
+	 * @returns {HistoryEntry[]} The operations, oldest first
+	 */
+	list() {
+		return this.queue(async () => (await this.read()).entries);
+	}
+
+	/**
+	 * Get the newest operation which has not been undone
+	 * @returns {HistoryEntry|null} The operation, or null if there is none
+	 */
+	last() {
+		return this.queue(async () => {
+			const { entries } = await this.read();
+			return (
+				entries
+					.slice()
+					.reverse()
+					.find((entry) => entry.undone === null) || null
+			);
+		});
+	}
+
+	/**
+	 * Mark an operation as undone
+	 * @param {number} id
+	 * @returns {HistoryEntry} The operation
+	 */
+	markUndone(id) {
+		return this.queue(async () => {
+			const history = await this.read();
+			const entry = history.entries.find((candidate) => candidate.id === id);
+			if (!entry) throw new Error(`Operation ${id} is not in ${this.filePath}`);
+			entry.undone = new Date().toISOString();
+			await this.write(history);
+			return entry;
+		});
+	}
+}
+
+module.exports = History;
@@ -0,0 +1,72 @@
+/**
+ * A DS100 matrix input property which dbscene reads to discover objects
+ * @typedef {Object} InputProperty
+ * @property {string} name - The property name
+ * @property {string} address - The DS100 OSC address, without the input number
+ * @property {string} type - The OSC argument type of the value, "string" or "integer"
+ * @property {string|number} default - The value of an input on a new DS100 project
+ */
+
+/** @type {InputProperty[]} */
+const inputProperties = [
+	{
+		name: 'channelname',
+		address: '/dbaudio1/matrixinput/channelname',
+		type: 'string',
+		default: '',
+	},
+	{
+		name: 'mute',
+		address: '/dbaudio1/matrixinput/mute',
+		type: 'integer',
+		default: 0,
+	},
+	{
+		// Whether the input is positioned by En-Scene as a sound object, 1 or 0
+		name: 'enscene',
+		address: '/dbaudio1/matrixinput/enscene',
+		type: 'integer',
+		default: 1,
+	},
+];
+
+/**
+ * Get an input property by name
+ * @param {string} name e.g. "channelname"
+ * @returns {InputProperty} The property
+ */
+function getInputProperty(name) {
+	const property = inputProperties.find((prop) => prop.name === name);
+	if (!property) throw new Error(`Unknown input property "${name}"`);
+	return property;
+}
+
+/**
+ * Match an OSC address such as "/dbaudio1/matrixinput/channelname/3" to an input property
+ * @param {string} address
+ * @returns {{property: InputProperty, input: number}|null} The property and input number, or null if the address is not an input property address
+ */
+function parseInputAddress(address) {
+	const match = /^(.+)\/(\d+)$/.exec(address);
+	if (!match) return null;
+	const property = inputProperties.find((prop) => prop.address === match[1]);
+	if (!property) return null;
+	return { property, input: parseInt(match[2]) };
+}
+
+/**
+ * Parse an input property value as received from a DS100
+ * @param {InputProperty} property
+ * @param {number|string} value
+ * @returns {string|number}
+ */
+function parseInputValue(property, value) {
+	return property.type === 'integer' ? parseInt(value) : `${value}`.trim();
+}
+
+module.exports = {
+	inputProperties,
+	getInputProperty,
+	parseInputAddress,
+	parseInputValue,
+};
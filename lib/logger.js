@@ -0,0 +1,71 @@
+/**
+ * A logger. Each method takes a message and, optionally, structured fields: direction ("in" or "out"), peer ("address:port"),
+ * address and args (of an OSC message), cueID, num (an object number) and error.
+ * Any object with these methods can be given to the Dbscene constructor, e.g. a winston logger.
+ * @typedef {Object} Logger
+ * @property {Function} error - Failures
+ * @property {Function} warn - Problems which dbscene worked around, or which need the operator
+ * @property {Function} info - Servers starting and stopping
+ * @property {Function} verbose - What dbscene did, and every OSC message sent
+ * @property {Function} debug - Every OSC message received, and why single cues were left alone
+ */
+
+/** The log levels, most severe first */
+const levels = ['error', 'warn', 'info', 'verbose', 'debug'];
+
+/**
+ * Get the log level of the logging config option
+ * @param {number|string} [logging] 0, 1 or 2, or a level name, defaults to 0
+ * @returns {string} The most detailed level logged: 0 is "info", 1 is "verbose" and 2 is "debug"
+ */
+function toLevel(logging = 0) {
+	if (levels.includes(logging)) return logging;
+	const level = ['info', 'verbose', 'debug'][logging];
+	if (level === undefined)
+		throw new Error(`logging must be 0, 1, 2 or one of ${levels.join(', ')}, received ${logging}`);
+	return level;
+}
+
+/**
+ * Create a logger which writes messages to the console, without their fields. Errors given as a field are written with their stack.
+ * @param {string} level The most detailed level written
+ * @param {string} prefix Written before each message
+ * @returns {Logger}
+ */
+function createConsoleLogger(level, prefix) {
+	const max = levels.indexOf(level);
+	return Object.fromEntries(
+		levels.map((name, index) => [
+			name,
+			(message, fields = {}) => {
+				if (index > max) return;
+				const write = index <= levels.indexOf('warn') ? console.error : console.log;
+				if (!fields.error || message !== fields.error.message) write(`${prefix}: ${message}`);
+				if (fields.error) console.error(fields.error);
+			},
+		])
+	);
+}
+
+/**
+ * Create the logger of a Dbscene instance or a simulator
+ * @param {Logger} [logger] An injected logger; a missing verbose method falls back to debug, and other missing methods log nothing
+ * @param {number|string} [logging] The logging config option, used when no logger is injected
+ * @param {string} [prefix] Written before each console message, defaults to "dbscene"
+ * @returns {Logger}
+ */
+function createLogger(logger, logging, prefix = 'dbscene') {
+	if (!logger) return createConsoleLogger(toLevel(logging), prefix);
+	return Object.fromEntries(
+		levels.map((name) => {
+			const method = logger[name] || (name === 'verbose' ? logger.debug : undefined);
+			return [name, typeof method === 'function' ? method.bind(logger) : () => {}];
+		})
+	);
+}
+
+module.exports = {
+	levels,
+	toLevel,
+	createLogger,
+};
@@ -0,0 +1,186 @@
+const EventEmitter = require('events');
+
+/**
+ * Monitor options, from the monitor section of the config
+ * @typedef {Object} MonitorConfig
+ * @property {boolean} enabled - Whether the monitor starts with the DS100 server, defaults to false
+ * @property {number} interval - Milliseconds in which every object is polled once, defaults to 1000
+ * @property {number} [mapping] - The coordinate mapping polled, defaults to ds100.defaultMapping
+ * @property {number} deadband - How far an object must move, in normalized coordinates, before objectMoved is emitted, defaults to 0.001
+ * @property {number} misses - Consecutive unanswered polls before an object is unreachable, defaults to 2
+ */
+
+/**
+ * Polls the position of every cache object in turn, spreading the queries evenly over the interval, and reports changes as events:
+ * objectMoved, objectUnreachable, objectReachable, ds100Offline and ds100Online
+ */
+class PositionMonitor extends EventEmitter {
+	/**
+	 * Constructor
+	 * @param {Dbscene} dbscene The instance whose cache is monitored
+	 * @param {Object} [config] The monitor section of the config
+	 */
+	constructor(dbscene, config = {}) {
+		super();
+		this.dbscene = dbscene;
+		this.config = { enabled: false, interval: 1000, deadband: 0.001, misses: 2, ...config };
+		['interval', 'deadband', 'misses'].forEach((option) => {
+			if (!(typeof this.config[option] === 'number' && this.config[option] >= 0))
+				throw new Error(`monitor.${option} must be a number of 0 or more`);
+		});
+
+		this.timer = null;
+		this.next = 0; // Index of the next cache object to poll
+		this.pending = new Set(); // Objects whose poll is awaiting a reply
+		this.positions = new Map(); // Last reported position of each object
+		this.missed = new Map(); // Consecutive unanswered polls of each object
+		this.unreachable = new Set();
+		this.offline = new Set(); // Names of offline DS100s
+	}
+
+	/**
+	 * Whether the monitor is polling
+	 * @returns {boolean}
+	 */
+	get running() {
+		return this.timer !== null;
+	}
+
+	/**
+	 * The coordinate mapping polled
+	 * @returns {number}
+	 */
+	get mapping() {
+		return parseInt(
+			this.config.mapping === undefined
+				? this.dbscene.config.ds100.defaultMapping
+				: this.config.mapping
+		);
+	}
+
+	/**
+	 * Start polling. The first answer from each object is the starting point for objectMoved, as cache positions may never have been queried.
+	 * @returns {PositionMonitor} The monitor
+	 */
+	start() {
+		if (this.running) return this;
+		this.schedule();
+		return this;
+	}
+
+	/**
+	 * Stop polling. Polls awaiting a reply still report.
+	 * @returns {void}
+	 */
+	stop() {
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Schedule the next poll, so that each object is polled once per interval
+	 * @returns {void}
+	 */
+	schedule() {
+		const delay = this.config.interval / Math.max(1, this.dbscene.cache.length);
+		this.timer = setTimeout(() => {
+			this.poll();
+			if (this.running) this.schedule();
+		}, delay);
+	}
+
+	/**
+	 * Poll the next cache object, unless its last poll is still awaiting a reply
+	 * @returns {void}
+	 */
+	poll() {
+		const { cache } = this.dbscene;
+		if (cache.length === 0) return;
+		this.next %= cache.length;
+		const cacheObj = cache[this.next];
+		this.next += 1;
+		if (this.pending.has(cacheObj.num)) return;
+
+		this.pending.add(cacheObj.num);
+		this.dbscene
+			.queryObjPos(cacheObj, this.mapping)
+			.then(
+				() => this.answered(cacheObj),
+				(error) => this.missedPoll(cacheObj, error)
+			)
+			.catch((error) => this.dbscene.logError(error))
+			.finally(() => this.pending.delete(cacheObj.num));
+	}
+
+	/**
+	 * Forget what is known of an object removed from the cache, so that it starts afresh if it is added again
+	 * @param {number} num The object number
+	 * @returns {void}
+	 */
+	forget(num) {
+		this.positions.delete(num);
+		this.missed.delete(num);
+		this.unreachable.delete(num);
+	}
+
+	/**
+	 * Whether an object polled is still in the cache, as it may be removed while its poll awaits a reply
+	 * @param {CacheObj} cacheObj
+	 * @returns {boolean}
+	 */
+	inCache(cacheObj) {
+		return this.dbscene.cache.includes(cacheObj);
+	}
+
+	/**
+	 * Handle an answered poll
+	 * @param {CacheObj} cacheObj
+	 * @returns {void}
+	 */
+	answered(cacheObj) {
+		if (!this.inCache(cacheObj)) return;
+		// The cache also holds positions in other mappings, e.g. from creating a dbscene
+		const { num, x, y } = this.dbscene.cacheObjAt(cacheObj, this.mapping);
+		this.missed.delete(num);
+		if (this.unreachable.delete(num)) this.emit('objectReachable', { num, cacheObj });
+		const device = this.dbscene.getDevice(num);
+		if (this.offline.delete(device.name)) this.emit('ds100Online', device);
+
+		const from = this.positions.get(num);
+		if (from === undefined) {
+			this.positions.set(num, { x, y });
+			return;
+		}
+		const { deadband } = this.config;
+		if (Math.abs(x - from.x) <= deadband && Math.abs(y - from.y) <= deadband) return;
+		this.positions.set(num, { x, y });
+		this.emit('objectMoved', { num, cacheObj, mapping: this.mapping, from, to: { x, y } });
+	}
+
+	/**
+	 * Handle an unanswered poll
+	 * @param {CacheObj} cacheObj
+	 * @param {Error} error
+	 * @returns {void}
+	 */
+	missedPoll(cacheObj, error) {
+		if (!this.inCache(cacheObj)) return;
+		const { num } = cacheObj;
+		const missed = (this.missed.get(num) || 0) + 1;
+		this.missed.set(num, missed);
+		if (missed < this.config.misses || this.unreachable.has(num)) return;
+
+		this.unreachable.add(num);
+		this.emit('objectUnreachable', { num, cacheObj, error });
+
+		// A DS100 is offline once none of its objects answer
+		const device = this.dbscene.getDevice(num);
+		const objects = this.dbscene.cache.filter((obj) => this.dbscene.getDevice(obj.num) === device);
+		if (!this.offline.has(device.name) && objects.every((obj) => this.unreachable.has(obj.num))) {
+			this.offline.add(device.name);
+			this.emit('ds100Offline', device);
+		}
+	}
+}
+
+module.exports = PositionMonitor;
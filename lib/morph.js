@@ -0,0 +1,74 @@
+const { getCurve, interpolate } = require('./curves');
+
+/**
+ * Morph options
+ * @typedef {Object} MorphOptions
+ * @property {number} steps - How many position cues each object steps through; the last is the second scene's position
+ * @property {number} duration - Seconds from the start of the morph to the last step
+ * @property {string} [curve] - The easing curve, defaults to "linear"
+ * @property {number[]} [exclude] - Objects left out of the morph
+ */
+
+/**
+ * One step of an object's morph
+ * @typedef {Object} MorphStep
+ * @property {number} step - The step number, from 1
+ * @property {number} preWait - Seconds after the start of the morph at which the step is sent
+ * @property {number} x - The normalized x-coordinate
+ * @property {number} y - The normalized y-coordinate
+ */
+
+// Decimal places of morphed coordinates and pre-waits, so cue messages and names stay readable
+const places = 6;
+
+/**
+ * Round to the decimal places of morph cues
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+	return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+/**
+ * Check morph options, with defaults
+ * @param {MorphOptions} options
+ * @returns {MorphOptions} The options, with steps and duration parsed as numbers
+ */
+function checkMorphOptions(options) {
+	const steps = parseInt(options.steps);
+	if (!(steps >= 1))
+		throw new Error(`The number of morph steps must be 1 or more, received ${options.steps}`);
+	const duration = parseFloat(options.duration);
+	if (!(duration >= 0))
+		throw new Error(`The morph duration must be 0 or more seconds, received ${options.duration}`);
+	const curve = options.curve === undefined ? 'linear' : options.curve;
+	getCurve(curve); // Unknown curves throw
+	return { steps, duration, curve, exclude: options.exclude || [] };
+}
+
+/**
+ * Step an object from one position to another. Step n of N is sent n/N of the way through the duration, at the eased position n/N of the way,
+ * so the first step is sent one step in and the last lands on the second position at the end of the duration.
+ * @param {Object} from The first position, as { x, y }
+ * @param {Object} to The second position, as { x, y }
+ * @param {MorphOptions} options
+ * @returns {MorphStep[]} The steps, in order
+ */
+function morphSteps(from, to, options) {
+	const curve = getCurve(options.curve);
+	return Array.from({ length: options.steps }, (_, index) => {
+		const progress = (index + 1) / options.steps;
+		return {
+			step: index + 1,
+			preWait: round(options.duration * progress),
+			x: round(interpolate(from.x, to.x, curve(progress))),
+			y: round(interpolate(from.y, to.y, curve(progress))),
+		};
+	});
+}
+
+module.exports = {
+	checkMorphOptions,
+	morphSteps,
+};
@@ -0,0 +1,164 @@
+/**
+ * Cue naming templates, from the naming section of the config
+ * @typedef {Object} NamingConfig
+ * @property {string} group - The template of dbscene group names, which must start with "dbscene:"
+ * @property {string} position - The template of position cue names
+ * @property {string} parameter - The template of parameter cue names
+ * @property {string} morph - The template of /dbscene/morph group names, which must not start with "dbscene:"
+ * @property {number} [precision] - Decimal places shown for coordinate tokens without their own precision, defaults to all
+ */
+
+// Tokens are written {token}, or {token:places} to round a coordinate token to a number of decimal places
+const tokenRegex = /\{(\w+)(?::(\d+))?\}/g;
+
+// The tokens each template may use
+const templateTokens = {
+	group: ['name', 'mapping'],
+	position: ['num', 'name', 'mapping', 'x', 'y', 'xm', 'ym'],
+	parameter: ['num', 'name', 'parameter', 'value'],
+	morph: ['from', 'to', 'steps'],
+};
+
+// Tokens dbscene owns, which are rewritten when a cue is updated
+const coordinateTokens = ['x', 'y', 'xm', 'ym', 'value'];
+const refreshedTokens = [...coordinateTokens, 'mapping'];
+
+// How each token is recognized in an existing cue name
+const numberPattern = '(-?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?)';
+const tokenPatterns = {
+	num: '(\\d+)',
+	mapping: '([1-4])',
+	x: numberPattern,
+	y: numberPattern,
+	xm: numberPattern,
+	ym: numberPattern,
+	value: numberPattern,
+};
+
+/**
+ * Check that a template only uses the tokens allowed in it
+ * @param {string} kind "group", "position" or "parameter"
+ * @param {string} template
+ * @returns {string} The template
+ */
+function checkTemplate(kind, template) {
+	if (typeof template !== 'string') throw new TypeError(`naming.${kind} must be a string`);
+	Array.from(template.matchAll(tokenRegex)).forEach(([match, token, places]) => {
+		if (!templateTokens[kind].includes(token))
+			throw new Error(`naming.${kind} cannot use the token ${match}`);
+		if (places !== undefined && !coordinateTokens.includes(token))
+			throw new Error(`naming.${kind} cannot set the precision of {${token}}`);
+	});
+	return template;
+}
+
+/**
+ * Build the naming templates from the config, with defaults
+ * @param {Object} [config] The naming section of the config
+ * @returns {NamingConfig}
+ */
+function createNaming(config = {}) {
+	const naming = {
+		group: 'dbscene: {name}',
+		position: '{num} - {name}: {x}, {y}',
+		parameter: '{num} - {name}: {parameter} {value}',
+		morph: 'morph: {from} to {to}',
+		...config,
+	};
+	Object.keys(templateTokens).forEach((kind) => checkTemplate(kind, naming[kind]));
+	// Group cues are recognized as dbscenes by their name
+	if (!naming.group.startsWith('dbscene:'))
+		throw new Error(`naming.group must start with "dbscene:", received "${naming.group}"`);
+	// A morph group holds several cues per object, so it must not be mistaken for a dbscene
+	if (naming.morph.startsWith('dbscene:'))
+		throw new Error(`naming.morph must not start with "dbscene:", received "${naming.morph}"`);
+	if (naming.precision !== undefined) {
+		naming.precision = parseInt(naming.precision);
+		if (Number.isNaN(naming.precision) || naming.precision < 0 || naming.precision > 20)
+			throw new Error(`naming.precision must be 0-20, received ${config.precision}`);
+	}
+	return naming;
+}
+
+/**
+ * Format the value of a token
+ * @param {string} token
+ * @param {*} value
+ * @param {number} [places] Decimal places, for coordinate tokens
+ * @returns {string}
+ */
+function formatToken(token, value, places) {
+	if (value === undefined || value === null) return '';
+	if (places !== undefined && coordinateTokens.includes(token) && typeof value === 'number')
+		return value.toFixed(places);
+	return `${value}`;
+}
+
+/**
+ * Fill in a template
+ * @param {string} template e.g. "{num} - {name}: {x:2}, {y:2}"
+ * @param {Object} values The value of each token, e.g. { num: 1, name: 'Homer', x: 0.5, y: 0.25 }
+ * @param {number} [precision] Decimal places of coordinate tokens without their own precision
+ * @returns {string} e.g. "1 - Homer: 0.50, 0.25"
+ */
+function formatName(template, values, precision) {
+	return template.replace(tokenRegex, (match, token, places) =>
+		formatToken(token, values[token], places === undefined ? precision : parseInt(places))
+	);
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrite the coordinate and mapping tokens of an existing cue name, keeping everything else the operator typed.
+ * The name is matched against the template anywhere within it, so text added before or after is kept too.
+ * @param {string} name The existing cue name
+ * @param {string} template The template the name was created from
+ * @param {Object} values The new value of each token
+ * @param {number} [precision] Decimal places of coordinate tokens without their own precision
+ * @returns {string|null} The new name, or null if the name no longer matches the template
+ */
+function refreshName(name, template, values, precision) {
+	let source = '';
+	let lastIndex = 0;
+	const tokens = [];
+	Array.from(template.matchAll(tokenRegex)).forEach((match) => {
+		source += escapeRegExp(template.slice(lastIndex, match.index));
+		source += tokenPatterns[match[1]] || '(.*?)';
+		tokens.push({ token: match[1], places: match[2] });
+		lastIndex = match.index + match[0].length;
+	});
+	source += escapeRegExp(template.slice(lastIndex));
+
+	const match = new RegExp(source, 'd').exec(`${name}`);
+	if (match === null) return null;
+
+	// Replace from the end, so earlier indices stay valid
+	let refreshed = `${name}`;
+	tokens
+		.map((token, index) => ({ ...token, indices: match.indices[index + 1] }))
+		.filter((token) => refreshedTokens.includes(token.token))
+		.reverse()
+		.forEach(({ token, places, indices }) => {
+			const text = formatToken(
+				token,
+				values[token],
+				places === undefined ? precision : parseInt(places)
+			);
+			refreshed = refreshed.slice(0, indices[0]) + text + refreshed.slice(indices[1]);
+		});
+	return refreshed;
+}
+
+module.exports = {
+	createNaming,
+	formatName,
+	refreshName,
+};
@@ -0,0 +1,23 @@
+const osc = require('osc-min');
+
+/**
+ * Extends the OSC message format as defined by the osc-min package
+ * @param {Object} msg A UDP message
+ * @returns {OscMsg} An OSC message object
+ */
+function fromBuffer(msg) {
+	const oscMinMsg = osc.fromBuffer(msg);
+	oscMinMsg.pathArr = oscMinMsg.address.split('/').slice(1);
+	oscMinMsg.argsArr = oscMinMsg.args.map((arg) => arg.value);
+	if (oscMinMsg.argsArr.length > 0) {
+		oscMinMsg.oscString = `${oscMinMsg.address} ${oscMinMsg.argsArr.join(' ')}`;
+	} else {
+		oscMinMsg.oscString = `${oscMinMsg.address}`;
+	}
+	return oscMinMsg;
+}
+
+module.exports = {
+	fromBuffer,
+	toBuffer: osc.toBuffer,
+};
@@ -0,0 +1,75 @@
+/**
+ * An En-Scene object parameter which dbscene can capture besides position
+ * @typedef {Object} ObjParameter
+ * @property {string} name - The parameter name, also used as the CacheObj property
+ * @property {string} address - The DS100 OSC address, without the object number
+ * @property {string} type - The OSC argument type of the value, "float" or "integer"
+ * @property {number} default - The value a new object starts with on a DS100
+ */
+
+/** @type {ObjParameter[]} */
+const parameters = [
+	{
+		name: 'spread',
+		address: '/dbaudio1/positioning/source_spread',
+		type: 'float',
+		default: 0.5,
+	},
+	{
+		name: 'delaymode',
+		address: '/dbaudio1/positioning/source_delaymode',
+		type: 'integer',
+		default: 1,
+	},
+	{
+		name: 'reverbsendgain',
+		address: '/dbaudio1/matrixinput/reverbsendgain',
+		type: 'float',
+		default: 0,
+	},
+];
+
+/**
+ * Get a parameter by name
+ * @param {string} name e.g. "spread"
+ * @returns {ObjParameter} The parameter
+ */
+function getParameter(name) {
+	const parameter = parameters.find((param) => param.name === name);
+	if (!parameter) {
+		throw new Error(
+			`Unknown parameter "${name}", expected one of ${parameters.map((param) => param.name)}`
+		);
+	}
+	return parameter;
+}
+
+/**
+ * Match an OSC address such as "/dbaudio1/positioning/source_spread/3" to a parameter
+ * @param {string} address
+ * @returns {{parameter: ObjParameter, num: number}|null} The parameter and object number, or null if the address is not a parameter address
+ */
+function parseParameterAddress(address) {
+	const match = /^(.+)\/(\d+)$/.exec(address);
+	if (!match) return null;
+	const parameter = parameters.find((param) => param.address === match[1]);
+	if (!parameter) return null;
+	return { parameter, num: parseInt(match[2]) };
+}
+
+/**
+ * Parse a parameter value as received from a DS100 or written in a custom string
+ * @param {ObjParameter} parameter
+ * @param {number|string} value
+ * @returns {number}
+ */
+function parseParameterValue(parameter, value) {
+	return parameter.type === 'integer' ? parseInt(value) : parseFloat(value);
+}
+
+module.exports = {
+	parameters,
+	getParameter,
+	parseParameterAddress,
+	parseParameterValue,
+};
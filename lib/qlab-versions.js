@@ -0,0 +1,43 @@
+/**
+ * How a QLab version addresses network cues
+ * @typedef {Object} QLabVersion
+ * @property {number} version - The major QLab version
+ * @property {string} applicationID - The application's bundle ID, for AppleScript
+ * @property {string} patchProperty - The cue property holding a network cue's patch number
+ * @property {string} messageProperty - The cue property holding a network cue's OSC message
+ * @property {number|null} messageType - The messageType for custom OSC messages, if the version has one
+ */
+
+/** @type {Object<number, QLabVersion>} */
+const versions = {
+	4: {
+		version: 4,
+		applicationID: 'com.figure53.QLab.4',
+		patchProperty: 'patch',
+		messageProperty: 'customString',
+		messageType: 2,
+	},
+	5: {
+		// Network cues send through network patch destinations, and the OSC message is the first parameter value
+		version: 5,
+		applicationID: 'com.figure53.QLab.5',
+		patchProperty: 'networkPatchNumber',
+		messageProperty: 'parameterValues',
+		messageType: null,
+	},
+};
+
+/**
+ * Get a supported QLab version
+ * @param {number|string} [version] The major version, defaults to 4
+ * @returns {QLabVersion}
+ */
+function getQLabVersion(version = 4) {
+	const qlabVersion = versions[parseInt(version)];
+	if (!qlabVersion) throw new Error(`QLab version must be 4 or 5, received ${version}`);
+	return qlabVersion;
+}
+
+module.exports = {
+	getQLabVersion,
+};
@@ -0,0 +1,173 @@
+/**
+ * A scheduled query
+ * @typedef {Object} ScheduledQuery
+ * @property {string} key - Identifies the query, e.g. "mapping/object"
+ * @property {Function} send - Sends (or re-sends) the query
+ * @property {Promise} promise - Settles when the query is answered or times out
+ * @property {Function} resolve - Resolves the query's promise
+ * @property {Function} reject - Rejects the query's promise
+ * @property {Object} timer - The timeout for the query
+ */
+
+/**
+ * Query scheduler options
+ * @typedef {Object} QuerySchedulerOptions
+ * @property {string} [name] - The name of the peer, used in error messages
+ * @property {number} [concurrency] - How many queries may await a reply at once, defaults to 8
+ * @property {number} [interval] - Milliseconds before a query is first re-sent, defaults to 250
+ * @property {number} [backoff] - Factor by which the re-send interval grows, defaults to 2
+ * @property {number} [maxInterval] - The longest re-send interval, defaults to 1000
+ * @property {number} [timeout] - Milliseconds to wait for a reply once a query is sent, defaults to 2500
+ */
+
+/**
+ * Sends queries within a limited concurrency window, re-sending each with backoff until it is answered or times out. Queries with the same key share one request.
+ */
+class QueryScheduler {
+	/**
+	 * Constructor
+	 * @param {QuerySchedulerOptions} [options]
+	 */
+	constructor(options = {}) {
+		const defined = Object.fromEntries(
+			Object.entries(options).filter((entry) => entry[1] !== undefined)
+		);
+		this.options = {
+			name: 'OSC',
+			concurrency: 8,
+			interval: 250,
+			backoff: 2,
+			maxInterval: 1000,
+			timeout: 2500,
+			...defined,
+		};
+		this.queued = [];
+		this.active = new Map(); // key => query
+		this.repeaters = new Map(); // query => timer for its next re-send
+	}
+
+	/**
+	 * The number of queries which are queued or awaiting a reply
+	 * @returns {number}
+	 */
+	get size() {
+		return this.queued.length + this.active.size;
+	}
+
+	/**
+	 * Schedule a query
+	 * @param {string} key Identifies the query; a query already scheduled with this key is reused
+	 * @param {Function} send Sends the query; called again for each re-send
+	 * @returns {Promise} Resolves with the value passed to resolve()
+	 */
+	query(key, send) {
+		const existing = this.find(key);
+		if (existing) return existing.promise;
+
+		const query = { key, send, timer: null };
+		query.promise = new Promise((resolve, reject) => {
+			query.resolve = resolve;
+			query.reject = reject;
+		});
+		this.queued.push(query);
+		this.next();
+		return query.promise;
+	}
+
+	/**
+	 * Find a queued or active query
+	 * @param {string} key
+	 * @returns {ScheduledQuery|undefined}
+	 */
+	find(key) {
+		return this.active.get(key) || this.queued.find((query) => query.key === key);
+	}
+
+	/**
+	 * Start queued queries while the concurrency window has room
+	 * @returns {void}
+	 */
+	next() {
+		while (this.queued.length > 0 && this.active.size < this.options.concurrency) {
+			const query = this.queued.shift();
+			this.active.set(query.key, query);
+			query.timer = setTimeout(() => {
+				this.settle(query);
+				query.reject(new Error(`${this.options.name} OSC reply timeout for ${query.key}`));
+			}, this.options.timeout);
+			this.send(query);
+		}
+	}
+
+	/**
+	 * Send a query and schedule its next re-send
+	 * @param {ScheduledQuery} query
+	 * @param {number} [interval] Milliseconds until the next re-send, which grows with each one
+	 * @returns {void}
+	 */
+	send(query, interval = this.options.interval) {
+		try {
+			query.send();
+		} catch (error) {
+			this.settle(query);
+			query.reject(error);
+			return;
+		}
+		const { backoff, maxInterval } = this.options;
+		this.repeaters.set(
+			query,
+			setTimeout(() => this.send(query, Math.min(interval * backoff, maxInterval)), interval)
+		);
+	}
+
+	/**
+	 * Stop a query's timers and remove it from the scheduler
+	 * @param {ScheduledQuery} query
+	 * @returns {void}
+	 */
+	settle(query) {
+		clearTimeout(this.repeaters.get(query));
+		this.repeaters.delete(query);
+		clearTimeout(query.timer);
+		if (this.active.get(query.key) === query) {
+			this.active.delete(query.key);
+		} else {
+			const index = this.queued.indexOf(query);
+			if (index !== -1) this.queued.splice(index, 1);
+		}
+		this.next();
+	}
+
+	/**
+	 * Answer a query
+	 * @param {string} key
+	 * @param {*} value The value the query's promise resolves with
+	 * @returns {boolean} Whether a query with this key was scheduled
+	 */
+	resolve(key, value) {
+		const query = this.find(key);
+		if (!query) return false;
+		this.settle(query);
+		query.resolve(value);
+		return true;
+	}
+
+	/**
+	 * Reject every queued and active query, e.g. when the connection is closed
+	 * @param {Error} error
+	 * @returns {void}
+	 */
+	rejectAll(error) {
+		const queries = [...this.active.values(), ...this.queued];
+		this.queued = [];
+		queries.forEach((query) => {
+			clearTimeout(this.repeaters.get(query));
+			clearTimeout(query.timer);
+			this.active.delete(query.key);
+			query.reject(error);
+		});
+		this.repeaters.clear();
+	}
+}
+
+module.exports = QueryScheduler;
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { fromBuffer } = require('./osc');
+
+/**
+ * Recorder options, from the recorder section of the config
+ * @typedef {Object} RecorderConfig
+ * @property {boolean} enabled - Whether recording starts with start(), defaults to false
+ * @property {string} path - The file packets are appended to, defaults to "dbscene-osc.jsonl"
+ */
+
+/**
+ * One packet of an OSC recording, stored as a line of JSON
+ * @typedef {Object} RecordedPacket
+ * @property {string} time - When the packet was sent or received, as an ISO 8601 string
+ * @property {string} direction - "in" or "out"
+ * @property {string} server - The socket which carried the packet, "ds100" or "qlab"
+ * @property {string} peer - The address and port of the other side, e.g. "10.0.1.100:50010"
+ * @property {string} message - The OSC message as text, for reading the recording
+ * @property {string} packet - The packet itself, base64 encoded
+ */
+
+/**
+ * Appends every OSC packet sent or received to a file, one line of JSON per packet. File errors are emitted as error events.
+ */
+class OscRecorder extends EventEmitter {
+	/**
+	 * Constructor
+	 * @param {Object} [config] The recorder section of the config
+	 */
+	constructor(config = {}) {
+		super();
+		this.config = { enabled: false, path: 'dbscene-osc.jsonl', ...config };
+		this.stream = null;
+		this.filePath = null;
+	}
+
+	/**
+	 * Whether packets are being recorded
+	 * @returns {boolean}
+	 */
+	get recording() {
+		return this.stream !== null;
+	}
+
+	/**
+	 * Start appending packets to a file
+	 * @param {string} [filePath] Defaults to recorder.path
+	 * @returns {Promise<string>} The absolute path of the file, once it is open
+	 */
+	start(filePath = this.config.path) {
+		if (this.recording) return Promise.resolve(this.filePath);
+		this.filePath = path.resolve(filePath);
+		const stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+		this.stream = stream;
+		return new Promise((resolve, reject) => {
+			stream.once('error', (error) => {
+				this.stream = null;
+				reject(error);
+			});
+			stream.once('open', () => {
+				stream.removeAllListeners('error');
+				stream.on('error', (error) => {
+					this.stream = null;
+					this.emit('error', error);
+				});
+				resolve(this.filePath);
+			});
+		});
+	}
+
+	/**
+	 * Stop recording, once every packet is written
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		const { stream } = this;
+		if (stream === null) return Promise.resolve();
+		this.stream = null;
+		return new Promise((resolve) => stream.end(resolve));
+	}
+
+	/**
+	 * Record a packet, if recording
+	 * @param {string} direction "in" or "out"
+	 * @param {string} server "ds100" or "qlab"
+	 * @param {Buffer} buffer The packet
+	 * @param {Object} peer The other side, as { address, port }
+	 * @returns {void}
+	 */
+	record(direction, server, buffer, peer) {
+		if (!this.recording) return;
+		let message;
+		try {
+			message = fromBuffer(buffer).oscString;
+		} catch (error) {
+			message = null; // Still recorded, as the packet may be what needs investigating
+		}
+		const packet = {
+			time: new Date().toISOString(),
+			direction,
+			server,
+			peer: `${peer.address}:${peer.port}`,
+			message,
+			packet: buffer.toString('base64'),
+		};
+		this.stream.write(`${JSON.stringify(packet)}\n`);
+	}
+}
+
+/**
+ * Read a recording written by OscRecorder
+ * @param {string} filePath
+ * @returns {RecordedPacket[]} The packets, in the order they were recorded
+ */
+async function readRecording(filePath) {
+	const text = await fs.promises.readFile(filePath, 'utf8');
+	return text
+		.split('\n')
+		.map((line, index) => {
+			if (line.trim() === '') return null;
+			try {
+				return JSON.parse(line);
+			} catch (error) {
+				throw new Error(`Line ${index + 1} of ${filePath} is not a recorded packet`);
+			}
+		})
+		.filter((packet) => packet !== null);
+}
+
+module.exports = {
+	OscRecorder,
+	readRecording,
+};
@@ -0,0 +1,162 @@
+/**
+ * A pending request
+ * @typedef {Object} PendingRequest
+ * @property {string} address - The OSC address of the request
+ * @property {Function} send - Sends (or re-sends) the request
+ * @property {Function} resolve - Resolves the request's promise
+ * @property {Function} reject - Rejects the request's promise
+ * @property {number} retries - How many times the request is re-sent after a timeout
+ * @property {number} attempts - The number of times the request has been sent
+ * @property {Object} timer - The timeout for the current attempt
+ */
+
+/**
+ * Request tracker options
+ * @typedef {Object} RequestTrackerOptions
+ * @property {string} [name] - The name of the peer, used in error messages
+ * @property {number} [timeout] - Milliseconds to wait for each reply, defaults to 1000
+ * @property {number} [retries] - How many times a request is re-sent after a timeout, defaults to 1
+ */
+
+/**
+ * Correlates OSC replies with the requests which caused them. Requests for identical addresses are matched in the order they were sent.
+ * A reply which arrives after its request timed out is dropped, for up to one more timeout, rather than matched to a later request.
+ */
+class RequestTracker {
+	/**
+	 * Constructor
+	 * @param {RequestTrackerOptions} [options]
+	 */
+	constructor(options = {}) {
+		this.name = options.name || 'OSC';
+		this.timeout = options.timeout === undefined ? 1000 : options.timeout;
+		this.retries = options.retries === undefined ? 1 : options.retries;
+		this.pending = [];
+		this.late = []; // { address, timer } for each reply still expected by a timed-out request
+	}
+
+	/**
+	 * The number of requests awaiting a reply
+	 * @returns {number}
+	 */
+	get size() {
+		return this.pending.length;
+	}
+
+	/**
+	 * Send a request and wait for its reply
+	 * @param {string} address The OSC address the reply will refer to
+	 * @param {Function} send Sends the request; called again for each retry
+	 * @param {Object} [options]
+	 * @param {number} [options.retries] Overrides the tracker's retries, e.g. 0 for requests which must not be sent twice
+	 * @returns {Promise<Object>} The reply
+	 */
+	request(address, send, options = {}) {
+		return new Promise((resolve, reject) => {
+			const retries = options.retries === undefined ? this.retries : options.retries;
+			const request = { address, send, resolve, reject, retries, attempts: 0, timer: null };
+			this.pending.push(request);
+			this.attempt(request);
+		});
+	}
+
+	/**
+	 * Send a request and start the timeout for this attempt
+	 * @param {PendingRequest} request
+	 * @returns {void}
+	 */
+	attempt(request) {
+		request.attempts += 1;
+		request.timer = setTimeout(() => {
+			if (request.attempts <= request.retries) {
+				this.attempt(request);
+			} else {
+				this.remove(request);
+				for (let attempt = 0; attempt < request.attempts; attempt += 1) this.expectLate(request);
+				request.reject(
+					new Error(
+						`${this.name} OSC reply timeout for ${request.address} after ${request.attempts} attempt(s)`
+					)
+				);
+			}
+		}, this.timeout);
+
+		try {
+			request.send();
+		} catch (error) {
+			this.remove(request);
+			request.reject(error);
+		}
+	}
+
+	/**
+	 * Stop tracking a request
+	 * @param {PendingRequest} request
+	 * @returns {void}
+	 */
+	remove(request) {
+		clearTimeout(request.timer);
+		const index = this.pending.indexOf(request);
+		if (index !== -1) this.pending.splice(index, 1);
+	}
+
+	/**
+	 * Expect a late reply to a timed-out request, until it arrives or one more timeout has passed
+	 * @param {PendingRequest} request
+	 * @returns {void}
+	 */
+	expectLate(request) {
+		const late = { address: request.address, timer: null };
+		late.timer = setTimeout(() => {
+			const index = this.late.indexOf(late);
+			if (index !== -1) this.late.splice(index, 1);
+		}, this.timeout);
+		this.late.push(late);
+	}
+
+	/**
+	 * Match a reply to the oldest pending request with the same address. Replies are answered in order,
+	 * so a late reply to a timed-out request comes before those to the requests still pending, and is dropped.
+	 * @param {Object} reply A reply with an address, and optionally a status and data
+	 * @returns {boolean} Whether the reply matched a pending or timed-out request
+	 */
+	handleReply(reply) {
+		const lateIndex = this.late.findIndex((late) => reply.address.endsWith(late.address));
+		if (lateIndex !== -1) {
+			clearTimeout(this.late[lateIndex].timer);
+			this.late.splice(lateIndex, 1);
+			return true;
+		}
+
+		const request = this.pending.find((pending) => reply.address.endsWith(pending.address));
+		if (!request) return false;
+
+		this.remove(request);
+		if (reply.status !== undefined && reply.status !== 'ok') {
+			request.reject(
+				new Error(`${this.name} replied with status "${reply.status}" for ${request.address}`)
+			);
+		} else {
+			request.resolve(reply);
+		}
+		return true;
+	}
+
+	/**
+	 * Reject every pending request, e.g. when the connection is closed
+	 * @param {Error} error
+	 * @returns {void}
+	 */
+	rejectAll(error) {
+		const requests = this.pending;
+		this.pending = [];
+		this.late.forEach((late) => clearTimeout(late.timer));
+		this.late = [];
+		requests.forEach((request) => {
+			clearTimeout(request.timer);
+			request.reject(error);
+		});
+	}
+}
+
+module.exports = RequestTracker;
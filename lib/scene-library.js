@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+// The library file format version written by this module
+const LIBRARY_VERSION = 1;
+
+/**
+ * Whether the library has a scene, without mistaking names such as "constructor" for scenes
+ * @param {Object} library
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasScene(library, name) {
+	return Object.prototype.hasOwnProperty.call(library.scenes, name);
+}
+
+/**
+ * A snapshot of the cache
+ * @typedef {Object} Scene
+ * @property {string} name - The scene name
+ * @property {string} timestamp - When the snapshot was taken, as an ISO 8601 string
+ * @property {number} mapping - The coordinate mapping the positions were queried in
+ * @property {CacheObj[]} objects - Copies of the cache objects
+ */
+
+/**
+ * A versioned JSON file of scenes, keyed by name
+ */
+class SceneLibrary {
+	/**
+	 * Constructor
+	 * @param {string} filePath The path of the library file, which is created on the first save
+	 */
+	constructor(filePath) {
+		this.filePath = path.resolve(filePath);
+		this.pending = Promise.resolve(); // Serializes reads and writes of the file
+	}
+
+	/**
+	 * Queue an operation on the file after any operations already in progress
+	 * @param {Function} operation An async function
+	 * @returns {Promise} The result of the operation
+	 */
+	queue(operation) {
+		const result = this.pending.then(operation);
+		this.pending = result.catch(() => {});
+		return result;
+	}
+
+	/**
+	 * Read the library file. Scenes are kept in an object without a prototype, so any name, even "__proto__", is an ordinary key.
+	 * @returns {Object} The library, or an empty library if the file does not exist yet
+	 */
+	async read() {
+		let text;
+		try {
+			text = await fs.promises.readFile(this.filePath, 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') return { version: LIBRARY_VERSION, scenes: Object.create(null) };
+			throw error;
+		}
+
+		const library = JSON.parse(text);
+		if (
+			typeof library.version !== 'number' ||
+			typeof library.scenes !== 'object' ||
+			library.scenes === null
+		)
+			throw new Error(`${this.filePath} is not a dbscene library`);
+		if (library.version > LIBRARY_VERSION)
+			throw new Error(
+				`${this.filePath} was written by a newer version of dbscene (library version ${library.version})`
+			);
+		return { ...library, scenes: Object.assign(Object.create(null), library.scenes) };
+	}
+
+	/**
+	 * Write the library file, replacing it atomically
+	 * @param {Object} library
+	 * @returns {void}
+	 */
+	async write(library) {
+		const tempPath = `${this.filePath}.tmp`;
+		await fs.promises.writeFile(tempPath, `${JSON.stringify(library, null, '\t')}\n`);
+		await fs.promises.rename(tempPath, this.filePath);
+	}
+
+	/**
+	 * Store a scene, replacing any scene with the same name
+	 * @param {Scene} scene
+	 * @returns {Scene} The scene
+	 */
+	saveScene(scene) {
+		return this.queue(async () => {
+			const library = await this.read();
+			library.version = LIBRARY_VERSION;
+			library.scenes[scene.name] = scene;
+			await this.write(library);
+			return scene;
+		});
+	}
+
+	/**
+	 * Get a scene by name
+	 * @param {string} name
+	 * @returns {Scene} The scene
+	 */
+	getScene(name) {
+		return this.queue(async () => {
+			const library = await this.read();
+			if (!hasScene(library, name))
+				throw new Error(`Scene "${name}" does not exist in ${this.filePath}`);
+			return library.scenes[name];
+		});
+	}
+
+	/**
+	 * List every scene in the library
+	 * @returns {Scene[]} The scenes, oldest first
+	 */
+	listScenes() {
+		return this.queue(async () => {
+			const library = await this.read();
+			return Object.values(library.scenes).sort((first, next) =>
+				first.timestamp.localeCompare(next.timestamp)
+			);
+		});
+	}
+
+	/**
+	 * Delete a scene
+	 * @param {string} name
+	 * @returns {boolean} Whether the scene existed
+	 */
+	deleteScene(name) {
+		return this.queue(async () => {
+			const library = await this.read();
+			if (!hasScene(library, name)) return false;
+			delete library.scenes[name];
+			await this.write(library);
+			return true;
+		});
+	}
+}
+
+module.exports = SceneLibrary;
@@ -0,0 +1,309 @@
+const udp = require('dgram');
+const EventEmitter = require('events');
+const { fromBuffer, toBuffer } = require('../osc');
+const { createLogger } = require('../logger');
+const { parameters, parseParameterAddress, parseParameterValue } = require('../parameters');
+const { inputProperties, parseInputAddress, parseInputValue } = require('../inputs');
+
+/**
+ * DS100 simulator options
+ * @typedef {Object} DS100SimulatorOptions
+ * @property {number} [port] - The port to listen on, defaults to 50010
+ * @property {string} [address] - The address to bind to, defaults to all interfaces
+ * @property {number} [objects] - The number of En-Scene objects, defaults to 64
+ * @property {boolean} [randomize] - Start every object at a random position instead of 0.5, 0.5
+ * @property {number|string} [logging] - The logging level, 0-2 or a level name, used when no logger is injected
+ */
+
+/**
+ * A local stand-in for a DS100, answering coordinatemapping, object parameter and matrix input queries with stateful values
+ */
+class DS100Simulator extends EventEmitter {
+	/**
+	 * Constructor
+	 * @param {DS100SimulatorOptions} [options]
+	 * @param {Object} [logOptions]
+	 * @param {Logger} [logOptions.logger] Receives the simulator's log messages, instead of the console; options.logging is then up to the logger
+	 */
+	constructor(options = {}, logOptions = {}) {
+		super();
+		this.options = {
+			port: 50010,
+			address: undefined,
+			objects: 64,
+			randomize: false,
+			logging: 0,
+			...options,
+		};
+		this.logger = createLogger(logOptions.logger, this.options.logging, 'ds100 simulator');
+
+		// Positions are stored per mapping, keyed by "mapping/object"
+		this.positions = new Map();
+		for (let mapping = 1; mapping <= 4; mapping += 1) {
+			for (let num = 1; num <= this.options.objects; num += 1) {
+				this.positions.set(`${mapping}/${num}`, {
+					x: this.options.randomize ? Math.random() : 0.5,
+					y: this.options.randomize ? Math.random() : 0.5,
+				});
+			}
+		}
+
+		// Other object parameters, keyed by "parameter/object"
+		this.values = new Map();
+		for (let num = 1; num <= this.options.objects; num += 1) {
+			parameters.forEach((parameter) =>
+				this.values.set(`${parameter.name}/${num}`, parameter.default)
+			);
+		}
+
+		// Matrix input properties such as channel names, keyed by "property/input"
+		this.inputs = new Map();
+		for (let num = 1; num <= this.options.objects; num += 1) {
+			inputProperties.forEach((property) =>
+				this.inputs.set(`${property.name}/${num}`, property.default)
+			);
+		}
+
+		this.server = udp.createSocket('udp4');
+		this.server.on('message', (msg, rinfo) => this.handleMessage(msg, rinfo));
+		this.server.on('error', (error) => this.emit('error', error));
+	}
+
+	/**
+	 * Binds the simulator to its port
+	 * @returns {Promise<DS100Simulator>} The simulator, once listening
+	 */
+	start() {
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.bind(this.options.port, this.options.address, () => {
+				this.server.removeListener('error', reject);
+				this.logger.verbose(`listening on port ${this.server.address().port}`);
+				resolve(this);
+			});
+		});
+	}
+
+	/**
+	 * Closes the simulator's socket
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		return new Promise((resolve) => {
+			this.server.close(() => resolve());
+		});
+	}
+
+	/**
+	 * Get the simulated position of an object
+	 * @param {number|string} mapping The mapping, 1-4
+	 * @param {number|string} objNum The object number
+	 * @returns {{x: number, y: number}|null} A copy of the position, or null if the object does not exist
+	 */
+	getPosition(mapping, objNum) {
+		const position = this.positions.get(`${parseInt(mapping)}/${parseInt(objNum)}`);
+		return position ? { ...position } : null;
+	}
+
+	/**
+	 * Set the simulated position of an object, as if it had been moved in R1
+	 * @param {number|string} mapping The mapping, 1-4
+	 * @param {number|string} objNum The object number
+	 * @param {number} x The new x-coordinate
+	 * @param {number} y The new y-coordinate
+	 * @returns {void}
+	 */
+	setPosition(mapping, objNum, x, y) {
+		const position = this.positions.get(`${parseInt(mapping)}/${parseInt(objNum)}`);
+		if (!position) throw new Error(`Object ${objNum} in mapping ${mapping} does not exist`);
+		if (x !== undefined) position.x = x;
+		if (y !== undefined) position.y = y;
+	}
+
+	/**
+	 * Get the simulated value of an object parameter
+	 * @param {string} paramName The parameter, e.g. "spread"
+	 * @param {number|string} objNum The object number
+	 * @returns {number|null} The value, or null if the object does not exist
+	 */
+	getParameterValue(paramName, objNum) {
+		const value = this.values.get(`${paramName}/${parseInt(objNum)}`);
+		return value === undefined ? null : value;
+	}
+
+	/**
+	 * Set the simulated value of an object parameter
+	 * @param {string} paramName The parameter, e.g. "spread"
+	 * @param {number|string} objNum The object number
+	 * @param {number} value The new value
+	 * @returns {void}
+	 */
+	setParameterValue(paramName, objNum, value) {
+		const key = `${paramName}/${parseInt(objNum)}`;
+		if (!this.values.has(key))
+			throw new Error(`Parameter ${paramName} of object ${objNum} does not exist`);
+		this.values.set(key, value);
+	}
+
+	/**
+	 * Get the simulated value of a matrix input property
+	 * @param {string} propName The property, "channelname", "mute" or "enscene"
+	 * @param {number|string} input The input number
+	 * @returns {string|number|null} The value, or null if the input does not exist
+	 */
+	getInputValue(propName, input) {
+		const value = this.inputs.get(`${propName}/${parseInt(input)}`);
+		return value === undefined ? null : value;
+	}
+
+	/**
+	 * Set the simulated value of a matrix input property, as if it had been changed in R1
+	 * @param {string} propName The property, "channelname", "mute" or "enscene"
+	 * @param {number|string} input The input number
+	 * @param {string|number} value The new value
+	 * @returns {void}
+	 */
+	setInputValue(propName, input, value) {
+		const key = `${propName}/${parseInt(input)}`;
+		if (!this.inputs.has(key))
+			throw new Error(`Property ${propName} of input ${input} does not exist`);
+		this.inputs.set(key, value);
+	}
+
+	/**
+	 * Handle an incoming UDP message
+	 * @param {Buffer} msg The UDP message
+	 * @param {Object} rinfo UDP message info
+	 * @returns {void}
+	 */
+	handleMessage(msg, rinfo) {
+		let oscMessage;
+		try {
+			oscMessage = fromBuffer(msg);
+		} catch (error) {
+			this.emit('error', error);
+			return;
+		}
+		this.logger.debug(`received "${oscMessage.oscString}" from ${rinfo.address}`, {
+			direction: 'in',
+			peer: `${rinfo.address}:${rinfo.port}`,
+			address: oscMessage.address,
+			args: oscMessage.argsArr,
+		});
+
+		const paramAddress = parseParameterAddress(oscMessage.address);
+		if (paramAddress) {
+			this.handleParameter(oscMessage, paramAddress, rinfo);
+			return;
+		}
+
+		const inputAddress = parseInputAddress(oscMessage.address);
+		if (inputAddress) {
+			this.handleInput(oscMessage, inputAddress, rinfo);
+			return;
+		}
+
+		// Address format is: /dbaudio1/coordinatemapping/source_position[_x, _y, _xy]/[mapping]/[object]
+		const [root, section, method, mapping, objNum] = oscMessage.pathArr;
+		if (root !== 'dbaudio1' || section !== 'coordinatemapping') return;
+		if (!/^source_position_(x|y|xy)$/.test(method)) return;
+
+		const position = this.positions.get(`${parseInt(mapping)}/${parseInt(objNum)}`);
+		if (!position) return;
+
+		if (oscMessage.argsArr.length > 0) {
+			// A set message; the DS100 does not reply to these
+			if (method === 'source_position_y') {
+				[position.y] = oscMessage.argsArr;
+			} else {
+				[position.x] = oscMessage.argsArr;
+				if (method === 'source_position_xy' && oscMessage.argsArr.length > 1)
+					[, position.y] = oscMessage.argsArr;
+			}
+			this.emit('positionSet', { mapping: parseInt(mapping), num: parseInt(objNum), ...position });
+			return;
+		}
+
+		let args;
+		if (method === 'source_position_x') args = [position.x];
+		else if (method === 'source_position_y') args = [position.y];
+		else args = [position.x, position.y];
+
+		this.reply(
+			{
+				address: oscMessage.address,
+				args: args.map((value) => ({ type: 'float', value })),
+			},
+			rinfo
+		);
+	}
+
+	/**
+	 * Handle a query or set message for an object parameter
+	 * @param {OscMsg} oscMessage The message
+	 * @param {{parameter: ObjParameter, num: number}} paramAddress The parsed parameter address
+	 * @param {Object} rinfo UDP message info
+	 * @returns {void}
+	 */
+	handleParameter(oscMessage, paramAddress, rinfo) {
+		const { parameter, num } = paramAddress;
+		const key = `${parameter.name}/${num}`;
+		if (!this.values.has(key)) return;
+
+		if (oscMessage.argsArr.length > 0) {
+			const value = parseParameterValue(parameter, oscMessage.argsArr[0]);
+			this.values.set(key, value);
+			this.emit('parameterSet', { parameter: parameter.name, num, value });
+			return;
+		}
+
+		this.reply(
+			{
+				address: oscMessage.address,
+				args: [{ type: parameter.type, value: this.values.get(key) }],
+			},
+			rinfo
+		);
+	}
+
+	/**
+	 * Handle a query or set message for a matrix input property
+	 * @param {OscMsg} oscMessage The message
+	 * @param {{property: InputProperty, input: number}} inputAddress The parsed input address
+	 * @param {Object} rinfo UDP message info
+	 * @returns {void}
+	 */
+	handleInput(oscMessage, inputAddress, rinfo) {
+		const { property, input } = inputAddress;
+		const key = `${property.name}/${input}`;
+		if (!this.inputs.has(key)) return;
+
+		if (oscMessage.argsArr.length > 0) {
+			this.inputs.set(key, parseInputValue(property, oscMessage.argsArr[0]));
+			return;
+		}
+
+		this.reply(
+			{
+				address: oscMessage.address,
+				args: [{ type: property.type, value: this.inputs.get(key) }],
+			},
+			rinfo
+		);
+	}
+
+	/**
+	 * Send a reply to the sender of a message
+	 * @param {OscMsg} oscMessage The reply message
+	 * @param {Object} rinfo UDP message info of the original message
+	 * @returns {void}
+	 */
+	reply(oscMessage, rinfo) {
+		const buffer = toBuffer(oscMessage);
+		this.server.send(buffer, 0, buffer.length, rinfo.port, rinfo.address, (error) => {
+			if (error) this.emit('error', error);
+		});
+	}
+}
+
+module.exports = DS100Simulator;
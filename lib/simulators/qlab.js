@@ -0,0 +1,507 @@
+const udp = require('dgram');
+const net = require('net');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { fromBuffer, toBuffer } = require('../osc');
+const { createLogger } = require('../logger');
+const slip = require('../slip');
+
+/**
+ * QLab simulator options
+ * @typedef {Object} QLabSimulatorOptions
+ * @property {number} [port] - The port to listen on, defaults to 53000
+ * @property {string} [address] - The address to bind to, defaults to all interfaces
+ * @property {string} [workspaceName] - The name of the simulated workspace
+ * @property {number} [version] - The QLab version to emulate, 4 or 5, defaults to 4
+ * @property {string} [passcode] - An OSC passcode clients must /connect with
+ * @property {boolean} [tcp] - Also accept SLIP-framed OSC over TCP on the same port
+ * @property {number|string} [logging] - The logging level, 0-2 or a level name, used when no logger is injected
+ */
+
+/**
+ * A simulated QLab cue
+ * @typedef {Object} SimCue
+ * @property {string} uniqueID - The cue's unique ID
+ * @property {string} number - The cue number
+ * @property {string} name - The cue name
+ * @property {string} type - The cue type, e.g. "Group" or "Network"
+ * @property {SimCue[]} [cues] - Child cues, for Group cues and Cue Lists
+ */
+
+// Cue properties which may be read and written with /cue_id/{id}/{property}
+const cueProperties = [
+	'name',
+	'number',
+	'notes',
+	'colorName',
+	'flagged',
+	'armed',
+	'preWait',
+	'postWait',
+	'duration',
+	'continueMode',
+	'mode',
+	'patch',
+	'messageType',
+	'customString',
+	'networkPatchNumber',
+];
+
+/**
+ * Title-case a cue type as sent with /new, e.g. "network" becomes "Network"
+ * @param {string} cueType
+ * @returns {string}
+ */
+function formatCueType(cueType) {
+	const type = `${cueType}`.toLowerCase();
+	return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * A local stand-in for QLab, emulating the subset of the QLab OSC API used by dbscene with an in-memory cue tree
+ */
+class QLabSimulator extends EventEmitter {
+	/**
+	 * Constructor
+	 * @param {QLabSimulatorOptions} [options]
+	 * @param {Object} [logOptions]
+	 * @param {Logger} [logOptions.logger] Receives the simulator's log messages, instead of the console; options.logging is then up to the logger
+	 */
+	constructor(options = {}, logOptions = {}) {
+		super();
+		this.options = {
+			port: 53000,
+			address: undefined,
+			workspaceName: 'dbscene simulator',
+			version: 4,
+			passcode: undefined,
+			tcp: false,
+			logging: 0,
+			...options,
+		};
+		this.logger = createLogger(logOptions.logger, this.options.logging, 'qlab simulator');
+
+		this.workspaceID = crypto.randomBytes(8).toString('hex').toUpperCase();
+		this.alwaysReply = false;
+		this.connectedPeers = new Set();
+		this.cues = new Map(); // uniqueID => cue
+		this.parents = new Map(); // uniqueID => parent cue
+		this.cueLists = [];
+		this.selection = [];
+		this.newCueList('Main Cue List');
+
+		this.server = udp.createSocket('udp4');
+		this.server.on('message', (msg, rinfo) => this.handleMessage(msg, rinfo));
+		this.server.on('error', (error) => this.emit('error', error));
+
+		this.tcpSockets = new Set();
+		this.tcpServer = null;
+		if (this.options.tcp) {
+			this.tcpServer = net.createServer((socket) => this.acceptTcp(socket));
+			this.tcpServer.on('error', (error) => this.emit('error', error));
+		}
+	}
+
+	/**
+	 * Binds the simulator to its port
+	 * @returns {Promise<QLabSimulator>} The simulator, once listening
+	 */
+	async start() {
+		await new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.bind(this.options.port, this.options.address, () => {
+				this.server.removeListener('error', reject);
+				resolve();
+			});
+		});
+		if (this.tcpServer) {
+			await new Promise((resolve, reject) => {
+				this.tcpServer.once('error', reject);
+				this.tcpServer.listen(this.options.port, this.options.address, () => {
+					this.tcpServer.removeListener('error', reject);
+					resolve();
+				});
+			});
+		}
+		this.logger.verbose(`listening on port ${this.server.address().port}`);
+		return this;
+	}
+
+	/**
+	 * Closes the simulator's socket
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		await new Promise((resolve) => {
+			this.server.close(() => resolve());
+		});
+		if (this.tcpServer) {
+			this.tcpSockets.forEach((socket) => socket.destroy());
+			await new Promise((resolve) => {
+				this.tcpServer.close(() => resolve());
+			});
+		}
+	}
+
+	/**
+	 * Accept a TCP client, whose packets are SLIP-framed
+	 * @param {Object} socket The client's socket
+	 * @returns {void}
+	 */
+	acceptTcp(socket) {
+		const rinfo = { address: socket.remoteAddress, port: socket.remotePort, socket };
+		const decoder = new slip.Decoder((packet) => this.handleMessage(packet, rinfo));
+		this.tcpSockets.add(socket);
+		socket.on('data', (chunk) => decoder.write(chunk));
+		socket.on('error', () => socket.destroy());
+		socket.on('close', () => {
+			this.tcpSockets.delete(socket);
+			this.connectedPeers.delete(`${rinfo.address}:${rinfo.port}`);
+		});
+	}
+
+	/**
+	 * Create a new cue, unattached to any parent
+	 * @param {string} type The cue type, e.g. "Group"
+	 * @returns {SimCue} The new cue
+	 */
+	createCue(type) {
+		const cue = {
+			uniqueID: crypto.randomBytes(16).toString('hex').toUpperCase(),
+			number: '',
+			name: '',
+			type,
+			notes: '',
+			colorName: 'none',
+			flagged: false,
+			armed: true,
+			preWait: 0,
+			postWait: 0,
+			duration: 0,
+			continueMode: 0,
+		};
+		if (type === 'Group' || type === 'Cue List') cue.cues = [];
+		if (type === 'Group') cue.mode = 2; // Start first child and go to next cue
+		if (type === 'Network' && this.options.version >= 5) {
+			cue.networkPatchNumber = 1;
+			cue.parameterValues = [''];
+		} else if (type === 'Network') {
+			cue.patch = 1;
+			cue.messageType = 1;
+			cue.customString = '';
+		}
+		this.cues.set(cue.uniqueID, cue);
+		return cue;
+	}
+
+	/**
+	 * Add a new, empty cue list to the workspace
+	 * @param {string} name The name of the cue list
+	 * @returns {SimCue} The new cue list
+	 */
+	newCueList(name) {
+		const cueList = this.createCue('Cue List');
+		cueList.name = name;
+		this.cueLists.push(cueList);
+		return cueList;
+	}
+
+	/**
+	 * Get a cue by its unique ID
+	 * @param {string} cueID
+	 * @returns {SimCue|null}
+	 */
+	getCue(cueID) {
+		return this.cues.get(cueID) || null;
+	}
+
+	/**
+	 * Get the cue list which contains a cue
+	 * @param {SimCue} cue
+	 * @returns {SimCue|null}
+	 */
+	getCueList(cue) {
+		let current = cue;
+		while (current && current.type !== 'Cue List') current = this.parents.get(current.uniqueID);
+		return current || null;
+	}
+
+	/**
+	 * Insert a cue into a parent at an index, detaching it from its previous parent
+	 * @param {SimCue} cue The cue to be placed
+	 * @param {SimCue} parent The new parent cue
+	 * @param {number} index The index within the parent; negative or out of range values append
+	 * @returns {void}
+	 */
+	placeCue(cue, parent, index) {
+		const oldParent = this.parents.get(cue.uniqueID);
+		if (oldParent) oldParent.cues.splice(oldParent.cues.indexOf(cue), 1);
+		if (index < 0 || index >= parent.cues.length) parent.cues.push(cue);
+		else parent.cues.splice(index, 0, cue);
+		this.parents.set(cue.uniqueID, parent);
+	}
+
+	/**
+	 * Remove a cue, and any of its children, from the workspace
+	 * @param {SimCue} cue
+	 * @returns {void}
+	 */
+	deleteCue(cue) {
+		const parent = this.parents.get(cue.uniqueID);
+		if (parent) parent.cues.splice(parent.cues.indexOf(cue), 1);
+		const forget = (removed) => {
+			this.cues.delete(removed.uniqueID);
+			this.parents.delete(removed.uniqueID);
+			this.selection = this.selection.filter((id) => id !== removed.uniqueID);
+			if (removed.cues) removed.cues.forEach(forget);
+		};
+		forget(cue);
+	}
+
+	/**
+	 * Describe a cue the way QLab does in its replies
+	 * @param {SimCue} cue
+	 * @param {boolean} shallow Whether to omit child cues
+	 * @returns {Object}
+	 */
+	describeCue(cue, shallow) {
+		const cueList = this.getCueList(cue);
+		const description = {
+			uniqueID: cue.uniqueID,
+			number: cue.number,
+			name: cue.name,
+			listName: cue.name || cue.number,
+			type: cue.type,
+			colorName: cue.colorName,
+			flagged: cue.flagged,
+			armed: cue.armed,
+		};
+		if (cueList && cueList !== cue) description.cueListName = cueList.name;
+		if (cue.cues && !shallow) description.cues = cue.cues.map((child) => this.describeCue(child));
+		return description;
+	}
+
+	/**
+	 * Handle an incoming UDP message
+	 * @param {Buffer} msg The UDP message
+	 * @param {Object} rinfo UDP message info
+	 * @returns {void}
+	 */
+	handleMessage(msg, rinfo) {
+		let oscMessage;
+		try {
+			oscMessage = fromBuffer(msg);
+		} catch (error) {
+			this.emit('error', error);
+			return;
+		}
+		this.logger.debug(`received "${oscMessage.oscString}" from ${rinfo.address}`, {
+			direction: 'in',
+			peer: `${rinfo.address}:${rinfo.port}`,
+			address: oscMessage.address,
+			args: oscMessage.argsArr,
+		});
+
+		let path = oscMessage.pathArr;
+		if (path[0] === 'workspace') {
+			if (path[1] !== this.workspaceID) {
+				this.reply(oscMessage.address, 'error', undefined, rinfo);
+				return;
+			}
+			path = path.slice(2);
+		}
+
+		const peer = `${rinfo.address}:${rinfo.port}`;
+		if (path[0] === 'connect') {
+			this.connect(peer, oscMessage.argsArr[0], oscMessage.address, rinfo);
+			return;
+		}
+		const appMethod = ['workspaces', 'version', 'thump'].includes(path[0]);
+		if (this.options.passcode !== undefined && !appMethod && !this.connectedPeers.has(peer)) {
+			this.reply(oscMessage.address, 'denied', undefined, rinfo);
+			return;
+		}
+
+		let result;
+		try {
+			result = this.dispatch(path, oscMessage.argsArr);
+		} catch (error) {
+			this.logger.verbose(error.message);
+			this.reply(oscMessage.address, 'error', undefined, rinfo);
+			return;
+		}
+
+		this.emit('message', oscMessage);
+		if (result === undefined) return;
+		if (result.data === undefined && !result.alwaysReply && !this.alwaysReply) return;
+		this.reply(oscMessage.address, 'ok', result.data, rinfo);
+	}
+
+	/**
+	 * Apply a QLab OSC method to the cue tree
+	 * @param {string[]} path The OSC address parts, without any workspace prefix
+	 * @param {Array} args The OSC argument values
+	 * @returns {{data: *, alwaysReply: boolean}|undefined} The reply data, if any
+	 */
+	dispatch(path, args) {
+		const [method] = path;
+
+		switch (method) {
+			case 'workspaces':
+				return {
+					data: [
+						{
+							uniqueID: this.workspaceID,
+							displayName: this.options.workspaceName,
+							hasPasscode: this.options.passcode !== undefined,
+							version: this.options.version >= 5 ? '5.0.9' : '4.6.10',
+						},
+					],
+				};
+			case 'version':
+				return { data: this.options.version >= 5 ? '5.0.9' : '4.6.10' };
+			case 'thump':
+				return { data: 'ok', alwaysReply: true };
+			case 'alwaysReply':
+				this.alwaysReply = !!args[0];
+				return { data: undefined };
+			case 'new':
+				return { data: this.newCue(args[0]).uniqueID, alwaysReply: true };
+			case 'cueLists':
+				return { data: this.cueLists.map((cue) => this.describeCue(cue, path[1] === 'shallow')) };
+			case 'selectedCues':
+				return {
+					data: this.selection.map((id) =>
+						this.describeCue(this.cues.get(id), path[1] === 'shallow')
+					),
+				};
+			case 'select_id':
+				this.selection = [this.requireCue(path[1]).uniqueID];
+				return { data: undefined };
+			case 'delete_id':
+				this.deleteCue(this.requireCue(path[1]));
+				return { data: undefined };
+			case 'move': {
+				const cue = this.requireCue(path[1]);
+				const parent = this.requireCue(`${args[1]}`);
+				if (!parent.cues) throw new Error(`Cue ${parent.uniqueID} cannot contain cues`);
+				this.placeCue(cue, parent, parseInt(args[0]));
+				return { data: undefined };
+			}
+			case 'cue_id':
+				return this.cueMethod(path[1], path.slice(2), args);
+			default:
+				throw new Error(`Unsupported method /${path.join('/')}`);
+		}
+	}
+
+	/**
+	 * Apply a /cue_id/{id}/... method to a cue
+	 * @param {string} cueID The unique ID of the target cue
+	 * @param {string[]} path The remaining address parts
+	 * @param {Array} args The OSC argument values
+	 * @returns {{data: *}}
+	 */
+	cueMethod(cueID, path, args) {
+		const cue = this.requireCue(cueID);
+		const [property] = path;
+
+		if (property === 'children') {
+			if (!cue.cues) return { data: [] };
+			return { data: cue.cues.map((child) => this.describeCue(child, path[1] === 'shallow')) };
+		}
+		if (property === 'uniqueID' || property === 'type') return { data: cue[property] };
+		if (property === 'parent') {
+			const parent = this.parents.get(cue.uniqueID);
+			return { data: parent ? parent.uniqueID : '' };
+		}
+		if (property === 'parameterValues' && 'parameterValues' in cue) {
+			if (args.length === 0) return { data: cue.parameterValues };
+			cue.parameterValues = args.map((value) => `${value}`);
+			return { data: undefined };
+		}
+		if (!cueProperties.includes(property) || !(property in cue))
+			throw new Error(`Unsupported property ${property} for ${cue.type} cue`);
+
+		if (args.length === 0) return { data: cue[property] };
+		const [value] = args;
+		cue[property] = typeof cue[property] === 'number' ? Number(value) : value;
+		if (typeof cue[property] === 'boolean') cue[property] = !!value;
+		return { data: undefined };
+	}
+
+	/**
+	 * Handle /connect, checking the passcode if the workspace has one
+	 * @param {string} peer The client's address and port
+	 * @param {string} [passcode] The passcode sent by the client
+	 * @param {string} address The address of the /connect message
+	 * @param {Object} rinfo UDP message info
+	 * @returns {void}
+	 */
+	connect(peer, passcode, address, rinfo) {
+		if (this.options.passcode !== undefined && `${passcode}` !== `${this.options.passcode}`) {
+			this.reply(address, 'ok', 'badpass', rinfo);
+			return;
+		}
+		this.connectedPeers.add(peer);
+		this.reply(address, 'ok', this.options.version >= 5 ? 'ok:view|edit|control' : 'ok', rinfo);
+	}
+
+	/**
+	 * Create a cue after the current selection, as QLab does with /new
+	 * @param {string} cueType The cue type, e.g. "group" or "network"
+	 * @returns {SimCue} The new cue
+	 */
+	newCue(cueType) {
+		if (!cueType) throw new Error('/new requires a cue type');
+		const cue = this.createCue(formatCueType(cueType));
+
+		const lastSelected = this.cues.get(this.selection[this.selection.length - 1]);
+		if (lastSelected) {
+			const parent = this.parents.get(lastSelected.uniqueID);
+			this.placeCue(cue, parent, parent.cues.indexOf(lastSelected) + 1);
+		} else {
+			this.placeCue(cue, this.cueLists[0], -1);
+		}
+
+		this.selection = [cue.uniqueID];
+		return cue;
+	}
+
+	/**
+	 * Get a cue by its unique ID, throwing if it does not exist
+	 * @param {string} cueID
+	 * @returns {SimCue}
+	 */
+	requireCue(cueID) {
+		const cue = this.cues.get(cueID);
+		if (!cue) throw new Error(`Cue ${cueID} does not exist`);
+		return cue;
+	}
+
+	/**
+	 * Send a QLab-style /reply message to the sender of a message, over the transport it was received on
+	 * @param {string} address The address of the original message
+	 * @param {string} status "ok" or "error"
+	 * @param {*} data The reply data
+	 * @param {Object} rinfo UDP message info of the original message
+	 * @returns {void}
+	 */
+	reply(address, status, data, rinfo) {
+		const reply = { workspace_id: this.workspaceID, address, status };
+		if (data !== undefined) reply.data = data;
+		const buffer = toBuffer({
+			address: `/reply${address}`,
+			args: [{ type: 'string', value: JSON.stringify(reply) }],
+		});
+		if (rinfo.socket) {
+			rinfo.socket.write(slip.encode(buffer));
+			return;
+		}
+		this.server.send(buffer, 0, buffer.length, rinfo.port, rinfo.address, (error) => {
+			if (error) this.emit('error', error);
+		});
+	}
+}
+
+module.exports = QLabSimulator;
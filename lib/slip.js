@@ -0,0 +1,68 @@
+// SLIP framing (RFC 1055), as used by OSC 1.1 over TCP. Packets are sent double-ended, with END before and after.
+const END = 0xc0;
+const ESC = 0xdb;
+const ESC_END = 0xdc;
+const ESC_ESC = 0xdd;
+
+/**
+ * Frame a packet for sending over a stream
+ * @param {Buffer} packet
+ * @returns {Buffer} The SLIP-encoded packet
+ */
+function encode(packet) {
+	const bytes = [END];
+	packet.forEach((byte) => {
+		if (byte === END) bytes.push(ESC, ESC_END);
+		else if (byte === ESC) bytes.push(ESC, ESC_ESC);
+		else bytes.push(byte);
+	});
+	bytes.push(END);
+	return Buffer.from(bytes);
+}
+
+/**
+ * Splits a SLIP-encoded stream back into packets
+ */
+class Decoder {
+	/**
+	 * Constructor
+	 * @param {Function} onPacket Called with each complete packet, as a Buffer
+	 */
+	constructor(onPacket) {
+		this.onPacket = onPacket;
+		this.bytes = [];
+		this.escaped = false;
+	}
+
+	/**
+	 * Decode a chunk of the stream
+	 * @param {Buffer} chunk
+	 * @returns {void}
+	 */
+	write(chunk) {
+		chunk.forEach((byte) => {
+			if (this.escaped) {
+				this.escaped = false;
+				if (byte === ESC_END) this.bytes.push(END);
+				else if (byte === ESC_ESC) this.bytes.push(ESC);
+				else this.bytes.push(byte); // Protocol violation; keep the byte, as RFC 1055 suggests
+			} else if (byte === ESC) {
+				this.escaped = true;
+			} else if (byte === END) {
+				// Empty packets occur between double-ended frames and are skipped
+				if (this.bytes.length > 0) {
+					const packet = Buffer.from(this.bytes);
+					this.bytes = [];
+					this.onPacket(packet);
+				}
+			} else {
+				this.bytes.push(byte);
+			}
+		});
+	}
+}
+
+module.exports = {
+	encode,
+	Decoder,
+};
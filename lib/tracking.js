@@ -0,0 +1,164 @@
+/**
+ * Tracking options, from the tracking section of the config
+ * @typedef {Object} TrackingConfig
+ * @property {boolean} enabled - Whether dbscenes only record objects which moved, defaults to false
+ * @property {number} tolerance - How far a coordinate or parameter may change before the object counts as moved, defaults to 0.001
+ * @property {string} reference - What changes are measured from: "previous", the dbscenes before it in the cue list, or "snapshot", a scene in the scene library. Defaults to "previous".
+ * @property {string} [scene] - The library scene used as the "snapshot" reference, defaults to the newest scene
+ */
+
+/**
+ * The last known state of each object, keyed by object number. Each entry holds positions keyed by mapping, and parameter values keyed by parameter name.
+ * @typedef {Map<number, {positions: Object, parameters: Object}>} TrackingReference
+ */
+
+const references = ['previous', 'snapshot'];
+
+/**
+ * Build the tracking options from the config, with defaults
+ * @param {Object} [config] The tracking section of the config
+ * @returns {TrackingConfig}
+ */
+function createTracking(config = {}) {
+	const tracking = { enabled: false, tolerance: 0.001, reference: 'previous', ...config };
+	tracking.enabled = !!tracking.enabled;
+	tracking.tolerance = parseFloat(tracking.tolerance);
+	if (Number.isNaN(tracking.tolerance) || tracking.tolerance < 0)
+		throw new Error(
+			`tracking.tolerance must be a number of 0 or more, received ${config.tolerance}`
+		);
+	if (!references.includes(tracking.reference))
+		throw new Error(
+			`tracking.reference must be one of ${references.join(', ')}, received ${tracking.reference}`
+		);
+	return tracking;
+}
+
+/**
+ * Get the reference entry of an object, creating it if needed
+ * @param {TrackingReference} reference
+ * @param {number} objNum
+ * @returns {Object}
+ */
+function getEntry(reference, objNum) {
+	if (!reference.has(objNum)) reference.set(objNum, { positions: {}, parameters: {} });
+	return reference.get(objNum);
+}
+
+/**
+ * Add a known position to a reference, unless the object already has a position in that mapping.
+ * References are built from the nearest state outwards, so values already present are newer.
+ * @param {TrackingReference} reference
+ * @param {number} objNum
+ * @param {number} mapping
+ * @param {number} x
+ * @param {number} y
+ * @returns {void}
+ */
+function addPosition(reference, objNum, mapping, x, y) {
+	const entry = getEntry(reference, objNum);
+	if (entry.positions[mapping] === undefined) entry.positions[mapping] = { x, y };
+}
+
+/**
+ * Add a known parameter value to a reference, unless the object already has a value for it
+ * @param {TrackingReference} reference
+ * @param {number} objNum
+ * @param {string} paramName
+ * @param {number} value
+ * @returns {void}
+ */
+function addParameter(reference, objNum, paramName, value) {
+	const entry = getEntry(reference, objNum);
+	if (entry.parameters[paramName] === undefined) entry.parameters[paramName] = value;
+}
+
+/**
+ * Build a reference from a stored scene
+ * @param {Scene} scene
+ * @param {ObjParameter[]} parameters The parameters to include
+ * @returns {TrackingReference}
+ */
+function referenceFromScene(scene, parameters) {
+	const reference = new Map();
+	scene.objects.forEach((sceneObj) => {
+		addPosition(reference, sceneObj.num, scene.mapping, sceneObj.x, sceneObj.y);
+		parameters.forEach((parameter) => {
+			const value = sceneObj[parameter.name];
+			if (value !== undefined && value !== null)
+				addParameter(reference, sceneObj.num, parameter.name, value);
+		});
+	});
+	return reference;
+}
+
+/**
+ * Whether a reference holds a position in the mapping, and every parameter, for every object
+ * @param {TrackingReference} reference
+ * @param {CacheObj[]} objects
+ * @param {number} mapping
+ * @param {ObjParameter[]} parameters
+ * @returns {boolean}
+ */
+function isComplete(reference, objects, mapping, parameters) {
+	return objects.every((obj) => {
+		const entry = reference.get(obj.num);
+		return (
+			entry !== undefined &&
+			entry.positions[mapping] !== undefined &&
+			parameters.every((parameter) => entry.parameters[parameter.name] !== undefined)
+		);
+	});
+}
+
+/**
+ * Whether two values differ by more than the tolerance. Missing values always differ.
+ * @param {number} value
+ * @param {number} other
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+function differs(value, other, tolerance) {
+	return !(Math.abs(value - other) <= tolerance);
+}
+
+/**
+ * Whether an object's position differs from its reference position in a mapping
+ * @param {TrackingReference} reference
+ * @param {CacheObj} obj
+ * @param {number} mapping
+ * @param {number} tolerance
+ * @returns {boolean} True if it moved, or if the reference has no position for it
+ */
+function positionChanged(reference, obj, mapping, tolerance) {
+	const entry = reference.get(obj.num);
+	const position = entry && entry.positions[mapping];
+	if (!position) return true;
+	return differs(obj.x, position.x, tolerance) || differs(obj.y, position.y, tolerance);
+}
+
+/**
+ * Whether an object's parameter value differs from its reference value. Integer parameters change on any difference.
+ * @param {TrackingReference} reference
+ * @param {CacheObj} obj
+ * @param {ObjParameter} parameter
+ * @param {number} tolerance
+ * @returns {boolean} True if it changed, or if the reference has no value for it
+ */
+function parameterChanged(reference, obj, parameter, tolerance) {
+	const entry = reference.get(obj.num);
+	const value = entry && entry.parameters[parameter.name];
+	if (value === undefined) return true;
+	return differs(obj[parameter.name], value, parameter.type === 'integer' ? 0 : tolerance);
+}
+
+module.exports = {
+	createTracking,
+	addPosition,
+	addParameter,
+	referenceFromScene,
+	isComplete,
+	differs,
+	positionChanged,
+	parameterChanged,
+};
@@ -0,0 +1,20 @@
+const UdpTransport = require('./udp');
+const TcpTransport = require('./tcp');
+
+/**
+ * Create the transport selected by a config's "transport" option
+ * @param {string} [transport] "udp" or "tcp", defaults to "udp"
+ * @param {TransportOptions} options
+ * @returns {UdpTransport|TcpTransport}
+ */
+function createTransport(transport, options) {
+	if (transport === undefined || transport === 'udp') return new UdpTransport(options);
+	if (transport === 'tcp') return new TcpTransport(options);
+	throw new Error(`Transport must be "udp" or "tcp", received ${transport}`);
+}
+
+module.exports = {
+	UdpTransport,
+	TcpTransport,
+	createTransport,
+};
@@ -0,0 +1,161 @@
+const net = require('net');
+const EventEmitter = require('events');
+const slip = require('../slip');
+
+/**
+ * Sends and receives SLIP-framed OSC packets over a TCP connection, reconnecting automatically whenever the connection is lost.
+ * Emits "connect" on every (re)connection, "disconnect" when the connection is lost, and "message" for each packet received.
+ */
+class TcpTransport extends EventEmitter {
+	/**
+	 * Constructor
+	 * @param {TransportOptions} options
+	 */
+	constructor(options) {
+		super();
+		const defined = Object.fromEntries(
+			Object.entries(options).filter((entry) => entry[1] !== undefined)
+		);
+		this.options = { reconnectInterval: 1000, connectTimeout: 5000, ...defined };
+		this.socket = null;
+		this.connected = false;
+		this.closed = true;
+		this.queue = []; // Packets sent while disconnected
+		this.waiting = []; // { callback, timer } for each start() awaiting a connection
+		this.reconnectTimer = null;
+		this.lastError = undefined;
+	}
+
+	/**
+	 * Connect to the peer. Connection attempts go on until the transport is closed, even once the callback had an error.
+	 * @param {Function} [callback] Called once first connected, or with an error if not connected within connectTimeout or closed first
+	 * @returns {void}
+	 */
+	start(callback) {
+		if (!this.closed) {
+			if (callback && this.connected) process.nextTick(callback);
+			else if (callback) this.waitForConnection(callback);
+			return;
+		}
+		this.closed = false;
+		if (callback) this.waitForConnection(callback);
+		this.connect();
+	}
+
+	/**
+	 * Call back once connected, or with an error after connectTimeout
+	 * @param {Function} callback
+	 * @returns {void}
+	 */
+	waitForConnection(callback) {
+		const { address, port, connectTimeout } = this.options;
+		const waiting = { callback, timer: null };
+		waiting.timer = setTimeout(() => {
+			const reason = this.lastError ? `: ${this.lastError.message}` : '';
+			this.stopWaiting(
+				[waiting],
+				new Error(
+					`Could not connect to ${address}:${port} over TCP within ${connectTimeout} ms${reason}`
+				)
+			);
+		}, connectTimeout);
+		this.waiting.push(waiting);
+	}
+
+	/**
+	 * Call back start() callbacks awaiting a connection
+	 * @param {Object[]} waitingList The callbacks to call
+	 * @param {Error} [error] The reason they were not connected, if they were not
+	 * @returns {void}
+	 */
+	stopWaiting(waitingList, error) {
+		waitingList.forEach((waiting) => {
+			clearTimeout(waiting.timer);
+			this.waiting.splice(this.waiting.indexOf(waiting), 1);
+			waiting.callback(error);
+		});
+	}
+
+	/**
+	 * Open a connection, replacing any previous one
+	 * @returns {void}
+	 */
+	connect() {
+		const { address, port } = this.options;
+		const socket = net.createConnection({ host: address, port });
+		const decoder = new slip.Decoder((packet) => this.emit('message', packet, { address, port }));
+		this.socket = socket;
+
+		socket.setNoDelay(true);
+		socket.on('connect', () => {
+			this.connected = true;
+			this.lastError = undefined;
+			const queued = this.queue;
+			this.queue = [];
+			queued.forEach(({ buffer, callback }) => socket.write(slip.encode(buffer), callback));
+			this.stopWaiting([...this.waiting]);
+			this.emit('connect');
+		});
+		socket.on('data', (chunk) => decoder.write(chunk));
+		socket.on('error', (error) => {
+			// A 'close' event always follows, which schedules the reconnection
+			this.lastError = error;
+		});
+		socket.on('close', () => {
+			const wasConnected = this.connected;
+			this.connected = false;
+			if (this.closed) return;
+			if (wasConnected) {
+				this.emit('disconnect', this.lastError);
+				this.lastError = undefined;
+			}
+			this.reconnectTimer = setTimeout(() => this.connect(), this.options.reconnectInterval);
+		});
+	}
+
+	/**
+	 * Describe the transport, for logging
+	 * @returns {string}
+	 */
+	describe() {
+		return `connected to ${this.options.address}:${this.options.port} over TCP`;
+	}
+
+	/**
+	 * Send a packet to the peer. Packets sent while disconnected are queued until the connection is restored.
+	 * @param {Buffer} buffer
+	 * @param {Function} [callback] Called asynchronously, with an error if sending failed
+	 * @returns {void}
+	 */
+	send(buffer, callback) {
+		if (this.connected) {
+			this.socket.write(slip.encode(buffer), callback);
+		} else if (this.closed) {
+			// Like a socket, call back asynchronously so the caller's stack never sees the error
+			if (callback) process.nextTick(callback, new Error('TCP transport is closed'));
+		} else {
+			this.queue.push({ buffer, callback });
+		}
+	}
+
+	/**
+	 * Close the connection and stop reconnecting
+	 * @param {Function} [callback]
+	 * @returns {void}
+	 */
+	close(callback) {
+		this.closed = true;
+		this.connected = false;
+		clearTimeout(this.reconnectTimer);
+		const queued = this.queue;
+		this.queue = [];
+		queued.forEach((packet) => {
+			if (packet.callback) process.nextTick(packet.callback, new Error('TCP transport is closed'));
+		});
+		this.stopWaiting([...this.waiting], new Error('TCP transport was closed before it connected'));
+		if (this.socket) this.socket.destroy();
+		if (callback) process.nextTick(callback);
+	}
+}
+
+module.exports = TcpTransport;
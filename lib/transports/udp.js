@@ -0,0 +1,115 @@
+const udp = require('dgram');
+const EventEmitter = require('events');
+
+/**
+ * Transport options
+ * @typedef {Object} TransportOptions
+ * @property {string} address - The address of the peer
+ * @property {number} port - The port of the peer
+ * @property {number} [localPort] - UDP only: the local port to listen on for replies
+ * @property {string} [localAddress] - UDP only: the local address to listen on, defaults to every interface
+ * @property {number} [reconnectInterval] - TCP only: milliseconds between reconnection attempts, defaults to 1000
+ * @property {number} [connectTimeout] - TCP only: milliseconds start() waits for the first connection, defaults to 5000
+ */
+
+/**
+ * Sends and receives OSC packets over UDP. Emits "connect" once bound, and "message" and "error" as a dgram socket does.
+ * A closed transport can be started again on a new socket.
+ */
+class UdpTransport extends EventEmitter {
+	/**
+	 * Constructor
+	 * @param {TransportOptions} options
+	 */
+	constructor(options) {
+		super();
+		this.options = options;
+		this.socket = null;
+		this.listening = false;
+		this.closed = false;
+		this.createSocket();
+	}
+
+	/**
+	 * Create a new socket, replacing a closed one
+	 * @returns {void}
+	 */
+	createSocket() {
+		const socket = udp.createSocket('udp4');
+		socket.on('message', (msg, rinfo) => this.emit('message', msg, rinfo));
+		socket.on('error', (error) => {
+			// Errors while binding go to the start() callback instead
+			if (this.listening) this.emit('error', error);
+		});
+		socket.on('close', () => {
+			this.listening = false;
+		});
+		this.socket = socket;
+	}
+
+	/**
+	 * Bind to the local port
+	 * @param {Function} [callback] Called once listening, or with an error if the port could not be bound
+	 * @returns {void}
+	 */
+	start(callback) {
+		if (this.listening) {
+			if (callback) process.nextTick(callback);
+			return;
+		}
+		if (this.closed) this.createSocket();
+		this.closed = false;
+		const { socket } = this;
+		const onError = (error) => {
+			this.close();
+			if (callback) callback(error);
+		};
+		socket.once('error', onError);
+		socket.bind({ port: this.options.localPort, address: this.options.localAddress }, () => {
+			socket.off('error', onError);
+			this.listening = true;
+			this.emit('connect');
+			if (callback) callback();
+		});
+	}
+
+	/**
+	 * Describe the transport, for logging
+	 * @returns {string}
+	 */
+	describe() {
+		const { address, port } = this.socket.address();
+		return `listening on ${address}:${port}`;
+	}
+
+	/**
+	 * Send a packet to the peer
+	 * @param {Buffer} buffer
+	 * @param {Function} [callback] Called asynchronously, with an error if sending failed
+	 * @returns {void}
+	 */
+	send(buffer, callback) {
+		if (this.closed) {
+			if (callback) process.nextTick(callback, new Error('UDP transport is closed'));
+			return;
+		}
+		this.socket.send(buffer, 0, buffer.length, this.options.port, this.options.address, callback);
+	}
+
+	/**
+	 * Close the socket
+	 * @param {Function} [callback]
+	 * @returns {void}
+	 */
+	close(callback) {
+		if (this.closed) {
+			if (callback) process.nextTick(callback);
+			return;
+		}
+		this.closed = true;
+		this.listening = false;
+		this.socket.close(callback);
+	}
+}
+
+module.exports = UdpTransport;
@@ -0,0 +1,467 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+
+/**
+ * Web UI options, from the web section of the config
+ * @typedef {Object} WebConfig
+ * @property {boolean} enabled - Whether the dbscene command starts the web server, defaults to false
+ * @property {number} port - The HTTP port, defaults to 8080
+ * @property {string} address - The address to listen on, defaults to "127.0.0.1", the dbscene machine only
+ * @property {string} [token] - If set, the API and WebSocket require it, as "Authorization: Bearer {token}" or a token query parameter
+ * @property {string[]} [hosts] - Host names the UI may be reached by besides IP addresses, "localhost" and the machine's name
+ */
+
+// The files of the browser UI, served from lib/web
+const staticDir = path.join(__dirname, 'web');
+const contentTypes = {
+	'.html': 'text/html; charset=utf-8',
+	'.js': 'text/javascript; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+};
+
+// Dbscene events pushed to every WebSocket client
+const pushedEvents = [
+	'cacheUpdated',
+	'cacheObjAdded',
+	'cacheObjRemoved',
+	'objectUnreachable',
+	'objectReachable',
+	'ds100Offline',
+	'ds100Online',
+	'recallStarted',
+	'recallComplete',
+	'recallStopped',
+	'sceneSaved',
+	'qlabConnected',
+];
+
+// Request bodies larger than this are refused
+const maxBodySize = 65536;
+
+/**
+ * Create an error answered with an HTTP status other than 500
+ * @param {number} status The HTTP status code
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+	const error = new Error(message);
+	error.status = status;
+	return error;
+}
+
+/**
+ * Whether two strings are equal, taking the same time wherever they differ
+ * @param {string} value
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function safeEqual(value, expected) {
+	const digest = (text) => crypto.createHash('sha256').update(text).digest();
+	return crypto.timingSafeEqual(digest(value), digest(expected));
+}
+
+/**
+ * Read and parse the JSON body of a request
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Object>} The body, or an empty object if there is none
+ */
+function readBody(request) {
+	return new Promise((resolve, reject) => {
+		let body = '';
+		request.setEncoding('utf8');
+		request.on('data', (chunk) => {
+			body += chunk;
+			if (body.length > maxBodySize) {
+				reject(httpError(413, 'Request body is too large'));
+				request.destroy();
+			}
+		});
+		request.on('end', () => {
+			if (body === '') {
+				resolve({});
+				return;
+			}
+			try {
+				resolve(JSON.parse(body));
+			} catch (error) {
+				reject(httpError(400, `Request body is not valid JSON: ${error.message}`));
+			}
+		});
+		request.on('error', reject);
+	});
+}
+
+/**
+ * Serve a file of the browser UI
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string} pathname The request path
+ * @returns {void}
+ */
+function serveFile(request, response, pathname) {
+	const filePath = path.join(staticDir, pathname === '/' ? 'index.html' : pathname);
+	const contentType = contentTypes[path.extname(filePath)];
+	if (request.method !== 'GET' || !filePath.startsWith(`${staticDir}${path.sep}`) || !contentType) {
+		response.writeHead(404, { 'Content-Type': 'text/plain' });
+		response.end('Not found');
+		return;
+	}
+	fs.readFile(filePath, (error, contents) => {
+		if (error) {
+			response.writeHead(404, { 'Content-Type': 'text/plain' });
+			response.end('Not found');
+			return;
+		}
+		response.writeHead(200, { 'Content-Type': contentType });
+		response.end(contents);
+	});
+}
+
+/**
+ * An HTTP server for a Dbscene instance, serving the browser UI and a JSON API, and pushing Dbscene events to the browser over a WebSocket at /ws.
+ * Emits listening, closed and error.
+ */
+class WebServer extends EventEmitter {
+	/**
+	 * Constructor
+	 * @param {Dbscene} dbscene The instance the UI shows and acts on
+	 * @param {Object} [config] The web section of the config
+	 */
+	constructor(dbscene, config = {}) {
+		super();
+		this.dbscene = dbscene;
+		this.config = { enabled: false, port: 8080, address: '127.0.0.1', hosts: [], ...config };
+		const port = parseInt(this.config.port);
+		if (!(port >= 0 && port <= 65535)) throw new Error(`web.port must be 0-65535`);
+		this.config.port = port;
+		if (
+			this.config.token !== undefined &&
+			!(typeof this.config.token === 'string' && this.config.token)
+		)
+			throw new Error('web.token must be a string');
+		if (!Array.isArray(this.config.hosts))
+			throw new Error('web.hosts must be a list of host names');
+
+		this.server = null;
+		this.sockets = null;
+		this.listeners = null; // Dbscene event listeners, while the server is running
+
+		// Each route: [method, path regex, handler]. Path parameters are passed to the handler after the body.
+		this.routes = [
+			['GET', /^\/api\/state$/, () => this.state()],
+			['GET', /^\/api\/cache$/, () => this.dbscene.getCache()],
+			['POST', /^\/api\/cache$/, (body) => this.addObject(body)],
+			['PUT', /^\/api\/cache\/(\d+)$/, (body, num) => this.renameObject(num, body)],
+			['DELETE', /^\/api\/cache\/(\d+)$/, (body, num) => this.removeObject(num)],
+			['POST', /^\/api\/query$/, (body) => this.query(body)],
+			['GET', /^\/api\/scenes$/, () => this.scenes()],
+			['POST', /^\/api\/create$/, (body) => this.create(body)],
+			['POST', /^\/api\/update$/, (body) => this.update(body)],
+			['POST', /^\/api\/recall$/, (body) => this.recall(body)],
+			['GET', /^\/api\/history$/, () => this.dbscene.listHistory()],
+			['POST', /^\/api\/undo$/, () => this.dbscene.undo()],
+		];
+	}
+
+	/**
+	 * Whether the server is listening
+	 * @returns {boolean}
+	 */
+	get running() {
+		return this.server !== null;
+	}
+
+	/**
+	 * Start the server
+	 * @returns {Promise<WebServer>} The server, once it is listening
+	 */
+	start() {
+		if (this.running) return Promise.resolve(this);
+		this.server = http.createServer((request, response) => this.handle(request, response));
+		this.sockets = new WebSocketServer({
+			server: this.server,
+			path: '/ws',
+			verifyClient: (info, accept) => {
+				try {
+					this.authorize(info.req);
+					accept(true);
+				} catch (error) {
+					accept(false, error.status, error.message);
+				}
+			},
+		});
+		this.sockets.on('connection', (socket) => {
+			this.state()
+				.then((state) => socket.send(JSON.stringify({ event: 'state', data: state })))
+				.catch((error) => this.dbscene.logError(error));
+		});
+
+		this.listeners = Object.fromEntries(
+			pushedEvents.map((event) => [event, (data) => this.broadcast(event, data)])
+		);
+		Object.entries(this.listeners).forEach(([event, listener]) => this.dbscene.on(event, listener));
+
+		return new Promise((resolve, reject) => {
+			this.server.once('error', (error) => {
+				this.stop();
+				reject(error);
+			});
+			this.server.listen(this.config.port, this.config.address, () => {
+				this.server.on('error', (error) => this.emit('error', error));
+				this.dbscene.logger.verbose(
+					`web UI listening on http://${this.config.address}:${this.server.address().port}`
+				);
+				this.emit('listening', this.server.address());
+				resolve(this);
+			});
+		});
+	}
+
+	/**
+	 * Stop the server, closing every WebSocket
+	 * @returns {Promise<void>}
+	 */
+	stop() {
+		if (!this.running) return Promise.resolve();
+		Object.entries(this.listeners).forEach(([event, listener]) =>
+			this.dbscene.off(event, listener)
+		);
+		this.listeners = null;
+		this.sockets.clients.forEach((socket) => socket.terminate());
+		this.sockets.close();
+		const { server } = this;
+		this.server = null;
+		this.sockets = null;
+		return new Promise((resolve) => {
+			server.close(() => {
+				this.emit('closed');
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * Send an event to every WebSocket client
+	 * @param {string} event The Dbscene event name
+	 * @param {*} data The event details
+	 * @returns {void}
+	 */
+	broadcast(event, data) {
+		if (!this.sockets) return;
+		const message = JSON.stringify({ event, data });
+		this.sockets.clients.forEach((socket) => {
+			if (socket.readyState === socket.OPEN) socket.send(message);
+		});
+	}
+
+	/**
+	 * Check that a request to the API or WebSocket comes from the UI or another tool on the show network, not from a web page elsewhere:
+	 * the Host must be an address of this server, any Origin must be the same host, and the token must match if web.token is set
+	 * @param {http.IncomingMessage} request
+	 * @returns {void}
+	 */
+	authorize(request) {
+		const { host } = request.headers;
+		let hostname;
+		try {
+			({ hostname } = new URL(`http://${host}`));
+		} catch (error) {
+			throw httpError(403, 'The Host header is missing or invalid');
+		}
+		hostname = hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+		const names = ['localhost', os.hostname(), `${os.hostname()}.local`, ...this.config.hosts];
+		if (net.isIP(hostname) === 0 && !names.some((name) => name.toLowerCase() === hostname))
+			throw httpError(403, `${hostname} is not a host name of this server, see web.hosts`);
+
+		const { origin } = request.headers;
+		if (origin !== undefined) {
+			let originHost;
+			try {
+				originHost = new URL(origin).host;
+			} catch (error) {
+				originHost = null;
+			}
+			if (originHost !== host) throw httpError(403, `Requests from ${origin} are not allowed`);
+		}
+
+		const { token } = this.config;
+		if (token === undefined) return;
+		const authorization = request.headers.authorization || '';
+		const given = authorization.startsWith('Bearer ')
+			? authorization.slice('Bearer '.length)
+			: new URL(request.url, 'http://localhost').searchParams.get('token');
+		if (given === null || !safeEqual(given, token))
+			throw httpError(401, 'A valid token is required, see web.token');
+	}
+
+	/**
+	 * Answer an HTTP request
+	 * @param {http.IncomingMessage} request
+	 * @param {http.ServerResponse} response
+	 * @returns {void}
+	 */
+	async handle(request, response) {
+		const { pathname } = new URL(request.url, 'http://localhost');
+		if (!pathname.startsWith('/api/')) {
+			serveFile(request, response, pathname);
+			return;
+		}
+
+		let status = 200;
+		let result;
+		try {
+			this.authorize(request);
+			const pathRoutes = this.routes.filter(([, regex]) => regex.test(pathname));
+			if (pathRoutes.length === 0) throw httpError(404, `No API at ${pathname}`);
+			const route = pathRoutes.find(([method]) => method === request.method);
+			if (!route) throw httpError(405, `${request.method} is not allowed on ${pathname}`);
+			let body = {};
+			if (['POST', 'PUT'].includes(request.method)) {
+				// Browsers only send JSON across origins after a CORS preflight, which is never answered
+				if (!/^application\/json\s*(;|$)/i.test(request.headers['content-type'] || ''))
+					throw httpError(415, 'The request body must be sent as application/json');
+				body = await readBody(request);
+			}
+			result = await route[2](body, ...route[1].exec(pathname).slice(1));
+		} catch (error) {
+			status = error.status || 500;
+			result = { error: error.message };
+			if (status === 500) this.dbscene.logError(error, { address: pathname });
+		}
+		response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+		response.end(JSON.stringify(result === undefined ? {} : result));
+	}
+
+	/**
+	 * Everything the UI shows when it opens
+	 * @returns {Object} The cache, DS100 mapping areas, parameters, default mapping and scenes
+	 */
+	async state() {
+		const { dbscene } = this;
+		return {
+			cache: dbscene.getCache(),
+			devices: dbscene.devices.map(({ name, objects, mappingAreas }) => ({
+				name,
+				objects,
+				mappingAreas,
+			})),
+			parameters: dbscene.parameters.map((parameter) => parameter.name),
+			defaultMapping: parseInt(dbscene.config.ds100.defaultMapping),
+			scenes: await this.scenes(),
+		};
+	}
+
+	/**
+	 * List the names of the scenes in the scene library
+	 * @returns {string[]}
+	 */
+	async scenes() {
+		return (await this.dbscene.listScenes()).map((scene) => scene.name);
+	}
+
+	/**
+	 * Add an object to the cache
+	 * @param {Object} body { num, name }
+	 * @returns {CacheObj} The new object
+	 */
+	addObject(body) {
+		if (!(parseInt(body.num) >= 1) || typeof body.name !== 'string' || body.name === '')
+			throw httpError(400, 'An object number and name are required');
+		if (this.dbscene.getCacheObj(body.num) !== null)
+			throw httpError(409, `Object ${body.num} already exists`);
+		return this.dbscene.newCacheObj(body.num, body.name);
+	}
+
+	/**
+	 * Rename an object in the cache
+	 * @param {string} num
+	 * @param {Object} body { name }
+	 * @returns {CacheObj} The renamed object
+	 */
+	renameObject(num, body) {
+		if (typeof body.name !== 'string' || body.name === '')
+			throw httpError(400, 'A name is required');
+		if (this.dbscene.getCacheObj(num) === null)
+			throw httpError(404, `Object ${num} does not exist`);
+		return this.dbscene.updateCacheObj(num, body.name);
+	}
+
+	/**
+	 * Remove an object from the cache
+	 * @param {string} num
+	 * @returns {Object} { removed }
+	 */
+	removeObject(num) {
+		if (this.dbscene.getCacheObj(num) === null)
+			throw httpError(404, `Object ${num} does not exist`);
+		this.dbscene.removeCacheObj(num);
+		return { removed: parseInt(num) };
+	}
+
+	/**
+	 * Refresh every object position from the DS100
+	 * @param {Object} body { mapping }
+	 * @returns {Object} { timedOut }, the numbers of the objects which did not answer
+	 */
+	async query(body) {
+		const results = await this.dbscene.queryAllObjPos(body.mapping);
+		return {
+			timedOut: results
+				.filter((result) => result.status === 'timedOut')
+				.map((result) => result.cacheObj.num),
+		};
+	}
+
+	/**
+	 * Create a dbscene at the QLab selection
+	 * @param {Object} body { mapping, group }
+	 * @returns {Object} { groupCueID }, null if no dbscene was created
+	 */
+	async create(body) {
+		const groupCueID = await this.dbscene.createDbscene(body.mapping, body.group);
+		return { groupCueID: groupCueID || null };
+	}
+
+	/**
+	 * Update the selected dbscenes in QLab
+	 * @param {Object} body { group }
+	 * @returns {Object}
+	 */
+	async update(body) {
+		await this.dbscene.updateSelectedCues(body.group);
+		return {};
+	}
+
+	/**
+	 * Start recalling a scene. The reply is sent once the recall starts; its progress is pushed over the WebSocket.
+	 * @param {Object} body { name, time, mapping, curve }
+	 * @returns {Object}
+	 */
+	async recall(body) {
+		if (typeof body.name !== 'string') throw httpError(400, 'A scene name is required');
+		if (!(await this.scenes()).includes(body.name))
+			throw httpError(404, `Scene "${body.name}" does not exist`);
+		await new Promise((resolve, reject) => {
+			let started = false;
+			const onStarted = () => {
+				started = true;
+				resolve();
+			};
+			const { time, mapping, curve } = body;
+			this.dbscene.recallScene(body.name, { time, mapping, curve, onStarted }).catch((error) => {
+				if (started) this.dbscene.logError(error);
+				else reject(error);
+			});
+		});
+		return {};
+	}
+}
+
+module.exports = WebServer;
@@ -0,0 +1,335 @@
+/* eslint-env browser */
+
+// The browser side of the dbscene web UI. State arrives over the WebSocket; commands go to the JSON API.
+(() => {
+	const svgNS = 'http://www.w3.org/2000/svg';
+	const state = { cache: [], devices: [], parameters: [], scenes: [] };
+	const $ = (id) => document.getElementById(id);
+	// The web.token, if the page was opened with one, e.g. http://10.0.1.5:8080/?token=...
+	const token = new URLSearchParams(window.location.search).get('token');
+	// The normalized mapping area, plotted when no mapping areas are configured
+	const unitSquare = [
+		[0, 0],
+		[1, 0],
+		[1, 1],
+		[0, 1],
+	];
+
+	/**
+	 * Show a status message
+	 * @param {string} text
+	 * @param {boolean} [error]
+	 * @returns {void}
+	 */
+	function showStatus(text, error = false) {
+		$('status').textContent = text;
+		$('status').className = error ? 'error' : '';
+	}
+
+	/**
+	 * Call the JSON API, showing any error as the status
+	 * @param {string} method
+	 * @param {string} url
+	 * @param {Object} [body]
+	 * @returns {Promise<Object|null>} The reply, or null if the call failed
+	 */
+	async function api(method, url, body) {
+		const headers = { 'Content-Type': 'application/json' };
+		if (token) headers.Authorization = `Bearer ${token}`;
+		try {
+			const response = await fetch(url, {
+				method,
+				headers,
+				body: body ? JSON.stringify(body) : undefined,
+			});
+			const result = await response.json();
+			if (!response.ok) throw new Error(result.error || response.statusText);
+			return result;
+		} catch (error) {
+			showStatus(error.message, true);
+			return null;
+		}
+	}
+
+	/**
+	 * Create an SVG element
+	 * @param {string} name
+	 * @param {Object} attributes
+	 * @returns {SVGElement}
+	 */
+	function svgElement(name, attributes) {
+		const element = document.createElementNS(svgNS, name);
+		Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+		return element;
+	}
+
+	/**
+	 * The mapping areas of every DS100, without duplicates
+	 * @returns {Object[]} Each as { mapping, corners }
+	 */
+	function mappingAreas() {
+		const areas = [];
+		state.devices.forEach((device) => {
+			Object.entries(device.mappingAreas).forEach(([mapping, corners]) => {
+				const key = JSON.stringify(corners);
+				if (!areas.some((area) => area.mapping === mapping && area.key === key))
+					areas.push({ mapping, corners, key });
+			});
+		});
+		return areas;
+	}
+
+	/**
+	 * Draw the objects on the mapping areas in meters, or on the normalized square if no mapping areas are configured
+	 * @returns {void}
+	 */
+	function renderPlot() {
+		const plot = $('plot');
+		const areas = mappingAreas();
+		const meters = areas.length > 0;
+		const objects = state.cache
+			.filter((obj) => (meters ? obj.xm !== null && obj.ym !== null : true))
+			.map((obj) => ({
+				num: obj.num,
+				name: obj.name,
+				x: meters ? obj.xm : obj.x,
+				y: meters ? obj.ym : obj.y,
+			}));
+
+		const points = [
+			...areas.flatMap((area) => area.corners),
+			...objects.map((obj) => [obj.x, obj.y]),
+		];
+		if (!meters) points.push([0, 0], [1, 1]);
+		const xs = points.map((point) => point[0]);
+		const ys = points.map((point) => point[1]);
+		const size = Math.max(
+			Math.max(...xs) - Math.min(...xs),
+			Math.max(...ys) - Math.min(...ys),
+			1e-6
+		);
+		const margin = size * 0.05;
+		const minX = Math.min(...xs) - margin;
+		const maxY = Math.max(...ys) + margin;
+		const width = Math.max(...xs) + margin - minX;
+		const height = maxY - (Math.min(...ys) - margin);
+		// Positive y is drawn upwards
+		const view = ([x, y]) => [x - minX, maxY - y];
+
+		plot.replaceChildren();
+		plot.setAttribute('viewBox', `0 0 ${width} ${height}`);
+		const fontSize = size * 0.025;
+		const plotAreas = meters ? areas : [{ mapping: '', corners: unitSquare }];
+		plotAreas.forEach((area) => {
+			const corners = area.corners.map(view);
+			plot.append(
+				svgElement('polygon', {
+					class: 'area',
+					points: corners.join(' '),
+					'stroke-width': size * 0.003,
+				})
+			);
+			if (area.mapping) {
+				const label = svgElement('text', {
+					class: 'area-label',
+					x: corners[3][0] + fontSize * 0.3,
+					y: corners[3][1] + fontSize * 1.2,
+					'font-size': fontSize,
+				});
+				label.textContent = `Mapping ${area.mapping}`;
+				plot.append(label);
+			}
+		});
+
+		objects.forEach((obj) => {
+			const [x, y] = view([obj.x, obj.y]);
+			const group = svgElement('g', { class: 'object' });
+			const title = svgElement('title', {});
+			title.textContent = obj.name;
+			const label = svgElement('text', { x, y, 'font-size': fontSize * 0.8 });
+			label.textContent = obj.num;
+			group.append(svgElement('circle', { cx: x, cy: y, r: fontSize }), label, title);
+			plot.append(group);
+		});
+
+		const hidden = state.cache.length - objects.length;
+		$('plot-title').textContent = meters
+			? `Positions in meters${hidden > 0 ? ` (${hidden} without a mapping area)` : ''}`
+			: 'Positions, normalized';
+	}
+
+	/**
+	 * Describe an object's position and parameters
+	 * @param {CacheObj} obj
+	 * @returns {string}
+	 */
+	function positionText(obj) {
+		let text = `${obj.x.toFixed(3)}, ${obj.y.toFixed(3)}`;
+		if (obj.xm !== null && obj.ym !== null)
+			text += ` (${obj.xm.toFixed(2)} m, ${obj.ym.toFixed(2)} m)`;
+		state.parameters.forEach((parameter) => {
+			if (obj[parameter] !== null && obj[parameter] !== undefined)
+				text += `, ${parameter} ${obj[parameter]}`;
+		});
+		return text;
+	}
+
+	/**
+	 * Create the table row of an object
+	 * @param {number} num
+	 * @returns {HTMLTableRowElement}
+	 */
+	function createRow(num) {
+		const row = document.createElement('tr');
+		row.dataset.num = num;
+		row.innerHTML =
+			'<td></td><td><input class="name" /></td><td class="position"></td><td><button>Remove</button></td>';
+		row.cells[0].textContent = num;
+		const name = row.querySelector('input');
+		name.addEventListener('change', () => {
+			if (name.value !== '') api('PUT', `/api/cache/${num}`, { name: name.value });
+		});
+		name.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') name.blur();
+		});
+		row.querySelector('button').addEventListener('click', () => api('DELETE', `/api/cache/${num}`));
+		return row;
+	}
+
+	/**
+	 * Update the cache table, keeping any name being edited
+	 * @returns {void}
+	 */
+	function renderCache() {
+		const body = $('cache');
+		const rows = new Map(Array.from(body.rows).map((row) => [parseInt(row.dataset.num), row]));
+		state.cache.forEach((obj) => {
+			const row = rows.get(obj.num) || createRow(obj.num);
+			rows.delete(obj.num);
+			const name = row.querySelector('input');
+			if (document.activeElement !== name) name.value = obj.name;
+			row.cells[2].textContent = positionText(obj);
+			body.append(row); // Appending in cache order keeps the rows sorted
+		});
+		rows.forEach((row) => row.remove());
+	}
+
+	/**
+	 * Fill the scene list of the recall form
+	 * @returns {void}
+	 */
+	function renderScenes() {
+		const select = $('scene');
+		const selected = select.value;
+		select.replaceChildren(
+			...state.scenes.map((name) => {
+				const option = document.createElement('option');
+				option.textContent = name;
+				return option;
+			})
+		);
+		if (state.scenes.includes(selected)) select.value = selected;
+	}
+
+	/**
+	 * Replace or add a cache object, keeping the cache sorted by number
+	 * @param {CacheObj} obj
+	 * @returns {void}
+	 */
+	function putObject(obj) {
+		const index = state.cache.findIndex((cached) => cached.num === obj.num);
+		if (index >= 0) state.cache[index] = obj;
+		else {
+			state.cache.push(obj);
+			state.cache.sort((first, next) => first.num - next.num);
+		}
+	}
+
+	// How each pushed event changes the page
+	const handlers = {
+		state: (data) => {
+			Object.assign(state, data);
+			$('mapping').value = data.defaultMapping;
+		},
+		cacheUpdated: putObject,
+		cacheObjAdded: putObject,
+		cacheObjRemoved: (obj) => {
+			state.cache = state.cache.filter((cached) => cached.num !== obj.num);
+		},
+		sceneSaved: (scene) => {
+			if (!state.scenes.includes(scene.name)) state.scenes.push(scene.name);
+		},
+		recallStarted: ({ name, time }) => showStatus(`Recalling "${name}" over ${time}s`),
+		recallComplete: ({ name }) => showStatus(`Recalled "${name}"`),
+		recallStopped: ({ name }) => showStatus(`Recall of "${name}" was stopped`),
+		objectUnreachable: ({ num }) => showStatus(`Object ${num} is not answering`, true),
+		objectReachable: ({ num }) => showStatus(`Object ${num} is answering again`),
+		ds100Offline: (device) => showStatus(`${device.name} is offline`, true),
+		ds100Online: (device) => showStatus(`${device.name} is back online`),
+		qlabConnected: () => showStatus('Connected to QLab'),
+	};
+
+	/**
+	 * Connect to the WebSocket, reconnecting whenever the connection drops
+	 * @returns {void}
+	 */
+	function connect() {
+		const socket = new WebSocket(
+			`${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws${
+				token ? `?token=${encodeURIComponent(token)}` : ''
+			}`
+		);
+		socket.addEventListener('open', () => {
+			$('connection').textContent = 'Connected';
+			$('connection').className = 'online';
+		});
+		socket.addEventListener('message', (message) => {
+			const { event, data } = JSON.parse(message.data);
+			if (!handlers[event]) return;
+			handlers[event](data);
+			renderPlot();
+			renderCache();
+			renderScenes();
+		});
+		socket.addEventListener('close', () => {
+			$('connection').textContent = 'Disconnected';
+			$('connection').className = 'offline';
+			setTimeout(connect, 2000);
+		});
+	}
+
+	$('query').addEventListener('click', async () => {
+		const result = await api('POST', '/api/query', { mapping: parseInt($('mapping').value) });
+		if (result)
+			showStatus(
+				result.timedOut.length > 0
+					? `No reply for object(s) ${result.timedOut.join(', ')}`
+					: 'Positions refreshed',
+				result.timedOut.length > 0
+			);
+	});
+	$('create').addEventListener('click', async () => {
+		const result = await api('POST', '/api/create', { mapping: parseInt($('mapping').value) });
+		if (result)
+			showStatus(
+				result.groupCueID ? `Created dbscene ${result.groupCueID}` : 'No dbscene was created'
+			);
+	});
+	$('update').addEventListener('click', async () => {
+		if (await api('POST', '/api/update')) showStatus('Updating the selected cues');
+	});
+	$('recall').addEventListener('submit', (event) => {
+		event.preventDefault();
+		api('POST', '/api/recall', { name: $('scene').value, time: parseFloat($('time').value) || 0 });
+	});
+	$('add').addEventListener('submit', async (event) => {
+		event.preventDefault();
+		const result = await api('POST', '/api/cache', {
+			num: parseInt($('add-num').value),
+			name: $('add-name').value,
+		});
+		if (result) $('add').reset();
+	});
+
+	connect();
+})();
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('an audit finds the problems of each dbscene, makes the safe repairs, and the repairs can be undone', async () => {
+	const historyPath = `${__dirname}/.audit-repair-history.json`;
+	const reportPath = `${__dirname}/.audit-report.json`;
+	const textPath = `${__dirname}/.audit-report.txt`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			history: { path: historyPath },
+			audit: { path: null },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' },
+		{ logger: {} }
+	);
+	try {
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		ds100.setPosition(1, 2, 0.5, 0.5);
+		await dbscene.start();
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		const [homer, marjorie] = group.cues;
+
+		// Each new cue is placed after the last one in the group
+		const addCue = (type, customString) => {
+			qlab.selection = [group.cues[group.cues.length - 1].uniqueID];
+			const cue = qlab.newCue(type);
+			if (customString) Object.assign(cue, { customString, patch: 1 });
+			return cue;
+		};
+		addCue('memo');
+		const copy = addCue('network', homer.customString);
+		const sourcePosition = addCue(
+			'network',
+			'/dbaudio1/coordinatemapping/source_position/1/3 0.5 0.5'
+		);
+		marjorie.patch = 7;
+		qlab.selection = [];
+		const clean = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+
+		const report = await dbscene.auditWorkspace();
+		assert.deepStrictEqual([report.fix, report.dbscenes, report.cues], [false, 2, 7]);
+		assert.deepStrictEqual(
+			report.problems.map(({ type, num, repair, fixed }) => [type, num, !!repair, fixed]),
+			[
+				['wrongPatch', undefined, true, false],
+				['strayCue', undefined, false, false],
+				['duplicateObject', 1, true, false],
+				['notXY', 3, true, false],
+				['notInCache', 3, false, false],
+			]
+		);
+		assert.ok(report.problems.every((problem) => problem.groupCueID === group.uniqueID));
+		assert.strictEqual(fs.existsSync(reportPath), false);
+
+		const fixed = await dbscene.auditWorkspace({ fix: true, path: reportPath });
+		await wait(100);
+		assert.deepStrictEqual(
+			fixed.problems.map(({ type, fixed: wasFixed }) => `${type} ${wasFixed}`),
+			[
+				'wrongPatch true',
+				'strayCue false',
+				'duplicateObject true',
+				'notXY true',
+				'notInCache false',
+			]
+		);
+		assert.deepStrictEqual(
+			group.cues.map(({ type, patch, customString }) => [type, patch, customString]),
+			[
+				['Network', 1, homer.customString],
+				['Network', 1, marjorie.customString],
+				['Memo', undefined, undefined],
+				['Network', 1, '/dbaudio1/coordinatemapping/source_position_xy/1/3 0.5 0.5'],
+			]
+		);
+		assert.strictEqual(clean.cues.length, 2);
+		assert.deepStrictEqual(JSON.parse(await fs.promises.readFile(reportPath)), fixed);
+		const text = await fs.promises.readFile(textPath, 'utf8');
+		assert.match(text, /^dbscene audit, .*\n2 dbscene\(s\), 7 cue\(s\), 5 problem\(s\), 3 fixed\n/);
+		assert.match(text, /\): Network patch 7 is not the patch of any DS100 - fixed\n/);
+		assert.match(text, /\): Memo cue in a dbscene, which should only hold network cues\n/);
+
+		await dbscene.undo();
+		await wait(100);
+		assert.deepStrictEqual(
+			group.cues.map(({ uniqueID, patch, customString }) => [uniqueID, patch, customString]),
+			[
+				[homer.uniqueID, 1, homer.customString],
+				[marjorie.uniqueID, 7, marjorie.customString],
+				[group.cues[2].uniqueID, undefined, undefined],
+				// Deleted cues are put back as new cues
+				[group.cues[3].uniqueID, 1, homer.customString],
+				[sourcePosition.uniqueID, 1, '/dbaudio1/coordinatemapping/source_position/1/3 0.5 0.5'],
+			]
+		);
+		assert.notStrictEqual(group.cues[3].uniqueID, copy.uniqueID);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await Promise.all(
+			[historyPath, reportPath, textPath].map((filePath) =>
+				fs.promises.rm(filePath, { force: true })
+			)
+		);
+	}
+});
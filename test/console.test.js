@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { Writable } = require('stream');
+const { execFile } = require('child_process');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const DbsceneConsole = require('../lib/console');
+const { loadConfigFile } = require('../lib/config-file');
+const { version } = require('../package.json');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+/**
+ * Run the dbscene command
+ * @param {string[]} args
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function run(args) {
+	return new Promise((resolve) => {
+		const bin = path.join(__dirname, '..', 'bin', 'dbscene.js');
+		execFile(process.execPath, [bin, ...args], { timeout: 10000 }, (error, stdout, stderr) =>
+			resolve({ code: error ? error.code : 0, stdout, stderr })
+		);
+	});
+}
+
+test('config files are read as JSON or YAML, and every problem is reported', async () => {
+	const yamlPath = `${__dirname}/.console-config.yaml`;
+	const jsonPath = `${__dirname}/.console-config.json`;
+	try {
+		await fs.promises.writeFile(
+			yamlPath,
+			[
+				'qlab: { address: 127.0.0.1, ds100Patch: 1, defaultDuration: 0.2 }',
+				'ds100: { address: 127.0.0.1, defaultMapping: 1 }',
+				'cache:',
+				'  1: Homer',
+				'  2: { name: Guitar, groups: [band] }',
+			].join('\n')
+		);
+		assert.deepStrictEqual(loadConfigFile(yamlPath), {
+			config: {
+				qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0.2 },
+				ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			},
+			cache: { 1: 'Homer', 2: { name: 'Guitar', groups: ['band'] } },
+		});
+
+		await fs.promises.writeFile(
+			jsonPath,
+			JSON.stringify({
+				qlab: { address: '127.0.0.1', defaultDuration: '0.2', port: 70000 },
+				ds100: { address: '127.0.0.1', defaultMapping: 5 },
+				cache: { 0: 'Homer', 2: {} },
+			})
+		);
+		assert.throws(
+			() => loadConfigFile(jsonPath),
+			(error) => {
+				assert.strictEqual(
+					error.message,
+					[
+						`${jsonPath} is not a valid dbscene config:`,
+						'qlab.defaultDuration must be a number of seconds',
+						'qlab.port must be a port number',
+						'qlab.ds100Patch must be a number, unless ds100.devices is used',
+						'ds100.defaultMapping must be 1-4',
+						'cache has an invalid object number "0"',
+						'cache object 2 must have a name',
+					].join('\n  ')
+				);
+				return true;
+			}
+		);
+		await fs.promises.writeFile(jsonPath, '{ "qlab": ');
+		assert.throws(() => loadConfigFile(jsonPath), /\.console-config\.json could not be read/);
+	} finally {
+		await fs.promises.rm(yamlPath, { force: true });
+		await fs.promises.rm(jsonPath, { force: true });
+	}
+});
+
+test('the dbscene command shows its version, and refuses an invalid config file', async () => {
+	const jsonPath = `${__dirname}/.console-command.json`;
+	try {
+		assert.deepStrictEqual(await run(['--version']), {
+			code: 0,
+			stdout: `${version}\n`,
+			stderr: '',
+		});
+		const unknown = await run(['--verbose']);
+		assert.deepStrictEqual(
+			[unknown.code, unknown.stderr],
+			[1, 'dbscene: Unknown option --verbose\n']
+		);
+
+		await fs.promises.writeFile(jsonPath, JSON.stringify({ qlab: {}, ds100: {}, cache: {} }));
+		const invalid = await run([jsonPath]);
+		assert.strictEqual(invalid.code, 1);
+		assert.match(
+			invalid.stderr,
+			/is not a valid dbscene config:\n {2}qlab.address must be a string/
+		);
+	} finally {
+		await fs.promises.rm(jsonPath, { force: true });
+	}
+});
+
+test('console commands manage the cache and build dbscenes', async () => {
+	const historyPath = `${__dirname}/.console-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	let output = '';
+	const dbsceneConsole = new DbsceneConsole(dbscene, {
+		output: new Writable({
+			write: (chunk, encoding, callback) => {
+				output += chunk;
+				callback();
+			},
+		}),
+	});
+	const execute = async (line) => {
+		output = '';
+		await dbsceneConsole.execute(line);
+		return output;
+	};
+	try {
+		await dbscene.start();
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		assert.strictEqual(await execute('query'), '  1  Homer  0.25, 0.75\n');
+		assert.strictEqual(await execute('add 3 "Mr Burns"'), '  3  Mr Burns  0.5, 0.5\n');
+		assert.strictEqual(
+			await execute('rename 3 Charles Montgomery'),
+			'  3  Charles Montgomery  0.5, 0.5\n'
+		);
+		assert.strictEqual(await execute('add 3 Smithers'), 'Error: Object 3 already exists\n');
+		assert.strictEqual(await execute('remove 3'), 'Removed object 3\n');
+		assert.strictEqual(await execute('remove 3'), 'Error: Object 3 does not exist\n');
+		assert.match(await execute('create'), /^Created dbscene [0-9A-F]{32}\n$/);
+		assert.strictEqual(qlab.cueLists[0].cues.length, 1);
+		assert.strictEqual(
+			await execute('frobnicate'),
+			'Unknown command "frobnicate", type help for the list of commands\n'
+		);
+		assert.match(await execute('help'), /^ {2}help {26}List the commands\n/);
+	} finally {
+		dbsceneConsole.close();
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+test('create and save fail rather than use a position which was never received', async () => {
+	const libraryPath = `${__dirname}/.create-library.json`;
+	// The simulator only has object 1, so object 2 never answers
+	const ds100 = await new DS100Simulator({ objects: 1 }).start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1, timeout: 200 },
+			library: { path: libraryPath },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		const cues = qlab.cues.size;
+		await assert.rejects(dbscene.createDbscene(1), /Object\(s\) 2 did not answer in mapping 1/);
+		assert.strictEqual(qlab.cues.size, cues);
+		await assert.rejects(dbscene.saveScene('Act 1', 1), /scene "Act 1" was not saved/);
+		assert.strictEqual(fs.existsSync(libraryPath), false);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(libraryPath, { force: true });
+	}
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('objects beyond 64 are queried on their own DS100 and patched to it in QLab', async () => {
+	const historyPath = `${__dirname}/.devices-history.json`;
+	const main = await new DS100Simulator({ port: 0 }).start();
+	const surround = await new DS100Simulator({ port: 0 }).start();
+	const qlab = await new QLabSimulator().start();
+	const device = (name, simulator, qlabPatch, objects) => ({
+		name,
+		address: '127.0.0.1',
+		port: simulator.server.address().port,
+		qlabPatch,
+		objects,
+	});
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', defaultDuration: 0 },
+			ds100: {
+				defaultMapping: 1,
+				devices: [device('Main', main, 1, [1, 64]), device('Surround', surround, 2, [65, 128])],
+			},
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer', 66: 'Marjorie' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		main.setPosition(1, 1, 0.25, 0.75);
+		main.setPosition(1, 2, 0.125, 0.125);
+		surround.setPosition(1, 2, 0.5, 0.25);
+
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		const cues = () =>
+			group.cues.map(({ name, patch, customString }) => [name, patch, customString]);
+		assert.deepStrictEqual(cues(), [
+			['1 - Homer: 0.25, 0.75', 1, '/dbaudio1/coordinatemapping/source_position_xy/1/1 0.25 0.75'],
+			[
+				'66 - Marjorie: 0.5, 0.25',
+				2,
+				'/dbaudio1/coordinatemapping/source_position_xy/1/2 0.5 0.25',
+			],
+		]);
+
+		surround.setPosition(1, 2, 0.75, 0.5);
+		await dbscene.updateGroupCue(group.uniqueID);
+		await wait(100);
+		assert.deepStrictEqual(cues()[1], [
+			'66 - Marjorie: 0.75, 0.5',
+			2,
+			'/dbaudio1/coordinatemapping/source_position_xy/1/2 0.75 0.5',
+		]);
+
+		await assert.rejects(dbscene.newCacheObj(129, 'Lisa'), /Object 129 is not in the object range/);
+		assert.throws(
+			() =>
+				new Dbscene(
+					{
+						qlab: { address: '127.0.0.1' },
+						ds100: {
+							defaultMapping: 1,
+							devices: [
+								{ address: '127.0.0.1', objects: [1, 64] },
+								{ address: '127.0.0.2', objects: [64, 127] },
+							],
+						},
+					},
+					{},
+					{ logger: {} }
+				),
+			/DS100 devices DS100 1 and DS100 2 have overlapping objects/
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([main.stop(), surround.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,104 @@
+const udp = require('dgram');
+const { once } = require('events');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const { toBuffer } = require('../lib/osc');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+test('discovery with enabledOnly keeps En-Scene inputs, whether or not they are muted', async () => {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+		},
+		{},
+		{ logger: {} }
+	);
+	try {
+		['Homer', 'Marjorie', 'Bartholomew'].forEach((name, index) =>
+			ds100.setInputValue('channelname', index + 1, name)
+		);
+		ds100.setInputValue('enscene', 2, 0);
+		ds100.setInputValue('mute', 3, 1);
+		await dbscene.start();
+
+		const names = () => dbscene.cache.map((cacheObj) => `${cacheObj.num} ${cacheObj.name}`);
+		await dbscene.discoverCache();
+		assert.deepStrictEqual(names(), ['1 Homer', '2 Marjorie', '3 Bartholomew']);
+
+		const result = await dbscene.discoverCache({ mode: 'replace', enabledOnly: true });
+		assert.deepStrictEqual(names(), ['1 Homer', '3 Bartholomew']);
+		assert.deepStrictEqual(
+			result.removed.map((cacheObj) => cacheObj.num),
+			[2]
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
+
+test('/dbscene/discover adds and renames from the input names, and keeps the objects of a DS100 which did not answer', async () => {
+	const main = await new DS100Simulator({ port: 0 }).start();
+	// Nothing answers on the port of the second DS100
+	const offline = await new DS100Simulator({ port: 0 }).start();
+	const offlinePort = offline.server.address().port;
+	await offline.stop();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: {
+				defaultMapping: 1,
+				timeout: 100,
+				devices: [
+					{ name: 'Main', address: '127.0.0.1', port: main.server.address().port, objects: [1, 3] },
+					{ name: 'Surround', address: '127.0.0.1', port: offlinePort, objects: [65, 66] },
+				],
+			},
+		},
+		{ 1: 'Homer', 65: 'Lisa' },
+		{ logger: {} }
+	);
+	const socket = udp.createSocket('udp4');
+	try {
+		main.setInputValue('channelname', 1, 'Homer J.');
+		main.setInputValue('channelname', 2, 'Marjorie');
+		await dbscene.start();
+
+		const discovered = once(dbscene, 'cacheDiscovered');
+		const buffer = toBuffer({
+			address: '/dbscene/discover',
+			args: [{ type: 'string', value: 'replace' }],
+		});
+		socket.send(buffer, 0, buffer.length, dbscene.dbServer.address().port, '127.0.0.1');
+		const [result] = await discovered;
+		assert.deepStrictEqual(
+			{
+				added: result.added.map((cacheObj) => cacheObj.num),
+				renamed: result.renamed.map(({ cacheObj, from }) => `${from} ${cacheObj.name}`),
+				removed: result.removed,
+				skipped: result.skipped,
+				timedOut: result.timedOut,
+			},
+			{ added: [2], renamed: ['Homer Homer J.'], removed: [], skipped: [3], timedOut: [65, 66] }
+		);
+		assert.deepStrictEqual(
+			dbscene.getCache().map((cacheObj) => `${cacheObj.num} ${cacheObj.name}`),
+			['1 Homer J.', '2 Marjorie', '65 Lisa']
+		);
+
+		main.handleMessage = () => {};
+		await assert.rejects(dbscene.discoverCache(), /No DS100 answered the discovery/);
+		await assert.rejects(dbscene.discoverCache({ mode: 'add' }), /must be "merge" or "replace"/);
+		assert.strictEqual(dbscene.getCache().length, 3);
+	} finally {
+		socket.close();
+		await dbscene.stop();
+		await Promise.all([main.stop(), qlab.stop()]);
+	}
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const { createMappingAreas, toMeters, toNormalized, isInside } = require('../lib/geometry');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Round the coordinates of a position, to compare computed and single-precision positions
+ * @param {{x: number, y: number}} position
+ * @returns {{x: number, y: number}}
+ */
+const round = ({ x, y }) => ({
+	x: Math.round(x * 1e6) / 1e6 + 0,
+	y: Math.round(y * 1e6) / 1e6 + 0,
+});
+
+test('positions convert between normalized and meters in any four-cornered mapping area', () => {
+	const stage = [
+		[-5, 0],
+		[5, 0],
+		[5, 8],
+		[-5, 8],
+	];
+	const rotated = [
+		[0, 0],
+		[0, 4],
+		[-2, 4],
+		[-2, 0],
+	];
+	const trapezoid = [
+		[-4, 0],
+		[4, 0],
+		[2, 6],
+		[-2, 6],
+	];
+	assert.deepStrictEqual(toMeters(stage, 0, 0), { x: -5, y: 0 });
+	assert.deepStrictEqual(toMeters(stage, 0.5, 0.25), { x: 0, y: 2 });
+	assert.deepStrictEqual(toMeters(rotated, 1, 0.5), { x: -1, y: 4 });
+	assert.deepStrictEqual(toMeters(trapezoid, 0.5, 1), { x: 0, y: 6 });
+	assert.deepStrictEqual(toMeters(trapezoid, 0, 0.5), { x: -3, y: 3 });
+
+	[stage, rotated, trapezoid].forEach((area) => {
+		[
+			[0, 0],
+			[1, 1],
+			[0.25, 0.75],
+			[0.9, 0.1],
+			[-0.5, 0.5],
+			[1.25, 1.5],
+		].forEach(([x, y]) => {
+			const meters = toMeters(area, x, y);
+			assert.deepStrictEqual(round(toNormalized(area, meters.x, meters.y)), { x, y });
+		});
+	});
+
+	const line = [
+		[0, 0],
+		[1, 1],
+		[2, 2],
+		[3, 3],
+	];
+	assert.strictEqual(toNormalized(line, 1, 0), null);
+	assert.deepStrictEqual(
+		[isInside(0, 1), isInside(0.5, 0.5), isInside(-0.01, 0.5), isInside(0.5, 1.01)],
+		[true, true, false, false]
+	);
+});
+
+test('mapping areas must be four corner points of mappings 1-4', () => {
+	assert.deepStrictEqual(createMappingAreas(), {});
+	const corners = [
+		[0, 0],
+		[1, 0],
+		[1, 1],
+		[0, 1],
+	];
+	assert.deepStrictEqual(createMappingAreas({ 2: corners }), { 2: corners });
+	assert.throws(() => createMappingAreas({ 5: corners }), /has no mapping 5, expected 1-4/);
+	assert.throws(
+		() => createMappingAreas({ 1: corners.slice(1) }, 'ds100.devices[1].mappingAreas'),
+		/ds100.devices\[1\].mappingAreas\[1\] must be four \[x, y\] corner points/
+	);
+	assert.throws(() => createMappingAreas({ 1: [...corners.slice(1), [0, '1']] }), /corner points/);
+	assert.throws(() => createMappingAreas(null), /ds100.mappingAreas must be an object/);
+});
+
+test('the cache holds positions in meters, and objects can be moved in meters', async () => {
+	const historyPath = `${__dirname}/.geometry-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: {
+				address: '127.0.0.1',
+				defaultMapping: 1,
+				mappingAreas: {
+					1: [
+						[-5, 0],
+						[5, 0],
+						[5, 8],
+						[-5, 8],
+					],
+				},
+			},
+			naming: { position: '{num} - {name}: {xm:1} m, {ym:1} m' },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		ds100.setPosition(1, 1, 0.25, 0.5);
+		const [homer] = dbscene.cache;
+		await dbscene.queryObjPos(homer, 1);
+		assert.deepStrictEqual([homer.xm, homer.ym], [-2.5, 4]);
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		assert.strictEqual(group.cues[0].name, '1 - Homer: -2.5 m, 4.0 m');
+
+		await dbscene.moveObject(1, 4, 2, { meters: true });
+		await wait(50);
+		assert.deepStrictEqual(round(ds100.getPosition(1, 1)), { x: 0.9, y: 0.25 });
+		await assert.rejects(
+			dbscene.moveObject(1, 1, 1, { meters: true, mapping: 2 }),
+			/The area of mapping 2 is not configured/
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('undo puts back what an audit repaired, including deleted duplicate cues', async () => {
+	const historyPath = `${__dirname}/.audit-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			audit: { path: null },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer', 2: 'Marjorie', 3: 'Bartholomew' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		const [homer, marjorie, bart] = group.cues;
+		homer.patch = 3;
+		marjorie.customString = marjorie.customString.replace('_xy', '');
+		[1, 3].forEach((index) => {
+			const duplicate = qlab.createCue('Network');
+			Object.assign(duplicate, {
+				name: `copy ${index}`,
+				patch: 1,
+				customString: bart.customString,
+			});
+			qlab.placeCue(duplicate, group, index);
+		});
+		const workspace = () =>
+			group.cues.map(({ name, patch, customString }) => [name, patch, customString]);
+		const before = workspace();
+
+		const report = await dbscene.auditWorkspace({ fix: true });
+		await wait(100);
+		assert.strictEqual(report.problems.filter((problem) => problem.fixed).length, 4);
+		assert.strictEqual(group.cues.length, 3);
+
+		const result = await dbscene.undo();
+		await wait(100);
+		assert.strictEqual(result.type, 'audit');
+		assert.deepStrictEqual([result.restored, result.recreated, result.skipped], [2, 2, []]);
+		assert.deepStrictEqual(workspace(), before);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
+
+test('the history survives a restart, and undo steps back through updates and creates', async () => {
+	const historyPath = `${__dirname}/.undo-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const config = {
+		qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0, reply: 0 },
+		ds100: { address: '127.0.0.1', defaultMapping: 1, reply: 0 },
+		history: { path: historyPath },
+	};
+	const cache = { 1: 'Homer', 2: 'Marjorie' };
+	const dbscene = new Dbscene(config, cache, { logger: {} });
+	const restarted = new Dbscene(config, cache, { logger: {} });
+	try {
+		[1, 2].forEach((num) => ds100.setPosition(1, num, 0.25, 0.75));
+		await dbscene.start();
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		const created = group.cues.map(({ name, customString }) => [name, customString]);
+
+		[1, 2].forEach((num) => ds100.setPosition(1, num, 0.5, 0.5));
+		qlab.selection = [group.uniqueID];
+		await dbscene.updateSelectedCues();
+		await wait(100);
+		// Changed by hand after the update
+		group.cues[1].customString = '/dbaudio1/coordinatemapping/source_position_xy/1/2 1 1';
+		await dbscene.stop();
+
+		await restarted.start();
+		const listed = await restarted.dbsceneHistory({ argsArr: [] });
+		assert.deepStrictEqual(
+			listed.map(({ id, type, cues: changed, undone }) => [id, type, changed, undone]),
+			[
+				[2, 'update', 2, null],
+				[1, 'create', 1, null],
+			]
+		);
+
+		const update = await restarted.undo();
+		await wait(100);
+		assert.deepStrictEqual(
+			[update.id, update.type, update.skipped.map((skipped) => skipped.cueID)],
+			[2, 'update', [group.cues[1].uniqueID]]
+		);
+		assert.strictEqual(group.cues[0].customString, created[0][1]);
+		assert.strictEqual(group.cues[0].name, created[0][0]);
+		assert.strictEqual(
+			group.cues[1].customString,
+			'/dbaudio1/coordinatemapping/source_position_xy/1/2 1 1'
+		);
+		assert.strictEqual(typeof (await restarted.listHistory())[1].undone, 'string');
+
+		const create = await restarted.undo();
+		await wait(100);
+		assert.deepStrictEqual([create.id, create.type, create.deleted], [1, 'create', 1]);
+		assert.strictEqual(qlab.cues.has(group.uniqueID), false);
+		await assert.rejects(restarted.undo(), /There is nothing to undo/);
+	} finally {
+		await Promise.all([dbscene.stop(), restarted.stop()]);
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
+
+test('only the newest history.limit operations are kept', async () => {
+	const historyPath = `${__dirname}/.limit-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			history: { path: historyPath, limit: 2 },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		const groupCueIDs = [];
+		// eslint-disable-next-line no-restricted-syntax
+		for (const mapping of [1, 2, 3]) {
+			// eslint-disable-next-line no-await-in-loop
+			groupCueIDs.push(await dbscene.createDbscene(mapping));
+		}
+		assert.deepStrictEqual(
+			(await dbscene.listHistory()).map(({ id, description }) => `${id} ${description}`),
+			groupCueIDs.slice(1).map((id, index) => `${index + 2} /dbscene/create created group ${id}`)
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('create records the positions of its own mapping while the monitor polls another', async () => {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			monitor: { enabled: true, interval: 20, mapping: 1 },
+			history: { path: `${__dirname}/.monitor-history.json` },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' }
+	);
+	try {
+		[1, 2].forEach((num) => {
+			ds100.setPosition(1, num, 0.25, 0.25);
+			ds100.setPosition(2, num, 0.75, 0.75);
+		});
+		await dbscene.start();
+		await wait(100);
+
+		// Answers to the monitor's polls land between create's queries and the cues being built
+		const buildDbscene = dbscene.buildDbscene.bind(dbscene);
+		dbscene.buildDbscene = async (...args) => {
+			await dbscene.queryAllObjPos(dbscene.monitor.mapping);
+			return buildDbscene(...args);
+		};
+
+		const groupCueID = await dbscene.createDbscene(2);
+		await wait(100);
+		const messages = qlab.cues
+			.get(groupCueID)
+			.cues.map((cue) => cue.customString)
+			.sort();
+		assert.deepStrictEqual(messages, [
+			'/dbaudio1/coordinatemapping/source_position_xy/2/1 0.75 0.75',
+			'/dbaudio1/coordinatemapping/source_position_xy/2/2 0.75 0.75',
+		]);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(`${__dirname}/.monitor-history.json`, { force: true });
+	}
+});
+
+test('an object removed from the cache starts afresh when it is added again', async () => {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1, timeout: 50, retryInterval: 20 },
+			monitor: { enabled: true, interval: 40, misses: 2 },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' },
+		{ logger: {} }
+	);
+	// Object 2 does not answer while it is silent
+	let silent = true;
+	const handleMessage = ds100.handleMessage.bind(ds100);
+	ds100.handleMessage = (msg, rinfo) => {
+		if (!(silent && msg.toString().includes('/1/2'))) handleMessage(msg, rinfo);
+	};
+	const events = [];
+	['objectUnreachable', 'objectReachable'].forEach((event) =>
+		dbscene.on(event, ({ num }) => events.push(`${event} ${num}`))
+	);
+	try {
+		await dbscene.start();
+		await wait(400);
+		assert.deepStrictEqual(events, ['objectUnreachable 2']);
+
+		dbscene.removeCacheObj(2);
+		silent = false;
+		await dbscene.newCacheObj(2, 'Marjorie');
+		await wait(200);
+		assert.deepStrictEqual(events, ['objectUnreachable 2']);
+		assert.strictEqual(dbscene.monitor.unreachable.size, 0);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
+
+test('the monitor reports moves beyond the deadband, and a DS100 going offline and back', async () => {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1, timeout: 50, retryInterval: 20 },
+			monitor: { interval: 40, deadband: 0.01, misses: 2 },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' },
+		{ logger: {} }
+	);
+	let silent = false;
+	const handleMessage = ds100.handleMessage.bind(ds100);
+	ds100.handleMessage = (msg, rinfo) => {
+		if (!silent) handleMessage(msg, rinfo);
+	};
+	const events = [];
+	dbscene.on('objectMoved', ({ num, mapping, from, to }) =>
+		events.push(`objectMoved ${num} ${mapping} ${from.x},${from.y} ${to.x},${to.y}`)
+	);
+	['objectUnreachable', 'objectReachable'].forEach((event) =>
+		dbscene.on(event, ({ num }) => events.push(`${event} ${num}`))
+	);
+	['ds100Offline', 'ds100Online'].forEach((event) =>
+		dbscene.on(event, (device) => events.push(`${event} ${device.name}`))
+	);
+	try {
+		ds100.setPosition(1, 1, 0.25, 0.25);
+		ds100.setPosition(1, 2, 0.5, 0.5);
+		await dbscene.start();
+		assert.strictEqual(dbscene.monitor.running, false);
+		dbscene.startMonitor();
+		await wait(100);
+		assert.deepStrictEqual(events, []);
+
+		ds100.setPosition(1, 1, 0.255, 0.25);
+		ds100.setPosition(1, 2, 0.5, 0.75);
+		await wait(100);
+		assert.deepStrictEqual(events, ['objectMoved 2 1 0.5,0.5 0.5,0.75']);
+
+		events.length = 0;
+		silent = true;
+		await wait(400);
+		// Offline only once both objects are unreachable
+		assert.deepStrictEqual(events.slice(0, 2).sort(), [
+			'objectUnreachable 1',
+			'objectUnreachable 2',
+		]);
+		assert.deepStrictEqual(events.slice(2), ['ds100Offline DS100']);
+
+		events.length = 0;
+		silent = false;
+		await wait(200);
+		assert.deepStrictEqual(events.sort(), [
+			'ds100Online DS100',
+			'objectReachable 1',
+			'objectReachable 2',
+		]);
+
+		dbscene.stopMonitor();
+		await wait(100);
+		events.length = 0;
+		ds100.setPosition(1, 1, 1, 1);
+		await wait(100);
+		assert.deepStrictEqual(events, []);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
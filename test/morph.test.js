@@ -0,0 +1,100 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const { checkMorphOptions, morphSteps } = require('../lib/morph');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('morph steps are spread evenly over the duration and eased along the curve', () => {
+	const options = checkMorphOptions({ steps: '4', duration: '2' });
+	assert.deepStrictEqual(options, { steps: 4, duration: 2, curve: 'linear', exclude: [] });
+	assert.deepStrictEqual(morphSteps({ x: 0, y: 1 }, { x: 1, y: 0.5 }, options), [
+		{ step: 1, preWait: 0.5, x: 0.25, y: 0.875 },
+		{ step: 2, preWait: 1, x: 0.5, y: 0.75 },
+		{ step: 3, preWait: 1.5, x: 0.75, y: 0.625 },
+		{ step: 4, preWait: 2, x: 1, y: 0.5 },
+	]);
+	assert.deepStrictEqual(
+		morphSteps({ x: 0, y: 0 }, { x: 1, y: 1 }, { ...options, steps: 2, curve: 'easein' }).map(
+			({ x }) => x
+		),
+		[0.25, 1]
+	);
+
+	assert.throws(() => checkMorphOptions({ steps: 0, duration: 1 }), /must be 1 or more/);
+	assert.throws(() => checkMorphOptions({ steps: 2, duration: -1 }), /must be 0 or more seconds/);
+	assert.throws(() => checkMorphOptions({ steps: 2, duration: 1, curve: 'bounce' }), /bounce/);
+});
+
+test('/dbscene/morph builds timed position cues between two dbscenes, and can be undone', async () => {
+	const historyPath = `${__dirname}/.morph-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer', 2: 'Marjorie', 3: 'Bartholomew' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		const create = async (name, x) => {
+			[1, 2, 3].forEach((num) => ds100.setPosition(1, num, x, 0.5));
+			qlab.selection = [];
+			const group = qlab.cues.get(await dbscene.createDbscene(1));
+			group.name = name;
+			return group;
+		};
+		const act1 = await create('dbscene: Act 1', 0);
+		const act2 = await create('dbscene: Act 2', 1);
+		await wait(100);
+		qlab.deleteCue(act2.cues[2]);
+
+		qlab.selection = [act1.uniqueID];
+		await assert.rejects(
+			dbscene.dbsceneMorph({ argsArr: [2, 1] }),
+			/Select the two dbscenes to morph between; 1 are selected/
+		);
+
+		qlab.selection = [act1.uniqueID, act2.uniqueID];
+		const result = await dbscene.dbsceneMorph({ argsArr: [2, 1, 'exclude=2'] });
+		const { groupCueID, ...summary } = result;
+		assert.deepStrictEqual(summary, {
+			name: 'morph: Act 1 to Act 2',
+			steps: 2,
+			duration: 1,
+			curve: 'linear',
+			objects: [1],
+			skipped: [
+				{ num: 2, reason: 'excluded' },
+				{ num: 3, reason: 'not in "dbscene: Act 2"' },
+			],
+			cues: 2,
+		});
+		await wait(100);
+		const morph = qlab.cues.get(groupCueID);
+		assert.deepStrictEqual([morph.name, morph.mode], ['morph: Act 1 to Act 2', 3]);
+		assert.deepStrictEqual(
+			morph.cues.map(({ preWait, customString }) => [preWait, customString]),
+			[
+				[0.5, '/dbaudio1/coordinatemapping/source_position_xy/1/1 0.5 0.5'],
+				[1, '/dbaudio1/coordinatemapping/source_position_xy/1/1 1 0.5'],
+			]
+		);
+
+		await dbscene.undo();
+		await wait(100);
+		assert.strictEqual(qlab.cues.has(groupCueID), false);
+		assert.strictEqual(qlab.cues.has(act2.uniqueID), true);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const { createNaming, formatName, refreshName } = require('../lib/naming');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('naming templates fill in tokens and refresh only the coordinates of existing names', () => {
+	const values = { num: 3, name: 'Bart', mapping: 2, x: 0.123456, y: 0.5, xm: -1.5, ym: 2 };
+	assert.strictEqual(formatName('{num} - {name}: {x}, {y}', values), '3 - Bart: 0.123456, 0.5');
+	assert.strictEqual(formatName('{name} {x:2}/{y} m{mapping}', values, 3), 'Bart 0.12/0.500 m2');
+	assert.strictEqual(formatName('{name} ({xm}, {ym})', { ...values, xm: null }), 'Bart (, 2)');
+
+	const template = '{num} - {name}: {x:2}, {y:2} in {mapping}';
+	const moved = { ...values, name: 'Bartholomew', x: 0.25, y: 0.75, mapping: 3 };
+	assert.strictEqual(
+		refreshName('Enter: 3 - Bart DSL: 0.12, 0.50 in 2 (fast)', template, moved),
+		'Enter: 3 - Bart DSL: 0.25, 0.75 in 3 (fast)'
+	);
+	assert.strictEqual(
+		refreshName('3 - Bart: spread 0.5', '{num} - {name}: {parameter} {value}', {
+			value: 0.75,
+		}),
+		'3 - Bart: spread 0.75'
+	);
+	assert.strictEqual(refreshName('Bart enters', template, moved), null);
+
+	assert.deepStrictEqual(createNaming({ precision: '2' }), {
+		group: 'dbscene: {name}',
+		position: '{num} - {name}: {x}, {y}',
+		parameter: '{num} - {name}: {parameter} {value}',
+		morph: 'morph: {from} to {to}',
+		precision: 2,
+	});
+	assert.throws(() => createNaming({ group: 'scene: {name}' }), /must start with "dbscene:"/);
+	assert.throws(() => createNaming({ morph: 'dbscene: morph' }), /must not start with "dbscene:"/);
+	assert.throws(
+		() => createNaming({ position: '{num} {value}' }),
+		/cannot use the token \{value\}/
+	);
+	assert.throws(
+		() => createNaming({ position: '{name:2}' }),
+		/cannot set the precision of \{name\}/
+	);
+	assert.throws(() => createNaming({ precision: 30 }), /naming.precision must be 0-20/);
+});
+
+test('cues are named from the templates, and updates keep what the operator typed', async () => {
+	const historyPath = `${__dirname}/.naming-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			naming: { group: 'dbscene: {name} in {mapping}', position: '{name} @ {x:2}/{y:2}' },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		ds100.setPosition(1, 1, 0.25, 0.125);
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		const names = () => group.cues.map((cue) => cue.name);
+		assert.strictEqual(group.name, 'dbscene:  in 1');
+		assert.deepStrictEqual(names(), ['Homer @ 0.25/0.13', 'Marjorie @ 0.50/0.50']);
+
+		group.cues[0].name = 'Homer enters @ 0.25/0.13 (DSL)';
+		group.cues[1].name = 'Marjorie exits';
+		ds100.setPosition(1, 1, 0.75, 0.5);
+		ds100.setPosition(1, 2, 0.5, 0.25);
+		await dbscene.updateGroupCue(group.uniqueID);
+		await wait(100);
+		assert.deepStrictEqual(names(), ['Homer enters @ 0.75/0.50 (DSL)', 'Marjorie @ 0.50/0.25']);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
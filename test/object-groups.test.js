@@ -0,0 +1,111 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a dbscene of an object group records and updates only the objects in the group', async () => {
+	const historyPath = `${__dirname}/.object-groups-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			history: { path: historyPath },
+		},
+		{
+			1: 'Homer',
+			2: { name: 'Guitar', groups: ['band'] },
+			3: { name: 'Drums', groups: ['band', 'loud'] },
+		},
+		{ logger: {} }
+	);
+	try {
+		[1, 2, 3].forEach((num) => ds100.setPosition(1, num, 0.25, 0.25));
+		await dbscene.start();
+		assert.deepStrictEqual(dbscene.listGroups(), ['band', 'loud']);
+		assert.deepStrictEqual(
+			dbscene.getGroupObjects('loud').map((cacheObj) => cacheObj.num),
+			[3]
+		);
+		assert.throws(
+			() => dbscene.getGroupObjects('choir'),
+			/No cache objects are in the object group "choir"/
+		);
+		assert.throws(() => dbscene.setCacheObjGroups(1, ['2nd violins']), /start with a letter/);
+		assert.throws(() => dbscene.setCacheObjGroups(9, ['band']), /Cache object 9 does not exist/);
+
+		const group = qlab.cues.get(await dbscene.createDbscene(1, 'band'));
+		await wait(100);
+		const cues = () => group.cues.map(({ customString }) => customString);
+		assert.deepStrictEqual([group.name, group.notes], ['dbscene: band', 'dbscene group: band']);
+		assert.deepStrictEqual(cues(), [
+			'/dbaudio1/coordinatemapping/source_position_xy/1/2 0.25 0.25',
+			'/dbaudio1/coordinatemapping/source_position_xy/1/3 0.25 0.25',
+		]);
+
+		// The drums leave the band, so the dbscene no longer updates them
+		dbscene.setCacheObjGroups(3, ['loud']);
+		[1, 2, 3].forEach((num) => ds100.setPosition(1, num, 0.75, 0.75));
+		qlab.selection = [group.uniqueID];
+		await dbscene.updateSelectedCues();
+		await wait(100);
+		assert.deepStrictEqual(cues(), [
+			'/dbaudio1/coordinatemapping/source_position_xy/1/2 0.75 0.75',
+			'/dbaudio1/coordinatemapping/source_position_xy/1/3 0.25 0.25',
+		]);
+
+		const everyone = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		[1, 2, 3].forEach((num) => ds100.setPosition(1, num, 0.5, 0.5));
+		qlab.selection = [everyone.uniqueID];
+		await dbscene.dbsceneUpdate({ argsArr: ['loud'] });
+		await wait(100);
+		assert.deepStrictEqual(
+			everyone.cues.map(({ customString }) => customString.split(' ').slice(1).join(' ')),
+			['0.75 0.75', '0.75 0.75', '0.5 0.5']
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
+
+test('object groups in the cache are checked, and can be set over OSC', async () => {
+	assert.throws(
+		() =>
+			new Dbscene(
+				{
+					qlab: { address: '127.0.0.1', ds100Patch: 1 },
+					ds100: { address: '127.0.0.1', defaultMapping: 1 },
+				},
+				{ 1: { name: 'Homer', groups: ['the family'] } },
+				{ logger: {} }
+			),
+		/received "the family"/
+	);
+
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+		},
+		{ 1: 'Homer', 2: { name: 'Marjorie', groups: ['family'] } },
+		{ logger: {} }
+	);
+	const updated = [];
+	dbscene.on('cacheUpdated', (cacheObj) => updated.push(`${cacheObj.num} ${cacheObj.groups}`));
+	dbscene.dbsceneCacheGroups({ argsArr: [1, 'family', 'family', 'work'] });
+	dbscene.dbsceneCacheGroups({ argsArr: [2] });
+	assert.deepStrictEqual(updated, ['1 family,work', '2 ']);
+	assert.deepStrictEqual(dbscene.listGroups(), ['family', 'work']);
+	assert.throws(
+		() => dbscene.dbsceneCacheGroups({ argsArr: [] }),
+		/\/dbscene\/cache\/groups requires an object number/
+	);
+});
@@ -0,0 +1,114 @@
+const udp = require('dgram');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const { fromBuffer, toBuffer } = require('../lib/osc');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+/**
+ * Send a dbscene OSC method and wait for its reply
+ * @param {number} port The port of the DS100 server
+ * @param {string} address
+ * @param {Array} [args] Numbers are sent as ints, anything else as strings
+ * @returns {Promise<Object>} The JSON of the reply, { address, status, data }
+ */
+async function call(port, address, args = []) {
+	const socket = udp.createSocket('udp4');
+	try {
+		return await new Promise((resolve, reject) => {
+			const timer = setTimeout(() => reject(new Error(`No reply to ${address}`)), 1000);
+			socket.on('error', reject);
+			socket.on('message', (msg) => {
+				clearTimeout(timer);
+				const reply = fromBuffer(msg);
+				if (reply.address === `/reply${address}`) resolve(JSON.parse(reply.argsArr[0]));
+				else reject(new Error(`Unexpected reply ${reply.address}`));
+			});
+			const buffer = toBuffer({
+				address,
+				args: args.map((value) =>
+					typeof value === 'number' ? { type: 'integer', value } : { type: 'string', value }
+				),
+			});
+			socket.send(buffer, 0, buffer.length, port, '127.0.0.1');
+		});
+	} finally {
+		socket.close();
+	}
+}
+
+test('the cache OSC methods reply to the sender with their result or error', async () => {
+	const ds100 = await new DS100Simulator({ objects: 3 }).start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1, timeout: 100 },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	try {
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		ds100.setPosition(1, 2, 0.5, 0.125);
+		await dbscene.start();
+		const { port } = dbscene.dbServer.address();
+
+		const added = await call(port, '/dbscene/cache/add', [2, 'Marjorie', 'Bouvier']);
+		assert.deepStrictEqual(
+			[added.address, added.status, added.data.num, added.data.name],
+			['/dbscene/cache/add', 'ok', 2, 'Marjorie Bouvier']
+		);
+		assert.deepStrictEqual(await call(port, '/dbscene/cache/add', [2, 'Marge']), {
+			address: '/dbscene/cache/add',
+			status: 'error',
+			data: 'Cache object 2 already exists',
+		});
+		assert.deepStrictEqual(await call(port, '/dbscene/cache/add', [4]), {
+			address: '/dbscene/cache/add',
+			status: 'error',
+			data: '/dbscene/cache/add requires an object number and name',
+		});
+
+		const renamed = await call(port, '/dbscene/cache/rename', [2, 'Marge']);
+		assert.deepStrictEqual([renamed.status, renamed.data.name], ['ok', 'Marge']);
+
+		const queried = await call(port, '/dbscene/query', [2]);
+		assert.deepStrictEqual(
+			[
+				queried.status,
+				queried.data.objects.map(({ num, x, y }) => [num, x, y]),
+				queried.data.timedOut,
+			],
+			['ok', [[2, 0.5, 0.125]], []]
+		);
+		assert.strictEqual((await call(port, '/dbscene/query', [9])).status, 'error');
+
+		// Object 4 is not in the simulator, so never answers
+		await call(port, '/dbscene/cache/add', [4, 'Bart']);
+		const all = await call(port, '/dbscene/query');
+		assert.deepStrictEqual(
+			[all.data.objects.map(({ num }) => num), all.data.timedOut],
+			[[1, 2, 4], [4]]
+		);
+
+		const list = await call(port, '/dbscene/cache/list');
+		assert.deepStrictEqual(
+			list.data.map(({ num, name }) => `${num} ${name}`),
+			['1 Homer', '2 Marge', '4 Bart']
+		);
+
+		const removed = await call(port, '/dbscene/cache/remove', [4]);
+		assert.deepStrictEqual([removed.status, removed.data.num], ['ok', 4]);
+		assert.deepStrictEqual(await call(port, '/dbscene/cache/remove', [4]), {
+			address: '/dbscene/cache/remove',
+			status: 'error',
+			data: 'Cache object 4 does not exist',
+		});
+		assert.strictEqual(dbscene.getCache().length, 2);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('dbscenes capture spread, delay mode and En-Space send, and update them from the DS100', async () => {
+	const historyPath = `${__dirname}/.parameters-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: {
+				address: '127.0.0.1',
+				defaultMapping: 1,
+				parameters: ['spread', 'delaymode', 'reverbsendgain'],
+			},
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		ds100.setParameterValue('spread', 1, 0.75);
+		ds100.setParameterValue('delaymode', 1, 2);
+		ds100.setParameterValue('reverbsendgain', 1, -6);
+
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		const cues = () => group.cues.map(({ name, customString }) => [name, customString]);
+		assert.deepStrictEqual(cues(), [
+			['1 - Homer: 0.25, 0.75', '/dbaudio1/coordinatemapping/source_position_xy/1/1 0.25 0.75'],
+			['1 - Homer: spread 0.75', '/dbaudio1/positioning/source_spread/1 0.75'],
+			['1 - Homer: delaymode 2', '/dbaudio1/positioning/source_delaymode/1 2'],
+			['1 - Homer: reverbsendgain -6', '/dbaudio1/matrixinput/reverbsendgain/1 -6'],
+		]);
+		const [homer] = dbscene.cache;
+		assert.deepStrictEqual([homer.spread, homer.delaymode, homer.reverbsendgain], [0.75, 2, -6]);
+
+		ds100.setParameterValue('spread', 1, 0.25);
+		ds100.setParameterValue('delaymode', 1, 0);
+		await dbscene.updateGroupCue(group.uniqueID);
+		await wait(100);
+		assert.deepStrictEqual(cues().slice(1, 3), [
+			['1 - Homer: spread 0.25', '/dbaudio1/positioning/source_spread/1 0.25'],
+			['1 - Homer: delaymode 0', '/dbaudio1/positioning/source_delaymode/1 0'],
+		]);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
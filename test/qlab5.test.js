@@ -0,0 +1,70 @@
+const fs = require('fs');
+const { once } = require('events');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('dbscenes are built in a passcode-protected QLab 5 workspace', async () => {
+	const historyPath = `${__dirname}/.qlab5-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator({ version: 5, passcode: '1234' }).start();
+	// Each dbscene listens on ports of its own
+	const config = (qlabConfig) => ({
+		qlab: {
+			address: '127.0.0.1',
+			reply: 0,
+			ds100Patch: 2,
+			defaultDuration: 0,
+			version: 5,
+			...qlabConfig,
+		},
+		ds100: { address: '127.0.0.1', reply: 0, defaultMapping: 1 },
+		history: { path: historyPath },
+	});
+	const errors = [];
+	const logger = { error: (message) => errors.push(message) };
+	const dbscene = new Dbscene(config({ passcode: '1234' }), { 1: 'Homer' }, { logger: {} });
+	const refused = new Dbscene(config({ passcode: '4321' }), {}, { logger });
+	const missing = new Dbscene(config({ passcode: '1234', workspaceID: 'MISSING' }), {}, { logger });
+	try {
+		const addresses = [];
+		qlab.on('message', (oscMessage) => addresses.push(oscMessage.address));
+		const connected = once(dbscene, 'qlabConnected');
+		await dbscene.start();
+		assert.deepStrictEqual(await connected, [qlab.workspaceID]);
+
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		const [cue] = group.cues;
+		assert.strictEqual(cue.networkPatchNumber, 2);
+		assert.deepStrictEqual(cue.parameterValues, [
+			'/dbaudio1/coordinatemapping/source_position_xy/1/1 0.25 0.75',
+		]);
+		assert.strictEqual(await dbscene.fetchCueMessage(cue.uniqueID), cue.parameterValues[0]);
+		// Only the workspace list is asked for outside the workspace
+		assert.strictEqual(addresses[0], '/workspaces');
+		assert.deepStrictEqual(
+			addresses
+				.slice(1)
+				.filter((address) => !address.startsWith(`/workspace/${qlab.workspaceID}/`)),
+			[]
+		);
+
+		// Connecting is not part of start(); a refusal is logged
+		await Promise.all([refused.start(), missing.start()]);
+		await wait(100);
+		assert.deepStrictEqual(errors.sort(), [
+			`QLab refused the connection to workspace ${qlab.workspaceID}: badpass`,
+			'QLab replied with status "error" for /connect',
+		]);
+	} finally {
+		await Promise.all([dbscene.stop(), refused.stop(), missing.stop()]);
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start the simulators and a dbscene with five objects, recording the position queries the DS100 receives
+ * @param {Object} ds100Config Settings added to the ds100 config
+ * @returns {Promise<Object>} { ds100, qlab, dbscene, received }, where received lists { num, time, answer() } for each query,
+ * which the simulator only answers when answer() is called
+ */
+async function setup(ds100Config) {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1, ...ds100Config },
+		},
+		{ 1: 'Homer', 2: 'Marjorie', 3: 'Bartholomew', 4: 'Lisa', 5: 'Margaret' },
+		{ logger: {} }
+	);
+	await dbscene.start();
+	const received = [];
+	const handleMessage = ds100.handleMessage.bind(ds100);
+	ds100.handleMessage = (msg, rinfo) => {
+		const match = msg.toString().match(/source_position_xy\/1\/(\d+)/);
+		if (!match) {
+			handleMessage(msg, rinfo);
+			return;
+		}
+		const query = { num: parseInt(match[1]), time: Date.now(), answered: false };
+		query.answer = () => {
+			query.answered = true;
+			handleMessage(msg, rinfo);
+		};
+		received.push(query);
+	};
+	return { ds100, qlab, dbscene, received };
+}
+
+test('position queries share one request per object, and at most concurrency await a reply', async () => {
+	const { ds100, qlab, dbscene, received } = await setup({ concurrency: 2, retryInterval: 1000 });
+	try {
+		const [homer, marjorie] = dbscene.cache;
+		const queries = [
+			dbscene.queryObjPos(homer, 1),
+			dbscene.queryObjPos(homer, 1),
+			dbscene.queryAllObjPos(1),
+		];
+		await wait(50);
+		assert.deepStrictEqual(
+			received.map(({ num }) => num),
+			[1, 2]
+		);
+		assert.strictEqual(dbscene.dbQueries.size, 5);
+
+		// Each reply makes room for the next query
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		received[1].answer();
+		await wait(50);
+		assert.deepStrictEqual(
+			received.map(({ num }) => num),
+			[1, 2, 3]
+		);
+		while (dbscene.dbQueries.size > 0) {
+			received.filter((query) => !query.answered).forEach((query) => query.answer());
+			// eslint-disable-next-line no-await-in-loop
+			await wait(20);
+		}
+
+		const [first, second, results] = await Promise.all(queries);
+		assert.strictEqual(first, second);
+		const position = (cacheObj) => {
+			const { x, y } = dbscene.cacheObjAt(cacheObj, 1);
+			return { x, y };
+		};
+		assert.deepStrictEqual(position(first), { x: 0.25, y: 0.75 });
+		assert.deepStrictEqual(position(marjorie), { x: 0.5, y: 0.5 });
+		assert.deepStrictEqual(
+			results.map((result) => result.status),
+			Array(5).fill('resolved')
+		);
+		assert.deepStrictEqual(
+			received.map(({ num }) => num),
+			[1, 2, 3, 4, 5]
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
+
+test('an unanswered position query is re-sent at growing intervals until it times out', async () => {
+	const { ds100, qlab, dbscene, received } = await setup({
+		retryInterval: 40,
+		backoff: 2,
+		timeout: 500,
+	});
+	try {
+		const results = await dbscene.queryAllObjPos(1, [dbscene.cache[1]]);
+		assert.strictEqual(results[0].status, 'timedOut');
+		assert.match(results[0].error.message, /DS100 OSC reply timeout for 1\/2/);
+
+		// Sent at 0, 40, 120 and 280 ms; the next re-send would be after the timeout
+		const gaps = received.slice(1).map((query, index) => query.time - received[index].time);
+		assert.strictEqual(received.length, 4);
+		[40, 80, 160].forEach((interval, index) =>
+			assert.ok(gaps[index] >= interval - 5, `re-sent after ${gaps[index]} ms, not ${interval}`)
+		);
+		assert.strictEqual(dbscene.dbQueries.size, 0);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
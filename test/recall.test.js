@@ -0,0 +1,195 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const fade = require('../lib/fade');
+const { getCurve } = require('../lib/curves');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start the simulators and a dbscene with mapping areas for mappings 1 and 2
+ * @param {string} libraryPath The scene library file
+ * @returns {Promise<Object>} { ds100, qlab, dbscene, sent }, where sent lists the messages sent to the DS100
+ */
+async function setup(libraryPath) {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: {
+				address: '127.0.0.1',
+				defaultMapping: 1,
+				parameters: ['spread', 'delaymode'],
+				mappingAreas: {
+					1: [
+						[0, 0],
+						[4, 0],
+						[4, 4],
+						[0, 4],
+					],
+					2: [
+						[0, 0],
+						[8, 0],
+						[8, 8],
+						[0, 8],
+					],
+				},
+			},
+			library: { path: libraryPath },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	const sent = [];
+	const sendToDS100 = dbscene.sendToDS100.bind(dbscene);
+	dbscene.sendToDS100 = (message, device) => {
+		sent.push(message);
+		return sendToDS100(message, device);
+	};
+	await dbscene.start();
+	return { ds100, qlab, dbscene, sent };
+}
+
+test('a scene recalled in another mapping lands where it was saved', async () => {
+	const libraryPath = `${__dirname}/.recall-mapping-library.json`;
+	const { ds100, qlab, dbscene } = await setup(libraryPath);
+	try {
+		ds100.setPosition(1, 1, 0.5, 0.25);
+		await dbscene.saveScene('Act 1', 1);
+
+		await dbscene.recallScene('Act 1', { mapping: 2 });
+		await wait(50);
+		assert.deepStrictEqual(ds100.getPosition(2, 1), { x: 0.25, y: 0.125 });
+
+		await assert.rejects(
+			dbscene.recallScene('Act 1', { mapping: 3 }),
+			/The area of mapping 3 is not configured/
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(libraryPath, { force: true });
+	}
+});
+
+test('a recall fade starts from the parameters on the DS100, not those in the cache', async () => {
+	const libraryPath = `${__dirname}/.recall-fade-library.json`;
+	const { ds100, qlab, dbscene, sent } = await setup(libraryPath);
+	try {
+		ds100.setParameterValue('spread', 1, 0.5);
+		await dbscene.saveScene('Act 1', 1);
+		// Changed on the DS100 since the scene was saved, so the cache still has 0.5
+		ds100.setParameterValue('spread', 1, 0.25);
+
+		assert.strictEqual(await dbscene.recallScene('Act 1', { time: 0.1 }), true);
+		const spreads = sent
+			// Queries have no arguments
+			.filter(
+				(message) =>
+					message.address === '/dbaudio1/positioning/source_spread/1' && message.args.length > 0
+			)
+			.map((message) => message.args[0].value);
+		assert.ok(spreads[0] < 0.3, `the fade started at ${spreads[0]}`);
+		assert.strictEqual(spreads[spreads.length - 1], 0.5);
+		await wait(50);
+		assert.strictEqual(ds100.getParameterValue('spread', 1), 0.5);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(libraryPath, { force: true });
+	}
+});
+
+test('fades run their frames along the curve, end at exactly 1 and can be cancelled', async () => {
+	assert.deepStrictEqual(
+		['linear', 'S-curve', 'easeIn', 'ease out'].map((name) => getCurve(name)(0.5).toFixed(6)),
+		['0.500000', '0.500000', '0.250000', '0.750000']
+	);
+	assert.throws(() => getCurve('bounce'), /Unknown curve "bounce"/);
+
+	const frames = [];
+	const completed = await fade({
+		duration: 100,
+		curve: 'easein',
+		frameInterval: 10,
+		onFrame: (progress) => frames.push(progress),
+	}).promise;
+	assert.strictEqual(completed, true);
+	assert.ok(frames.length >= 3, `only ${frames.length} frames`);
+	assert.deepStrictEqual(
+		frames.slice(1),
+		frames.slice(1).sort((a, b) => a - b)
+	);
+	assert.strictEqual(frames[frames.length - 1], 1);
+
+	const instant = [];
+	assert.strictEqual(await fade({ duration: 0, onFrame: (p) => instant.push(p) }).promise, true);
+	assert.deepStrictEqual(instant, [1]);
+
+	const cancelled = [];
+	const running = fade({ duration: 1000, onFrame: (p) => cancelled.push(p) });
+	running.cancel();
+	assert.strictEqual(await running.promise, false);
+	assert.strictEqual(cancelled.length, 1);
+});
+
+test('a recall fades positions and spread on the DS100, and a new recall stops the one in progress', async () => {
+	const libraryPath = `${__dirname}/.recall-stop-library.json`;
+	const { ds100, qlab, dbscene } = await setup(libraryPath);
+	try {
+		ds100.setPosition(1, 1, 1, 1);
+		ds100.setParameterValue('spread', 1, 1);
+		ds100.setParameterValue('delaymode', 1, 2);
+		await dbscene.saveScene('Act 1', 1);
+		ds100.setPosition(1, 1, 0, 0);
+		ds100.setParameterValue('spread', 1, 0);
+		ds100.setParameterValue('delaymode', 1, 0);
+		await dbscene.saveScene('Act 2', 1);
+
+		const positions = [];
+		const delaymodes = [];
+		ds100.on('positionSet', ({ x }) => positions.push(x));
+		ds100.on('parameterSet', ({ parameter, value }) => {
+			if (parameter === 'delaymode') delaymodes.push(value);
+		});
+		const events = [];
+		['recallStarted', 'recallComplete', 'recallStopped'].forEach((event) =>
+			dbscene.on(event, ({ name }) => events.push(`${event} ${name}`))
+		);
+
+		assert.strictEqual(await dbscene.recallScene('Act 1', { time: 0.2 }), true);
+		await wait(50);
+		assert.ok(positions.length >= 3, `only ${positions.length} positions were sent`);
+		assert.deepStrictEqual(
+			positions,
+			[...positions].sort((a, b) => a - b)
+		);
+		assert.deepStrictEqual([positions[0] < 0.5, positions[positions.length - 1]], [true, 1]);
+		assert.deepStrictEqual(delaymodes, [2]);
+		assert.strictEqual(ds100.getParameterValue('spread', 1), 1);
+
+		const first = dbscene.recallScene('Act 2', { time: 1 });
+		await wait(200);
+		const second = dbscene.recallScene('Act 1', { time: 0 });
+		assert.deepStrictEqual(await Promise.all([first, second]), [false, true]);
+		assert.strictEqual(dbscene.stopRecall(), false);
+		await wait(50);
+		assert.deepStrictEqual(ds100.getPosition(1, 1), { x: 1, y: 1 });
+		assert.deepStrictEqual(events, [
+			'recallStarted Act 1',
+			'recallComplete Act 1',
+			'recallStarted Act 2',
+			'recallStopped Act 2',
+			'recallStarted Act 1',
+			'recallComplete Act 1',
+		]);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(libraryPath, { force: true });
+	}
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const udp = require('dgram');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const { toBuffer } = require('../lib/osc');
+const { readRecording } = require('../lib/recorder');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('OSC traffic is recorded, and the packets received are replayed through dbscene', async () => {
+	const recordingPath = `${__dirname}/.recorder-osc.jsonl`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const config = {
+		qlab: { address: '127.0.0.1', ds100Patch: 1, reply: 0 },
+		ds100: { address: '127.0.0.1', defaultMapping: 1, reply: 0 },
+		recorder: { enabled: true, path: recordingPath },
+	};
+	const recorded = new Dbscene(config, { 1: 'Homer' }, { logger: {} });
+	const replayed = new Dbscene(
+		{ ...config, recorder: { path: recordingPath } },
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	const socket = udp.createSocket('udp4');
+	try {
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		await recorded.start();
+		assert.strictEqual(recorded.recorder.recording, true);
+		const added = new Promise((resolve) => recorded.once('cacheObjAdded', resolve));
+		const buffer = toBuffer({
+			address: '/dbscene/cache/add',
+			args: [
+				{ type: 'integer', value: 2 },
+				{ type: 'string', value: 'Marjorie' },
+			],
+		});
+		socket.send(buffer, 0, buffer.length, recorded.dbServer.address().port, '127.0.0.1');
+		await added;
+		await recorded.queryObjPos(recorded.getCacheObj(1), 1);
+		await wait(100);
+		await recorded.stop();
+
+		const packets = await readRecording(recordingPath);
+		const ds100Packets = packets
+			.filter((packet) => packet.server === 'ds100')
+			.map(({ direction, message }) => `${direction} ${message}`);
+		assert.ok(ds100Packets.includes('in /dbscene/cache/add 2 Marjorie'), ds100Packets);
+		assert.ok(
+			ds100Packets.includes('out /dbaudio1/coordinatemapping/source_position_xy/1/1'),
+			ds100Packets
+		);
+		assert.ok(
+			ds100Packets.includes('in /dbaudio1/coordinatemapping/source_position_xy/1/1 0.25 0.75'),
+			ds100Packets
+		);
+		assert.ok(packets.every((packet) => packet.peer.startsWith('127.0.0.1:')));
+
+		await replayed.start();
+		const complete = new Promise((resolve) => replayed.once('replayComplete', resolve));
+		const received = packets.filter((packet) => packet.direction === 'in');
+		assert.strictEqual(await replayed.replay(recordingPath, { speed: 0 }), received.length);
+		assert.deepStrictEqual(await complete, {
+			path: recordingPath,
+			replayed: received.length,
+			total: received.length,
+		});
+		await wait(100);
+		assert.deepStrictEqual(
+			replayed.getCache().map((cacheObj) => `${cacheObj.num} ${cacheObj.name}`),
+			['1 Homer', '2 Marjorie']
+		);
+		assert.strictEqual(replayed.cacheObjAt(replayed.getCacheObj(1), 1).x, 0.25);
+
+		assert.strictEqual(
+			await replayed.replay(recordingPath, { speed: 0, server: 'qlab' }),
+			received.filter((packet) => packet.server === 'qlab').length
+		);
+		await assert.rejects(
+			replayed.replay(recordingPath, { speed: -1 }),
+			/The replay speed must be 0 or more/
+		);
+	} finally {
+		socket.close();
+		await Promise.all([recorded.stop(), replayed.stop()]);
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(recordingPath, { force: true });
+	}
+});
+
+test('a replay keeps the recorded time between packets, and can be stopped between them', async () => {
+	const recordingPath = `${__dirname}/.recorder-replay.jsonl`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	const packet = (seconds, x) =>
+		JSON.stringify({
+			time: new Date(Date.UTC(2026, 0, 1, 20, 0, seconds)).toISOString(),
+			direction: 'in',
+			server: 'ds100',
+			peer: '127.0.0.1:50010',
+			message: null,
+			packet: toBuffer({
+				address: '/dbaudio1/coordinatemapping/source_position_xy/1/1',
+				args: [
+					{ type: 'float', value: x },
+					{ type: 'float', value: 0.5 },
+				],
+			}).toString('base64'),
+		});
+	try {
+		await fs.promises.writeFile(
+			recordingPath,
+			`${[packet(0, 0.25), packet(1, 0.5), packet(2, 0.75)].join('\n')}\n`
+		);
+		await dbscene.start();
+		const replaying = dbscene.replay(recordingPath, { speed: 10 });
+		await wait(50);
+		assert.strictEqual(dbscene.cacheObjAt(dbscene.getCacheObj(1), 1).x, 0.25);
+		assert.strictEqual(dbscene.stopReplay(), true);
+		assert.strictEqual(await replaying, 1);
+
+		// The packets are a second apart, a tenth of a second at 10 times the speed
+		const started = Date.now();
+		assert.strictEqual(await dbscene.replay(recordingPath, { speed: 10 }), 3);
+		assert.ok(Date.now() - started >= 190, `replayed in ${Date.now() - started} ms`);
+		assert.strictEqual(dbscene.cacheObjAt(dbscene.getCacheObj(1), 1).x, 0.75);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(recordingPath, { force: true });
+	}
+});
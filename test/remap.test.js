@@ -0,0 +1,109 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A square mapping area with a corner at the origin
+ * @param {number} size The length of its sides, in meters
+ * @returns {number[][]}
+ */
+const square = (size) => [
+	[0, 0],
+	[size, 0],
+	[size, size],
+	[0, size],
+];
+
+test('remapped dbscenes keep their objects in place, by geometry or by querying the DS100', async () => {
+	const historyPath = `${__dirname}/.remap-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: {
+				address: '127.0.0.1',
+				defaultMapping: 1,
+				parameters: ['spread'],
+				mappingAreas: { 1: square(4), 2: square(8), 3: square(2) },
+			},
+			naming: { group: 'dbscene: mapping {mapping}' },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		ds100.setPosition(1, 1, 0.25, 0.5);
+		ds100.setPosition(1, 2, 1, 1);
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		group.cues[0].name = '1 - Homer enters: 0.25, 0.5';
+		const cues = () => group.cues.map((cue) => [cue.name, cue.customString]);
+		const remap = async (mapping, options) => {
+			qlab.selection = [group.uniqueID];
+			const results = await dbscene.remapSelectedCues(mapping, options);
+			await wait(100);
+			return results.map((result) => `${result.num} ${result.status}`);
+		};
+
+		assert.deepStrictEqual(await remap(2), ['1 remapped', '2 remapped']);
+		assert.strictEqual(group.name, 'dbscene: mapping 2');
+		assert.deepStrictEqual(cues(), [
+			[
+				'1 - Homer enters: 0.125, 0.25',
+				'/dbaudio1/coordinatemapping/source_position_xy/2/1 0.125 0.25',
+			],
+			['1 - Homer: spread 0.5', '/dbaudio1/positioning/source_spread/1 0.5'],
+			['2 - Marjorie: 0.5, 0.5', '/dbaudio1/coordinatemapping/source_position_xy/2/2 0.5 0.5'],
+			['2 - Marjorie: spread 0.5', '/dbaudio1/positioning/source_spread/2 0.5'],
+		]);
+
+		// Marjorie, 4 m from the origin, is outside the area of mapping 3
+		assert.deepStrictEqual(await remap(3, { outside: 'skip' }), ['1 remapped', '2 skipped']);
+		assert.deepStrictEqual(
+			cues()
+				.map((cue) => cue[1])
+				.filter((message) => message.includes('coordinatemapping')),
+			[
+				'/dbaudio1/coordinatemapping/source_position_xy/3/1 0.5 1',
+				'/dbaudio1/coordinatemapping/source_position_xy/2/2 0.5 0.5',
+			]
+		);
+		assert.deepStrictEqual(await remap(3), ['1 unchanged', '2 clamped']);
+		assert.strictEqual(
+			group.cues[2].customString,
+			'/dbaudio1/coordinatemapping/source_position_xy/3/2 1 1'
+		);
+
+		ds100.setPosition(4, 1, 0.75, 0.125);
+		ds100.setPosition(4, 2, 0.5, 0.25);
+		assert.deepStrictEqual(await remap(4, { method: 'query' }), ['1 remapped', '2 remapped']);
+		assert.deepStrictEqual(
+			cues()
+				.map((cue) => cue[1])
+				.filter((message) => message.includes('coordinatemapping')),
+			[
+				'/dbaudio1/coordinatemapping/source_position_xy/4/1 0.75 0.125',
+				'/dbaudio1/coordinatemapping/source_position_xy/4/2 0.5 0.25',
+			]
+		);
+		assert.strictEqual(group.name, 'dbscene: mapping 4');
+
+		// Without the area of mapping 4, geometry cannot convert; the failures are logged
+		const before = cues();
+		assert.deepStrictEqual(await remap(1, { method: 'geometry' }), []);
+		assert.deepStrictEqual(cues(), before);
+		assert.strictEqual(group.name, 'dbscene: mapping 4');
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
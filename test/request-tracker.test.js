@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const RequestTracker = require('../lib/request-tracker');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a slow reply to /new creates one cue, and is not given to the next /new', async () => {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, timeout: 100, retries: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+
+		// QLab answers in order, the first reply only after the request timed out
+		const reply = qlab.reply.bind(qlab);
+		const delays = [150];
+		let replies = Promise.resolve();
+		qlab.reply = (...args) => {
+			const delay = delays.shift() || 0;
+			replies = replies.then(() => wait(delay)).then(() => reply(...args));
+		};
+		const networkCues = () => [...qlab.cues.values()].filter((cue) => cue.type === 'Network');
+
+		const first = dbscene.createQLabCue('network');
+		await assert.rejects(first, /QLab OSC reply timeout for \/new after 1 attempt/);
+		const second = await dbscene.createQLabCue('network');
+		await replies;
+
+		const created = networkCues();
+		assert.strictEqual(created.length, 2);
+		assert.strictEqual(second, created[1].uniqueID);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
+
+test('replies are matched to their own requests, and unanswered requests are retried then rejected', async () => {
+	const tracker = new RequestTracker({ name: 'QLab', timeout: 50, retries: 1 });
+	const sent = [];
+	const send = (address) => () => sent.push(address);
+
+	const first = tracker.request('/cue_id/1/name', send('/cue_id/1/name'));
+	const other = tracker.request('/cue_id/2/name', send('/cue_id/2/name'));
+	const second = tracker.request('/cue_id/1/name', send('/cue_id/1/name'));
+	assert.strictEqual(tracker.size, 3);
+	assert.strictEqual(
+		tracker.handleReply({ address: '/reply/cue_id/2/name', data: 'Marjorie' }),
+		true
+	);
+	assert.strictEqual(tracker.handleReply({ address: '/reply/cue_id/1/name', data: 'Homer' }), true);
+	assert.strictEqual(
+		tracker.handleReply({ address: '/reply/cue_id/1/name', status: 'error' }),
+		true
+	);
+	assert.strictEqual(tracker.handleReply({ address: '/reply/cue_id/3/name' }), false);
+	assert.strictEqual((await other).data, 'Marjorie');
+	assert.strictEqual((await first).data, 'Homer');
+	await assert.rejects(second, /QLab replied with status "error" for \/cue_id\/1\/name/);
+
+	sent.length = 0;
+	const unanswered = tracker.request('/cue_id/3/name', send('/cue_id/3/name'));
+	await assert.rejects(
+		unanswered,
+		/QLab OSC reply timeout for \/cue_id\/3\/name after 2 attempt\(s\)/
+	);
+	assert.deepStrictEqual(sent, ['/cue_id/3/name', '/cue_id/3/name']);
+	assert.strictEqual(tracker.size, 0);
+
+	// Both attempts may still be answered; neither reply is given to the next request
+	const next = tracker.request('/cue_id/3/name', () => {});
+	tracker.handleReply({ address: '/reply/cue_id/3/name', data: 'late' });
+	tracker.handleReply({ address: '/reply/cue_id/3/name', data: 'late' });
+	tracker.handleReply({ address: '/reply/cue_id/3/name', data: 'Bartholomew' });
+	assert.strictEqual((await next).data, 'Bartholomew');
+});
+
+test("QLab requests sent together each get the simulator's reply to them, and lost ones are re-sent", async () => {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, timeout: 100, retries: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		const names = ['Homer', 'Marjorie', 'Bartholomew'];
+		const cueIDs = names.map((name) => {
+			const cue = qlab.newCue('network');
+			cue.name = name;
+			return cue.uniqueID;
+		});
+
+		const fetched = await Promise.all(
+			cueIDs.map((cueID) => dbscene.fetchQLabData(`/cue_id/${cueID}/name`))
+		);
+		assert.deepStrictEqual(fetched, names);
+		await assert.rejects(
+			dbscene.fetchQLabData('/cue_id/missing/name'),
+			/QLab replied with status "error" for \/cue_id\/missing\/name/
+		);
+
+		// The simulator loses the first message
+		const handleMessage = qlab.handleMessage.bind(qlab);
+		let received = 0;
+		qlab.handleMessage = (msg, rinfo) => {
+			received += 1;
+			if (received > 1) handleMessage(msg, rinfo);
+		};
+		assert.strictEqual(await dbscene.fetchQLabData(`/cue_id/${cueIDs[0]}/name`), 'Homer');
+		assert.strictEqual(received, 2);
+		assert.strictEqual(dbscene.qlabRequests.size, 0);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
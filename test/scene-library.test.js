@@ -0,0 +1,84 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('saved scenes are stored as JSON and loaded into a dbscene without querying the DS100', async () => {
+	const libraryPath = `${__dirname}/.scene-library.json`;
+	const historyPath = `${__dirname}/.scene-library-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1, parameters: ['spread'] },
+			library: { path: libraryPath },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		ds100.setPosition(2, 1, 0.25, 0.75);
+		ds100.setParameterValue('spread', 1, 0.75);
+		await dbscene.saveScene('Act 1', 2);
+		ds100.setPosition(2, 1, 0.5, 0.5);
+		await dbscene.saveScene('Act 2', 2);
+		ds100.setPosition(2, 1, 0.125, 0.125);
+		await dbscene.saveScene('Act 1', 2);
+		ds100.setPosition(2, 1, 0.25, 0.75);
+
+		const library = JSON.parse(await fs.promises.readFile(libraryPath, 'utf8'));
+		assert.strictEqual(library.version, 1);
+		assert.deepStrictEqual(Object.keys(library.scenes), ['Act 1', 'Act 2']);
+		const act1 = library.scenes['Act 1'];
+		assert.deepStrictEqual(Object.keys(act1), ['name', 'timestamp', 'mapping', 'objects']);
+		assert.ok(!Number.isNaN(Date.parse(act1.timestamp)));
+		assert.deepStrictEqual(
+			act1.objects.map(({ num, name, x, y, spread }) => ({ num, name, x, y, spread })),
+			[
+				{ num: 1, name: 'Homer', x: 0.125, y: 0.125, spread: 0.75 },
+				{ num: 2, name: 'Marjorie', x: 0.5, y: 0.5, spread: 0.5 },
+			]
+		);
+
+		const queries = [];
+		const handleMessage = ds100.handleMessage.bind(ds100);
+		ds100.handleMessage = (msg, rinfo) => {
+			queries.push(msg);
+			handleMessage(msg, rinfo);
+		};
+		await dbscene.dbsceneLoad({ argsArr: ['Act 1'] });
+		await wait(100);
+		const group = qlab.cueLists[0].cues[qlab.cueLists[0].cues.length - 1];
+		assert.strictEqual(group.name, 'dbscene: Act 1');
+		assert.deepStrictEqual(
+			group.cues.map((cue) => cue.customString),
+			[
+				'/dbaudio1/coordinatemapping/source_position_xy/2/1 0.125 0.125',
+				'/dbaudio1/positioning/source_spread/1 0.75',
+				'/dbaudio1/coordinatemapping/source_position_xy/2/2 0.5 0.5',
+				'/dbaudio1/positioning/source_spread/2 0.5',
+			]
+		);
+		assert.deepStrictEqual(queries, []);
+		assert.deepStrictEqual(ds100.getPosition(2, 1), { x: 0.25, y: 0.75 });
+
+		assert.strictEqual(await dbscene.deleteScene('Act 2'), true);
+		assert.deepStrictEqual(
+			(await dbscene.listScenes()).map((scene) => scene.name),
+			['Act 1']
+		);
+		await assert.rejects(dbscene.loadScene('Act 2'), /Act 2/);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(libraryPath, { force: true });
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,103 @@
+const udp = require('dgram');
+const { once } = require('events');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+/**
+ * Create a dbscene whose servers listen on free ports, for the simulators on their default ports
+ * @param {Object} [ds100] More ds100 options
+ * @returns {Dbscene}
+ */
+function createDbscene(ds100 = {}) {
+	return new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, reply: 0, rebindInterval: 50 },
+			ds100: {
+				address: '127.0.0.1',
+				defaultMapping: 1,
+				reply: 0,
+				rebindInterval: 50,
+				timeout: 100,
+				...ds100,
+			},
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+}
+
+test('dbscene can be stopped and started again, and stopping rejects the queries awaiting a reply', async () => {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = createDbscene({ timeout: 5000 });
+	try {
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		assert.strictEqual(await dbscene.start(), dbscene);
+		const [cacheObj] = dbscene.cache;
+		await dbscene.queryObjPos(cacheObj, 1);
+		assert.strictEqual(dbscene.cacheObjAt(cacheObj, 1).x, 0.25);
+
+		const closed = [once(dbscene, 'dbServerClosed'), once(dbscene, 'qlabServerClosed')];
+		await dbscene.stop();
+		await Promise.all(closed);
+		await dbscene.stop();
+
+		await dbscene.start();
+		ds100.setPosition(1, 1, 0.5, 0.75);
+		await dbscene.queryObjPos(cacheObj, 1);
+		assert.strictEqual(dbscene.cacheObjAt(cacheObj, 1).x, 0.5);
+		assert.strictEqual(typeof (await dbscene.fetchQLabData('/cueLists')).length, 'number');
+
+		ds100.handleMessage = () => {};
+		const unanswered = dbscene.queryObjPos(cacheObj, 1);
+		await dbscene.stop();
+		await assert.rejects(unanswered, /The DS100 server was stopped/);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
+
+test('start rejects when a port is in use, leaving nothing listening', async () => {
+	const socket = udp.createSocket('udp4');
+	await new Promise((resolve) => socket.bind(0, resolve));
+	const dbscene = createDbscene({ reply: socket.address().port });
+	try {
+		const closed = once(dbscene, 'qlabServerClosed');
+		await assert.rejects(dbscene.start(), { code: 'EADDRINUSE' });
+		await closed;
+		assert.strictEqual(dbscene.dbServerListening, false);
+	} finally {
+		await dbscene.stop();
+		socket.close();
+	}
+});
+
+test('after a socket error the DS100 server is bound again and keeps working', async () => {
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = createDbscene();
+	const events = [];
+	['dbServerError', 'dbServerClosed', 'dbServerListening'].forEach((event) =>
+		dbscene.on(event, () => events.push(event))
+	);
+	try {
+		await dbscene.start();
+		events.length = 0;
+		const listening = once(dbscene, 'dbServerListening');
+		dbscene.dbServer.emit('error', new Error('The network went away'));
+		await listening;
+		assert.deepStrictEqual(events, ['dbServerError', 'dbServerClosed', 'dbServerListening']);
+
+		ds100.setPosition(1, 1, 0.125, 0.5);
+		const [cacheObj] = dbscene.cache;
+		await dbscene.queryObjPos(cacheObj, 1);
+		assert.strictEqual(dbscene.cacheObjAt(cacheObj, 1).x, 0.125);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+});
@@ -0,0 +1,139 @@
+const udp = require('dgram');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const { fromBuffer, toBuffer } = require('../lib/osc');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+/**
+ * Send an OSC message to a simulator over UDP and wait for its reply
+ * @param {number} port The simulator's port
+ * @param {OscMsg} message
+ * @param {number} [timeout] How long to wait for a reply, in milliseconds
+ * @returns {Promise<OscMsg|null>} The reply, or null if none arrived in time
+ */
+async function exchange(port, message, timeout = 200) {
+	const socket = udp.createSocket('udp4');
+	try {
+		return await new Promise((resolve, reject) => {
+			const timer = setTimeout(() => resolve(null), timeout);
+			socket.on('error', reject);
+			socket.on('message', (msg) => {
+				clearTimeout(timer);
+				resolve(fromBuffer(msg));
+			});
+			const buffer = toBuffer(message);
+			socket.send(buffer, 0, buffer.length, port, '127.0.0.1');
+		});
+	} finally {
+		socket.close();
+	}
+}
+
+test('the DS100 simulator answers position queries and stores set positions per mapping', async () => {
+	const ds100 = await new DS100Simulator({ port: 0, objects: 2 }).start();
+	const { port } = ds100.server.address();
+	const address = (mapping, num) =>
+		`/dbaudio1/coordinatemapping/source_position_xy/${mapping}/${num}`;
+	try {
+		const set = [];
+		ds100.on('positionSet', (position) => set.push(position));
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		const reply = await exchange(port, { address: address(1, 1) });
+		assert.strictEqual(reply.address, address(1, 1));
+		assert.deepStrictEqual(reply.argsArr, [0.25, 0.75]);
+
+		const setReply = await exchange(port, {
+			address: address(2, 1),
+			args: [
+				{ type: 'float', value: 0.5 },
+				{ type: 'float', value: 0.125 },
+			],
+		});
+		assert.strictEqual(setReply, null);
+		assert.deepStrictEqual(set, [{ mapping: 2, num: 1, x: 0.5, y: 0.125 }]);
+		assert.deepStrictEqual(ds100.getPosition(2, 1), { x: 0.5, y: 0.125 });
+		assert.deepStrictEqual(ds100.getPosition(1, 1), { x: 0.25, y: 0.75 });
+
+		const y = await exchange(port, {
+			address: '/dbaudio1/coordinatemapping/source_position_y/2/1',
+		});
+		assert.deepStrictEqual(y.argsArr, [0.125]);
+		assert.strictEqual(await exchange(port, { address: address(1, 3) }), null);
+	} finally {
+		await ds100.stop();
+	}
+});
+
+test("the QLab simulator creates cues after the selection and replies in QLab's format", async () => {
+	const qlab = await new QLabSimulator({ port: 0 }).start();
+	const { port } = qlab.server.address();
+	try {
+		const send = async (address, ...args) => {
+			const reply = await exchange(port, { address, args });
+			if (!reply) return null;
+			assert.strictEqual(reply.address, `/reply${address}`);
+			return JSON.parse(reply.argsArr[0]);
+		};
+
+		const group = await send('/new', 'group');
+		assert.deepStrictEqual(Object.keys(group), ['workspace_id', 'address', 'status', 'data']);
+		assert.deepStrictEqual([group.workspace_id, group.status], [qlab.workspaceID, 'ok']);
+		const network = await send('/new', 'network');
+		assert.deepStrictEqual(
+			qlab.cueLists[0].cues.map((cue) => [cue.uniqueID, cue.type]),
+			[
+				[group.data, 'Group'],
+				[network.data, 'Network'],
+			]
+		);
+		assert.deepStrictEqual(qlab.selection, [network.data]);
+
+		assert.strictEqual(await send(`/cue_id/${network.data}/name`, 'Homer'), null);
+		assert.strictEqual((await send(`/cue_id/${network.data}/name`)).data, 'Homer');
+		assert.strictEqual(await send(`/move/${network.data}`, 0, group.data), null);
+		assert.deepStrictEqual(
+			(await send(`/cue_id/${group.data}/children`)).data.map((cue) => cue.name),
+			['Homer']
+		);
+		assert.strictEqual((await send('/cue_id/missing/name')).status, 'error');
+	} finally {
+		await qlab.stop();
+	}
+});
+
+test('the simulators log through an injected logger instead of the console', async () => {
+	const logged = [];
+	const logger = (name) => ({
+		verbose: (message) => logged.push(`${name} verbose: ${message}`),
+		debug: (message, fields) => logged.push(`${name} debug: ${fields.address}`),
+	});
+	const ds100 = await new DS100Simulator({ port: 0 }, { logger: logger('ds100') }).start();
+	const qlab = await new QLabSimulator({ port: 0 }, { logger: logger('qlab') }).start();
+	const write = console.log;
+	const writeError = console.error;
+	console.log = () => assert.fail('a simulator wrote to the console');
+	console.error = console.log;
+	try {
+		const rinfo = { address: '127.0.0.1', port: 9 };
+		ds100.reply = () => {};
+		qlab.reply = () => {};
+		ds100.handleMessage(
+			toBuffer({ address: '/dbaudio1/coordinatemapping/source_position_xy/1/1' }),
+			rinfo
+		);
+		qlab.handleMessage(toBuffer({ address: '/cue_id/missing/name' }), rinfo);
+	} finally {
+		console.log = write;
+		console.error = writeError;
+		await Promise.all([ds100.stop(), qlab.stop()]);
+	}
+	assert.deepStrictEqual(logged.slice(2), [
+		'ds100 debug: /dbaudio1/coordinatemapping/source_position_xy/1/1',
+		'qlab debug: /cue_id/missing/name',
+		'qlab verbose: Cue missing does not exist',
+	]);
+	assert.match(logged[0], /^ds100 verbose: listening on port \d+$/);
+	assert.match(logged[1], /^qlab verbose: listening on port \d+$/);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('assert');
+const slip = require('../lib/slip');
+
+test('SLIP frames packets double-ended and escapes END and ESC bytes', () => {
+	assert.deepStrictEqual(
+		slip.encode(Buffer.from([0x2f, 0xc0, 0x01, 0xdb, 0x02])),
+		Buffer.from([0xc0, 0x2f, 0xdb, 0xdc, 0x01, 0xdb, 0xdd, 0x02, 0xc0])
+	);
+	assert.deepStrictEqual(slip.encode(Buffer.alloc(0)), Buffer.from([0xc0, 0xc0]));
+});
+
+test('the SLIP decoder splits a stream into packets, whatever the chunks', () => {
+	const packets = [
+		Buffer.from('/reply/new'),
+		Buffer.from([0xc0, 0xdb, 0xdc, 0xdd]),
+		Buffer.from([0x00, 0xc0]),
+	];
+	const stream = Buffer.concat(packets.map((packet) => slip.encode(packet)));
+
+	// All at once, one byte at a time, and split inside an escape sequence
+	[
+		[stream],
+		[...stream].map((byte) => Buffer.from([byte])),
+		[stream.subarray(0, 14), stream.subarray(14)],
+	].forEach((chunks) => {
+		const decoded = [];
+		const decoder = new slip.Decoder((packet) => decoded.push(packet));
+		chunks.forEach((chunk) => decoder.write(chunk));
+		assert.deepStrictEqual(decoded, packets);
+	});
+
+	// Single-ended frames, and bytes escaped without need
+	const decoded = [];
+	const decoder = new slip.Decoder((packet) => decoded.push(packet));
+	decoder.write(Buffer.from([0x01, 0xc0, 0xdb, 0x02, 0xc0]));
+	assert.deepStrictEqual(decoded, [Buffer.from([0x01]), Buffer.from([0x02])]);
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const net = require('net');
+const { once } = require('events');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Find a local port nothing listens on
+ * @returns {Promise<number>}
+ */
+async function closedPort() {
+	const server = net.createServer();
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+	const { port } = server.address();
+	await new Promise((resolve) => server.close(resolve));
+	return port;
+}
+
+test('dbscenes are built over SLIP-framed TCP, large replies arrive whole, and lost connections are restored', async () => {
+	const historyPath = `${__dirname}/.tcp-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator({ port: 0, tcp: true }).start();
+	const dbscene = new Dbscene(
+		{
+			qlab: {
+				address: '127.0.0.1',
+				transport: 'tcp',
+				port: qlab.tcpServer.address().port,
+				reconnectInterval: 50,
+				ds100Patch: 1,
+				defaultDuration: 0,
+			},
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	try {
+		let connected = once(dbscene, 'qlabConnected');
+		await dbscene.start();
+		await connected;
+
+		// Far more than fits in one UDP datagram
+		for (let index = 0; index < 300; index += 1) qlab.newCue('memo').name = 'x'.repeat(250);
+		const [cueList] = await dbscene.fetchQLabData('/cueLists');
+		assert.strictEqual(cueList.cues.length, 300);
+
+		connected = once(dbscene, 'qlabConnected');
+		qlab.tcpSockets.forEach((socket) => socket.destroy());
+		await connected;
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		const group = qlab.cues.get(await dbscene.createDbscene(1));
+		await wait(100);
+		assert.strictEqual(
+			group.cues[0].customString,
+			'/dbaudio1/coordinatemapping/source_position_xy/1/1 0.25 0.75'
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
+
+test('start rejects when QLab cannot be reached over TCP, or is stopped first', async () => {
+	const config = {
+		qlab: {
+			address: '127.0.0.1',
+			transport: 'tcp',
+			port: await closedPort(),
+			connectTimeout: 200,
+			reconnectInterval: 50,
+			ds100Patch: 1,
+		},
+		ds100: { address: '127.0.0.1', defaultMapping: 1, port: 0, reply: 0 },
+	};
+
+	const unreachable = new Dbscene(config, { 1: 'Homer' }, { logger: {} });
+	await assert.rejects(unreachable.start(), /Could not connect to .* over TCP within 200 ms/);
+
+	const stopped = new Dbscene(config, { 1: 'Homer' }, { logger: {} });
+	const starting = stopped.start();
+	await stopped.stop();
+	await assert.rejects(starting, /TCP transport was closed before it connected/);
+	assert.strictEqual(stopped.qlabServer.waiting.length, 0);
+});
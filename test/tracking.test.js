@@ -0,0 +1,86 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+const { createTracking, positionChanged, parameterChanged } = require('../lib/tracking');
+const { getParameter } = require('../lib/parameters');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('objects count as moved beyond the tolerance, and integer parameters on any change', () => {
+	assert.deepStrictEqual(createTracking(), {
+		enabled: false,
+		tolerance: 0.001,
+		reference: 'previous',
+	});
+	assert.throws(() => createTracking({ tolerance: -1 }), /tracking.tolerance must be a number/);
+	assert.throws(() => createTracking({ reference: 'first' }), /tracking.reference must be one of/);
+
+	const reference = new Map([
+		[1, { positions: { 1: { x: 0.5, y: 0.5 } }, parameters: { spread: 0.5, delaymode: 1 } }],
+	]);
+	const obj = (x, y, spread, delaymode) => ({ num: 1, x, y, spread, delaymode });
+	assert.strictEqual(positionChanged(reference, obj(0.5005, 0.5, 0.5, 1), 1, 0.001), false);
+	assert.strictEqual(positionChanged(reference, obj(0.5, 0.502, 0.5, 1), 1, 0.001), true);
+	assert.strictEqual(positionChanged(reference, obj(0.5, 0.5, 0.5, 1), 2, 0.001), true);
+	assert.strictEqual(positionChanged(reference, { ...obj(0.5, 0.5), num: 2 }, 1, 0.001), true);
+
+	const spread = getParameter('spread');
+	const delaymode = getParameter('delaymode');
+	assert.strictEqual(parameterChanged(reference, obj(0.5, 0.5, 0.5009, 1), spread, 0.001), false);
+	assert.strictEqual(parameterChanged(reference, obj(0.5, 0.5, 0.6, 1), spread, 0.001), true);
+	assert.strictEqual(parameterChanged(reference, obj(0.5, 0.5, 0.5, 2), delaymode, 10), true);
+});
+
+test('tracking dbscenes only record what moved since the previous dbscenes or a snapshot', async () => {
+	const libraryPath = `${__dirname}/.tracking-library.json`;
+	const historyPath = `${__dirname}/.tracking-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const config = (tracking) => ({
+		qlab: { address: '127.0.0.1', reply: 0, ds100Patch: 1, defaultDuration: 0 },
+		ds100: { address: '127.0.0.1', reply: 0, defaultMapping: 1, parameters: ['spread'] },
+		tracking: { enabled: true, tolerance: 0.001, ...tracking },
+		library: { path: libraryPath },
+		history: { path: historyPath },
+	});
+	const cache = { 1: 'Homer', 2: 'Marjorie', 3: 'Bartholomew' };
+	const previous = new Dbscene(config({}), cache, { logger: {} });
+	const snapshot = new Dbscene(config({ reference: 'snapshot', scene: 'Act 1' }), cache, {
+		logger: {},
+	});
+	try {
+		await Promise.all([previous.start(), snapshot.start()]);
+		const recorded = async (dbscene) => {
+			const cueID = await dbscene.createDbscene(1);
+			await wait(100);
+			if (cueID === undefined) return undefined;
+			return qlab.cues.get(cueID).cues.map((cue) => cue.name.split(':')[0]);
+		};
+
+		assert.deepStrictEqual(await recorded(previous), [
+			'1 - Homer',
+			'1 - Homer',
+			'2 - Marjorie',
+			'2 - Marjorie',
+			'3 - Bartholomew',
+			'3 - Bartholomew',
+		]);
+		ds100.setPosition(1, 2, 0.6, 0.5);
+		ds100.setPosition(1, 3, 0.5005, 0.5);
+		ds100.setParameterValue('spread', 1, 0.75);
+		assert.deepStrictEqual(await recorded(previous), ['1 - Homer', '2 - Marjorie']);
+		assert.strictEqual(await recorded(previous), undefined);
+
+		await snapshot.saveScene('Act 1', 1);
+		ds100.setPosition(1, 1, 0.25, 0.25);
+		assert.deepStrictEqual(await recorded(snapshot), ['1 - Homer']);
+	} finally {
+		await Promise.all([previous.stop(), snapshot.stop()]);
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(libraryPath, { force: true });
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('assert');
+const Dbscene = require('..');
+
+const { DS100Simulator, QLabSimulator } = Dbscene;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('updateAll updates the dbscenes and objects its filters select, and counts the outcome of each cue', async () => {
+	const historyPath = `${__dirname}/.update-all-history.json`;
+	const ds100 = await new DS100Simulator().start();
+	const qlab = await new QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1, timeout: 100 },
+			history: { path: historyPath },
+		},
+		{ 1: 'Homer', 2: 'Marjorie', 3: 'Bartholomew' },
+		{ logger: {} }
+	);
+	try {
+		[1, 2, 3].forEach((num) => ds100.setPosition(1, num, 0.5, 0.5));
+		await dbscene.start();
+		const create = async (number, name) => {
+			qlab.selection = [];
+			const group = qlab.cues.get(await dbscene.createDbscene(1));
+			Object.assign(group, { number, name });
+			return group;
+		};
+		const opening = await create('10', 'dbscene: Opening');
+		const finale = await create('20', 'dbscene: Grand Finale');
+		const bows = await create('30', 'dbscene: Bows');
+		// The finale is inside an act, and the bows in another cue list
+		const act = qlab.newCue('group');
+		act.name = 'Act 2';
+		qlab.placeCue(finale, act, -1);
+		qlab.placeCue(bows, qlab.newCueList('Curtain Calls'), -1);
+		await wait(100);
+
+		[1, 2, 3].forEach((num) => ds100.setPosition(1, num, 0.25, 0.75));
+		const statuses = (summary) =>
+			summary.dbscenes.map(({ name, cues }) => [
+				name,
+				cues.map((cue) => `${cue.num} ${cue.status}`),
+			]);
+		const progress = [];
+		dbscene.on('updateAllProgress', ({ done, total, name }) =>
+			progress.push(`${done}/${total} ${name}`)
+		);
+
+		const ranged = await dbscene.updateAllDbscenes({
+			cueList: 'Main Cue List',
+			from: 15,
+			objects: [2],
+		});
+		assert.deepStrictEqual(statuses(ranged), [
+			['dbscene: Grand Finale', ['1 skipped', '2 updated', '3 skipped']],
+		]);
+
+		assert.deepStrictEqual(await dbscene.dbsceneUpdateAll({ argsArr: ['name=*FINALE*'] }), {
+			dbscenes: 1,
+			updated: 2,
+			unchanged: 1,
+			added: 0,
+			skipped: 0,
+			failed: 0,
+			failedGroups: 0,
+		});
+
+		const handleMessage = ds100.handleMessage.bind(ds100);
+		ds100.handleMessage = (msg, rinfo) => {
+			if (!msg.toString().includes('/1/3')) handleMessage(msg, rinfo);
+		};
+		const all = await dbscene.updateAllDbscenes();
+		assert.deepStrictEqual(statuses(all), [
+			['dbscene: Opening', ['1 updated', '2 updated', '3 failed']],
+			['dbscene: Grand Finale', ['1 unchanged', '2 unchanged', '3 failed']],
+			['dbscene: Bows', ['1 updated', '2 updated', '3 failed']],
+		]);
+		assert.deepStrictEqual(all.counts, {
+			updated: 4,
+			unchanged: 2,
+			added: 0,
+			skipped: 0,
+			failed: 3,
+			failedGroups: 0,
+		});
+		assert.deepStrictEqual(progress.slice(2), [
+			'1/3 dbscene: Opening',
+			'2/3 dbscene: Grand Finale',
+			'3/3 dbscene: Bows',
+		]);
+		await wait(100);
+		// A cue whose object did not answer is left as it is
+		assert.deepStrictEqual(
+			bows.cues.map((cue) => cue.customString.split(' ').slice(1).join(' ')),
+			['0.25 0.75', '0.25 0.75', '0.5 0.5']
+		);
+		assert.strictEqual(opening.name, 'dbscene: Opening');
+
+		await assert.rejects(
+			dbscene.updateAllDbscenes({ cueList: 'Encore' }),
+			/There is no cue list named "Encore"/
+		);
+		await assert.rejects(
+			dbscene.dbsceneUpdateAll({ argsArr: ['from=ten'] }),
+			/from must be a cue number, not "ten"/
+		);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const { once } = require('events');
+const http = require('http');
+const test = require('node:test');
+const assert = require('assert');
+const WebSocket = require('ws');
+const Dbscene = require('..');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send a request to the web server
+ * @param {number} port
+ * @param {string} method
+ * @param {string} url
+ * @param {Object} [headers]
+ * @param {string} [body]
+ * @returns {Promise<number>} The HTTP status
+ */
+function request(port, method, url, headers = {}, body = undefined) {
+	return new Promise((resolve, reject) => {
+		const req = http.request({ port, host: '127.0.0.1', method, path: url, headers }, (res) => {
+			res.resume();
+			res.on('end', () => resolve(res.statusCode));
+		});
+		req.on('error', reject);
+		req.end(body);
+	});
+}
+
+/**
+ * Call the JSON API of the web server
+ * @param {number} port
+ * @param {string} method
+ * @param {string} url
+ * @param {Object|string} [body] Sent as JSON, or as is if a string
+ * @returns {Promise<Object>} { status, body }
+ */
+function api(port, method, url, body = undefined) {
+	return new Promise((resolve, reject) => {
+		const headers = { 'Content-Type': 'application/json' };
+		const req = http.request({ port, host: '127.0.0.1', method, path: url, headers }, (res) => {
+			let text = '';
+			res.setEncoding('utf8');
+			res.on('data', (chunk) => {
+				text += chunk;
+			});
+			res.on('end', () =>
+				resolve({
+					status: res.statusCode,
+					body: res.headers['content-type'].startsWith('application/json')
+						? JSON.parse(text)
+						: text,
+				})
+			);
+		});
+		req.on('error', reject);
+		req.end(typeof body === 'string' || body === undefined ? body : JSON.stringify(body));
+	});
+}
+
+/**
+ * Open a WebSocket to the web server
+ * @param {number} port
+ * @param {string} url
+ * @param {Object} [headers]
+ * @returns {Promise<number>} 101 if the connection opened, else the HTTP status it was refused with
+ */
+function connect(port, url, headers = {}) {
+	return new Promise((resolve) => {
+		const socket = new WebSocket(`ws://127.0.0.1:${port}${url}`, { headers });
+		socket.on('open', () => {
+			socket.terminate();
+			resolve(101);
+		});
+		socket.on('unexpected-response', (req, res) => resolve(res.statusCode));
+	});
+}
+
+test('the web API refuses requests from other sites and without the token', async () => {
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			web: { port: 0, token: 'secret' },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	const server = await dbscene.startWebServer();
+	const { port } = server.server.address();
+	const auth = { Authorization: 'Bearer secret' };
+	const json = { ...auth, 'Content-Type': 'application/json' };
+	try {
+		assert.strictEqual(await request(port, 'GET', '/api/cache', auth), 200);
+		assert.strictEqual(await request(port, 'GET', '/api/cache'), 401);
+		assert.strictEqual(
+			await request(port, 'GET', '/api/cache', { Authorization: 'Bearer x' }),
+			401
+		);
+		assert.strictEqual(
+			await request(port, 'GET', '/api/cache', { ...auth, Host: 'evil.example' }),
+			403
+		);
+		assert.strictEqual(
+			await request(port, 'GET', '/api/cache', { ...auth, Origin: 'http://evil.example' }),
+			403
+		);
+		assert.strictEqual(
+			await request(port, 'GET', '/api/cache', { ...auth, Origin: `http://127.0.0.1:${port}` }),
+			200
+		);
+
+		const body = JSON.stringify({ num: 2, name: 'Marjorie' });
+		const textPlain = { ...auth, 'Content-Type': 'text/plain' };
+		assert.strictEqual(await request(port, 'POST', '/api/cache', textPlain, body), 415);
+		assert.strictEqual(
+			await request(port, 'DELETE', '/api/cache/1', { Host: 'evil.example' }),
+			403
+		);
+		assert.strictEqual(dbscene.getCache().length, 1);
+		assert.strictEqual(
+			await request(port, 'PUT', '/api/cache/1', json, '{"name":"Homer J."}'),
+			200
+		);
+
+		assert.strictEqual(await connect(port, '/ws'), 401);
+		assert.strictEqual(
+			await connect(port, '/ws?token=secret', { Origin: 'http://evil.example' }),
+			403
+		);
+		assert.strictEqual(await connect(port, '/ws?token=secret'), 101);
+	} finally {
+		await dbscene.stopWebServer();
+	}
+});
+
+test('each recall request is answered by its own recall', async () => {
+	const libraryPath = `${__dirname}/.web-library.json`;
+	const scene = (name, nums) => ({
+		name,
+		timestamp: new Date().toISOString(),
+		mapping: 1,
+		objects: nums.map((num) => ({ num, name: `${num}`, x: 0.25, y: 0.25 })),
+	});
+	await fs.promises.writeFile(
+		libraryPath,
+		JSON.stringify({ version: 1, scenes: { One: scene('One', [1]), Both: scene('Both', [1, 2]) } })
+	);
+	// The simulator only has object 1, so recalling Both fails
+	const ds100 = await new Dbscene.DS100Simulator({ objects: 1 }).start();
+	const qlab = await new Dbscene.QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1, timeout: 200 },
+			library: { path: libraryPath },
+			web: { port: 0 },
+		},
+		{ 1: 'Homer', 2: 'Marjorie' },
+		{ logger: {} }
+	);
+	try {
+		await dbscene.start();
+		const { port } = (await dbscene.startWebServer()).server.address();
+		const recall = (name) =>
+			request(
+				port,
+				'POST',
+				'/api/recall',
+				{ 'Content-Type': 'application/json' },
+				JSON.stringify({ name, time: 0.5 })
+			);
+		assert.deepStrictEqual(await Promise.all([recall('Both'), recall('One')]), [500, 200]);
+	} finally {
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(libraryPath, { force: true });
+	}
+});
+
+test('the web UI is served, the API acts on the cache and QLab, and changes are pushed over the WebSocket', async () => {
+	const historyPath = `${__dirname}/.web-api-history.json`;
+	const ds100 = await new Dbscene.DS100Simulator().start();
+	const qlab = await new Dbscene.QLabSimulator().start();
+	const dbscene = new Dbscene(
+		{
+			qlab: { address: '127.0.0.1', ds100Patch: 1, defaultDuration: 0 },
+			ds100: { address: '127.0.0.1', defaultMapping: 1 },
+			history: { path: historyPath },
+			web: { port: 0 },
+		},
+		{ 1: 'Homer' },
+		{ logger: {} }
+	);
+	let socket;
+	try {
+		ds100.setPosition(1, 1, 0.25, 0.75);
+		await dbscene.start();
+		const { port } = (await dbscene.startWebServer()).server.address();
+
+		const page = await api(port, 'GET', '/');
+		assert.deepStrictEqual([page.status, page.body.includes('<html')], [200, true]);
+		assert.strictEqual((await api(port, 'GET', '/../package.json')).status, 404);
+		assert.strictEqual((await api(port, 'GET', '/missing.js')).status, 404);
+
+		socket = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+		const messages = [];
+		socket.on('message', (data) => messages.push(JSON.parse(data)));
+		await once(socket, 'open');
+		await wait(100);
+		assert.strictEqual(messages[0].event, 'state');
+		assert.deepStrictEqual(
+			[messages[0].data.defaultMapping, messages[0].data.cache.map((obj) => obj.name)],
+			[1, ['Homer']]
+		);
+
+		assert.deepStrictEqual(await api(port, 'POST', '/api/query', { mapping: 1 }), {
+			status: 200,
+			body: { timedOut: [] },
+		});
+		const added = await api(port, 'POST', '/api/cache', { num: 2, name: 'Marjorie' });
+		assert.deepStrictEqual([added.status, added.body.num, added.body.name], [200, 2, 'Marjorie']);
+		assert.deepStrictEqual(await api(port, 'POST', '/api/cache', { num: 2, name: 'Marge' }), {
+			status: 409,
+			body: { error: 'Object 2 already exists' },
+		});
+		assert.strictEqual((await api(port, 'POST', '/api/cache', { num: 3 })).status, 400);
+		assert.strictEqual((await api(port, 'POST', '/api/cache', '{ "num": ')).status, 400);
+		assert.strictEqual((await api(port, 'PUT', '/api/cache/2', { name: 'Marge' })).status, 200);
+		assert.deepStrictEqual(await api(port, 'DELETE', '/api/cache/2'), {
+			status: 200,
+			body: { removed: 2 },
+		});
+		assert.strictEqual((await api(port, 'DELETE', '/api/cache/2')).status, 404);
+		assert.strictEqual((await api(port, 'GET', '/api/nothing')).status, 404);
+		assert.strictEqual((await api(port, 'PATCH', '/api/cache')).status, 405);
+
+		const created = await api(port, 'POST', '/api/create', { mapping: 1 });
+		assert.strictEqual(created.status, 200);
+		await wait(100);
+		assert.strictEqual(
+			qlab.cues.get(created.body.groupCueID).cues[0].customString,
+			'/dbaudio1/coordinatemapping/source_position_xy/1/1 0.25 0.75'
+		);
+
+		await wait(100);
+		assert.deepStrictEqual(
+			messages
+				.slice(1)
+				.map(({ event, data }) => `${event} ${data.num}`)
+				.filter((message, index, all) => all.indexOf(message) === index),
+			['cacheUpdated 1', 'cacheObjAdded 2', 'cacheUpdated 2', 'cacheObjRemoved 2']
+		);
+	} finally {
+		if (socket) socket.terminate();
+		await dbscene.stop();
+		await Promise.all([ds100.stop(), qlab.stop()]);
+		await fs.promises.rm(historyPath, { force: true });
+	}
+});